@@ -5,8 +5,27 @@
  */
 
 import { ConfigurationManager } from './core/configuration-manager.js';
-import { buildPrompt, parseSentiment, parseTags, wasTruncated } from './core/tasks.js';
-import { AIError } from './providers/ai-client.js';
+import {
+  buildPrompt,
+  locateEntities,
+  normalizeTags,
+  parseEntities,
+  parseSentiment,
+  parseTags,
+  splitIntoChunks,
+  tableToMarkdown,
+  wasTruncated,
+  MAX_CONTENT_CHARS
+} from './core/tasks.js';
+import {
+  BUDGET_WARNING_RATIO,
+  budgetSpent,
+  formatBudgetAmount,
+  monthKey,
+  startOfNextMonth
+} from './core/usage.js';
+import { extractPdfPages, isPdf, isPdfUrl, pageMarker, pdfPagesToText } from './core/pdf.js';
+import { AIError, isUnavailableError } from './providers/ai-client.js';
 import { StorageService } from './services/storage-service.js';
 import { NotificationManager } from './services/notification-manager.js';
 import { ValidationService } from './src/utils/validation-service.js';
@@ -26,6 +45,59 @@ const CONTEXT_MENU_TASKS = {
   'genai-generate-tags': { task: 'tags', source: 'page', title: 'Smart tags' }
 };
 
+/** Port name the popup connects on for streamed requests. */
+const STREAM_PORT = 'genai-stream';
+
+/**
+ * Where content.js left a cross-origin frame it could not read: the frame's
+ * id, between private-use characters, as a block of its own.
+ */
+const FRAME_MARKER = /(\n\n)?\uE000(\d+)\uE001(\n\n)?/g;
+
+/** Largest PDF downloaded for reading; a service worker holds it in memory whole. */
+const MAX_PDF_BYTES = 30 * 1024 * 1024;
+
+/**
+ * Most parts of a long page summarized, one request each; the rest of the
+ * page is left out. Bounds what one click can spend on a huge PDF.
+ */
+const MAX_SUMMARY_PARTS = 20;
+
+/**
+ * Most passes condensing part summaries that are still too long to combine.
+ * A model whose summaries do not shrink would otherwise never stop.
+ */
+const MAX_CONDENSE_PASSES = 2;
+
+/**
+ * Parts of a long page summarized so far, or with `pass`, part summaries
+ * condensed so far in that pass.
+ * @typedef {{ completed: number, total: number, pass?: number }} SummaryProgress
+ */
+
+/**
+ * Where a streamed request reports back while it runs.
+ * @typedef {Object} StreamSink
+ * @property {(text: string) => void} delta  Next piece of the reply's text.
+ * @property {(progress: SummaryProgress) => void} progress
+ */
+
+/**
+ * @typedef {import('./providers/ai-client.js').AIClient} AIClient
+ * @typedef {import('./providers/ai-client.js').TokenUsage} TokenUsage
+ */
+
+/**
+ * @typedef {Object} TaskResult
+ * @property {string} text  For a structured task, `data` serialised as JSON.
+ * @property {any} data  The schema-validated value of a structured task; null for free text.
+ * @property {string} provider  The provider that actually answered.
+ * @property {string} model
+ * @property {boolean} truncated
+ * @property {string[]} fallbackFrom  Providers tried first and found unavailable, in order.
+ * @property {TokenUsage | null} usage  Tokens the answering provider reported.
+ */
+
 class BackgroundService {
   constructor() {
     this.logger = new Logger('BackgroundService');
@@ -33,6 +105,12 @@ class BackgroundService {
     this.storageService = new StorageService();
     this.notificationManager = new NotificationManager();
     this.validator = new ValidationService();
+    /**
+     * Running requests by `requestId`, so `CANCEL_REQUEST` or a closed popup
+     * can stop a provider call that would otherwise run, and bill, to the end.
+     * @type {Map<string, AbortController>}
+     */
+    this.inFlight = new Map();
 
     this.registerListeners();
     this.initialize();
@@ -60,10 +138,15 @@ class BackgroundService {
       this.handleMessage(message, sender, sendResponse);
       return true; // async sendResponse
     });
+    chrome.runtime.onConnect.addListener(port => {
+      if (port.name === STREAM_PORT) this.handleStreamPort(port);
+    });
     chrome.contextMenus.onClicked.addListener(this.handleContextMenu.bind(this));
     chrome.commands.onCommand.addListener(this.handleCommand.bind(this));
     chrome.alarms.onAlarm.addListener(this.handleAlarm.bind(this));
     chrome.alarms.create('cleanupOldData', { periodInMinutes: 1440 });
+    // Re-created on every worker start; an alarm with the same name is replaced.
+    chrome.alarms.create('resetMonthlyBudgets', { when: startOfNextMonth(Date.now()) });
   }
 
   // ---------------------------------------------------------------- messaging
@@ -74,67 +157,150 @@ class BackgroundService {
    * @param {(response: any) => void} sendResponse
    */
   async handleMessage(message, sender, sendResponse) {
+    sendResponse(await this.dispatch(message, sender));
+  }
+
+  /**
+   * Streaming counterpart of `handleMessage`. The popup opens one port per
+   * request; text deltas are posted as `chunk` messages while the provider
+   * generates, then a single `done` message carries the same envelope
+   * `sendResponse` would have.
+   *
+   * @param {chrome.runtime.Port} port
+   */
+  handleStreamPort(port) {
+    let connected = true;
+    /** @type {string | undefined} */
+    let requestId;
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      // The popup closed mid-request: nobody is left to read the answer.
+      if (requestId) this.cancelRequest(requestId);
+    });
+
+    /** @param {any} message */
+    const post = message => {
+      // Posting to a port whose popup has closed throws.
+      if (connected) port.postMessage(message);
+    };
+
+    port.onMessage.addListener(async message => {
+      requestId = message?.requestId;
+      const response = await this.dispatch(message, port.sender, {
+        delta: text => post({ type: 'chunk', requestId, text }),
+        progress: progress => post({ type: 'progress', requestId, ...progress })
+      });
+      post({ type: 'done', ...response });
+    });
+  }
+
+  /**
+   * Validate and route one request, folding any failure into the response
+   * envelope so every caller reports errors the same way.
+   *
+   * @param {any} message
+   * @param {chrome.runtime.MessageSender | undefined} sender
+   * @param {StreamSink} [sink]  Receives streamed text and progress, when the action streams.
+   * @returns {Promise<any>}
+   */
+  async dispatch(message, sender, sink) {
     const startTime = Date.now();
     const requestId = message?.requestId;
+    const controller = new AbortController();
+    if (typeof requestId === 'string') this.inFlight.set(requestId, controller);
 
     try {
       if (!this.validator.validateMessage(message, sender)) {
         throw new AIError('INVALID_MESSAGE', 'Malformed message or unknown sender');
       }
 
-      const data = await this.route(message.actionType, message.payload || {}, sender);
-      sendResponse({ success: true, data, requestId, processingTime: Date.now() - startTime });
+      const data = await this.route(
+        message.actionType,
+        message.payload || {},
+        sender,
+        sink,
+        controller.signal
+      );
+      return { success: true, data, requestId, processingTime: Date.now() - startTime };
     } catch (error) {
       /** @type {any} */
       const err = error;
       this.logger.error(`Action ${message?.actionType} failed`, err.message);
-      sendResponse({
+      return {
         success: false,
         error: err.message,
         errorCode: err.code || 'UNKNOWN_ERROR',
         requestId,
         processingTime: Date.now() - startTime
-      });
+      };
+    } finally {
+      if (this.inFlight.get(requestId) === controller) this.inFlight.delete(requestId);
     }
   }
 
+  /**
+   * @param {string} requestId
+   * @returns {boolean}  Whether a request with that id was still running.
+   */
+  cancelRequest(requestId) {
+    const controller = this.inFlight.get(requestId);
+    controller?.abort();
+    return Boolean(controller);
+  }
+
   /**
    * @param {string} actionType
    * @param {any} payload
-   * @param {chrome.runtime.MessageSender} sender
+   * @param {chrome.runtime.MessageSender | undefined} sender
+   * @param {StreamSink} [sink]  Only summary, chat, translation and table explanations stream;
+   *   a smart bookmark reports the progress of its summary.
+   * @param {AbortSignal} [signal]  Aborted by `CANCEL_REQUEST` for this request's id.
    * @returns {Promise<any>}
    */
-  async route(actionType, payload, sender) {
+  async route(actionType, payload, sender, sink, signal) {
     switch (actionType) {
       case 'GENERATE_CONTENT_SUMMARY':
-        return this.summarize(payload);
+        return this.summarize(payload, sink, signal);
 
       case 'ANSWER_CONTEXTUAL_QUESTION':
-        return this.answerQuestion(payload);
+        return this.answerQuestion(payload, sink?.delta, signal);
 
       case 'TRANSLATE_CONTENT':
-        return this.runTask('translation', { ...payload, content: payload.text });
+        return this.runTask('translation', { ...payload, content: payload.text }, sink?.delta, signal);
+
+      case 'EXPLAIN_TABLE':
+        return this.explainTable(payload, sink?.delta, signal);
 
       case 'ANALYZE_SENTIMENT': {
-        const result = await this.runTask('sentiment', { ...payload, content: payload.text });
-        return { ...result, ...parseSentiment(result.text) };
+        const result = await this.analyzeStructured('sentiment', payload, parseSentiment, signal);
+        return { ...result, ...result.data };
       }
 
       case 'EXTRACT_KEY_INSIGHTS':
-        return this.runTask('insights', { ...payload, content: payload.text });
+        return this.analyze('insights', payload, signal);
 
       case 'GENERATE_SMART_TAGS': {
-        const result = await this.runTask('tags', { ...payload, content: payload.text });
-        return { ...result, tags: parseTags(result.text) };
+        const result = await this.analyzeStructured('tags', payload, text => ({ tags: parseTags(text) }), signal);
+        return { ...result, tags: normalizeTags(result.data.tags) };
+      }
+
+      case 'EXTRACT_ENTITIES': {
+        const result = await this.analyzeStructured(
+          'entities',
+          payload,
+          text => ({ entities: parseEntities(text) }),
+          signal
+        );
+        return { ...result, entities: locateEntities(result.data.entities, payload.text) };
       }
 
-      case 'EXTRACT_ENTITIES':
-        return this.runTask('entities', { ...payload, content: payload.text });
+      case 'CANCEL_REQUEST':
+        return { cancelled: this.cancelRequest(payload.requestId) };
 
       case 'EXTRACT_PAGE_CONTENT':
         // The popup has no `sender.tab`, so it passes the id it queried itself.
         // Reading only `sender.tab.id` made every popup-initiated extraction fail.
-        return this.extractPageContent(payload.tabId ?? sender.tab?.id);
+        return this.extractPageContent(payload.tabId ?? sender?.tab?.id, payload.format);
 
       case 'GET_USER_PREFERENCES':
         return this.configManager.getUserPreferences();
@@ -146,10 +312,57 @@ class BackgroundService {
         return this.configManager.getProviderStatus();
 
       case 'GET_HISTORY':
-        return this.storageService.getAnalysisHistory();
+        return this.storageService.queryHistory(payload);
+
+      case 'SEARCH_HISTORY':
+        return this.storageService.searchHistory(payload);
+
+      case 'GET_SUMMARY':
+        return this.storageService.getSummary(payload.id);
+
+      case 'DELETE_HISTORY_ENTRY':
+        return {
+          deleted: payload.kind === 'chat'
+            ? await this.storageService.deleteChatSession(payload.id)
+            : await this.storageService.deleteSummary(payload.id)
+        };
+
+      case 'GET_CHAT_SESSION':
+        return this.storageService.findChatSession(payload.url);
 
-      case 'EXPORT_USER_DATA':
-        return this.storageService.exportUserData(payload);
+      case 'LIST_CHAT_SESSIONS':
+        return this.storageService.listChatSessions();
+
+      case 'RESUME_CHAT_SESSION':
+        return this.storageService.resumeChatSession(payload.id);
+
+      case 'DELETE_CHAT_SESSION':
+        return { deleted: await this.storageService.deleteChatSession(payload.id) };
+
+      case 'SAVE_SMART_BOOKMARK':
+        return this.saveSmartBookmark(payload, sink, signal);
+
+      case 'LIST_BOOKMARKS':
+        return this.storageService.listBookmarks(payload);
+
+      case 'OPEN_BOOKMARK':
+        return this.storageService.openBookmark(payload.id);
+
+      case 'DELETE_BOOKMARK':
+        return { deleted: await this.storageService.deleteBookmark(payload.id) };
+
+      case 'EXPORT_USER_DATA': {
+        const { vaultFilenameTemplate } = await this.configManager.getUserPreferences();
+        if (payload.format === 'vault') await this.tagSummaries();
+        return this.storageService.exportUserData({ filenameTemplate: vaultFilenameTemplate, ...payload });
+      }
+
+      // `data` is the export file's text. Nothing is written unless `dryRun` is false.
+      case 'IMPORT_USER_DATA':
+        return this.storageService.importUserData(payload.data, {
+          mode: payload.mode === 'merge' ? 'merge' : 'replace',
+          dryRun: payload.dryRun !== false
+        });
 
       default:
         throw new AIError('UNSUPPORTED_ACTION', `Unsupported action type: ${actionType}`);
@@ -161,37 +374,292 @@ class BackgroundService {
   /**
    * Run one AI task end to end.
    *
+   * When the user has set up a fallback list, a provider that is unavailable —
+   * timed out, unreachable, rate limited or failing server-side — hands the
+   * request to the next one in their order. Any other error, auth errors above
+   * all, is reported as is. `fallbackFrom` names the providers that were
+   * skipped, so a substituted answer is always labelled as one.
+   *
    * @param {string} task
    * @param {any} payload  Must carry `content` — the text to analyse.
-   * @returns {Promise<{ text: string, provider: string, model: string, truncated: boolean }>}
+   * @param {(text: string) => void} [onDelta]  When given, the reply is streamed through it.
+   * @param {AbortSignal} [signal]  Cancels the provider call; the task then fails with `CANCELLED`.
+   * @returns {Promise<TaskResult>}
    */
-  async runTask(task, payload) {
+  async runTask(task, payload, onDelta, signal) {
     const content = (payload.content || '').trim();
     if (!content) {
       throw new AIError('NO_CONTENT', 'No page content available for this action');
     }
 
-    const client = await this.configManager.createAIClient();
+    const clients = await this.configManager.createAIClients();
     const prompt = buildPrompt(task, { ...payload, content, text: content, context: content });
-    const text = await client.complete(prompt.system, prompt.user, prompt.maxTokens);
+    /** @type {string[]} */
+    const fallbackFrom = [];
+    let streamed = false;
+
+    for (const [index, client] of clients.entries()) {
+      await this.enforceBudget(client);
+      try {
+        let data = null;
+        let text;
+        if (prompt.output) {
+          data = await client.completeStructured(prompt.system, prompt.user, prompt.maxTokens, prompt.output, signal);
+          text = JSON.stringify(data);
+        } else {
+          const messages = prompt.messages || [{ role: 'user', content: prompt.user }];
+          text = await client.chat(prompt.system, messages, prompt.maxTokens, onDelta && (delta => {
+            streamed = true;
+            onDelta(delta);
+          }), signal);
+        }
+
+        await this.recordUsage(client);
+        return {
+          text,
+          data,
+          provider: client.provider,
+          model: client.model,
+          truncated: wasTruncated(content),
+          fallbackFrom,
+          usage: client.usage
+        };
+      } catch (error) {
+        // A reply that failed validation was still billed.
+        if (client.usage) await this.recordUsage(client);
+        // Once text has reached the popup, a second provider's answer would be
+        // spliced onto the first one's; report the failure instead.
+        if (index === clients.length - 1 || streamed || !isUnavailableError(error)) throw error;
+
+        /** @type {any} */
+        const err = error;
+        this.logger.warn(`${client.provider} unavailable, falling back`, err.message);
+        fallbackFrom.push(client.provider);
+      }
+    }
+    // Unreachable: the last client's failure is rethrown above.
+    throw new AIError('PROVIDER_ERROR', 'No provider answered');
+  }
+
+  /**
+   * How much of a provider's monthly budget is used, or null when it has none.
+   *
+   * @param {string} provider
+   * @returns {Promise<{ budget: import('./core/usage.js').Budget, spent: number } | null>}
+   */
+  async budgetStatus(provider) {
+    const { budgets, prices } = await this.configManager.getUserPreferences();
+    const budget = budgets[provider];
+    if (!budget || !(budget.limit > 0)) return null;
+
+    const rows = await this.storageService.getMonthlyUsage();
+    return { budget, spent: budgetSpent(rows, provider, budget.unit, prices) };
+  }
+
+  /**
+   * Refuse before spending anything once a provider's monthly budget is used
+   * up. A provider over budget is not "unavailable": the user capped it, so
+   * the fallback chain does not quietly route around the cap.
+   *
+   * @param {AIClient} client
+   */
+  async enforceBudget(client) {
+    const status = await this.budgetStatus(client.provider);
+    if (!status || status.spent < status.budget.limit) return;
+
+    const { budget, spent } = status;
+    const resets = new Date(startOfNextMonth(Date.now())).toLocaleDateString(undefined, {
+      day: 'numeric',
+      month: 'long'
+    });
+    throw new AIError(
+      'BUDGET_EXCEEDED',
+      `${client.spec.label} has used its monthly budget ` +
+        `(${formatBudgetAmount(spent, budget.unit)} of ${formatBudgetAmount(budget.limit, budget.unit)}). ` +
+        `It resets on ${resets}, or raise it in the extension options page.`
+    );
+  }
+
+  /**
+   * Warn once a month when a provider passes `BUDGET_WARNING_RATIO` of its budget.
+   *
+   * @param {AIClient} client
+   */
+  async warnNearBudget(client) {
+    const status = await this.budgetStatus(client.provider);
+    if (!status || status.spent < status.budget.limit * BUDGET_WARNING_RATIO) return;
+
+    const month = monthKey(Date.now());
+    const warned = await this.storageService.getBudgetWarnings(month);
+    if (warned.includes(client.provider)) return;
+
+    const { budget, spent } = status;
+    this.notificationManager.showWarning(
+      `${client.spec.label} budget`,
+      `${Math.floor((spent / budget.limit) * 100)}% of this month's ` +
+        `${formatBudgetAmount(budget.limit, budget.unit)} budget used.`
+    );
+    await this.storageService.markBudgetWarned(client.provider, month);
+  }
+
+  /**
+   * Add a finished request's tokens to the usage ledger and warn if that puts
+   * the provider near its budget. Bookkeeping must never cost the user an
+   * answer they have already paid for, so failures are logged rather than thrown.
+   *
+   * @param {AIClient} client
+   */
+  async recordUsage(client) {
+    if (!client.usage) return;
+    try {
+      await this.storageService.recordUsage({
+        provider: client.provider,
+        model: client.model,
+        ...client.usage
+      });
+      await this.warnNearBudget(client);
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      this.logger.warn('Could not record token usage', err.message);
+    }
+  }
+
+  /**
+   * Run an analysis task over the `text` the popup sent.
+   *
+   * @param {string} task
+   * @param {any} payload
+   * @param {AbortSignal} [signal]
+   */
+  analyze(task, payload, signal) {
+    return this.runTask(task, { ...payload, content: payload.text }, undefined, signal);
+  }
+
+  /**
+   * Run an analysis task that has a schema, asking for structured output. A
+   * provider that cannot produce it — it returned free text or invalid JSON, or
+   * rejected the structured request outright — is asked again for the plain
+   * line format, which `parseText` turns into the same shape.
+   *
+   * @param {string} task
+   * @param {any} payload
+   * @param {(text: string) => any} parseText
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<TaskResult>}
+   */
+  async analyzeStructured(task, payload, parseText, signal) {
+    try {
+      return await this.runTask(task, { ...payload, content: payload.text, structured: true }, undefined, signal);
+    } catch (error) {
+      if (!(error instanceof AIError)) throw error;
+      const unsupported = error.code === 'INVALID_OUTPUT' || (error.code === 'PROVIDER_ERROR' && error.status === 400);
+      if (!unsupported) throw error;
+      this.logger.warn(`Structured ${task} output unavailable, parsing text instead`, error.message);
+    }
+    const result = await this.analyze(task, payload, signal);
+    return { ...result, data: parseText(result.text) };
+  }
+
+  /**
+   * Summarize text of any length. Text that fits one request is summarized
+   * directly. Longer text is split at its headings, each part is summarized,
+   * and the part summaries are combined. The request count is bounded: only
+   * the first `MAX_SUMMARY_PARTS` parts are read, and part summaries still
+   * too long to combine after `MAX_CONDENSE_PASSES` are clipped. Either sets
+   * `truncated`.
+   *
+   * @param {any} payload  `content`, plus the page's `headings` when known.
+   * @param {StreamSink} [sink]
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ text: string, provider: string, model: string, parts: number, truncated: boolean,
+   *   fallbackFrom: string[] }>}
+   */
+  async summarizeContent(payload, sink, signal) {
+    const content = (payload.content || '').trim();
+    const allChunks = splitIntoChunks(content, payload.headings || []);
+    const chunks = allChunks.slice(0, MAX_SUMMARY_PARTS);
 
+    if (chunks.length === 1) {
+      const { text, provider, model, truncated, fallbackFrom } =
+        await this.runTask('summary', payload, sink?.delta, signal);
+      return { text, provider, model, parts: 1, truncated, fallbackFrom };
+    }
+
+    // Each part may have been answered by a different provider; report every
+    // one that was skipped along the way.
+    /** @type {Set<string>} */
+    const fallbackFrom = new Set();
+    /** @type {string[]} */
+    let partials = [];
+    for (const [index, chunk] of chunks.entries()) {
+      sink?.progress({ completed: index, total: chunks.length });
+      const part = await this.runTask('summary-part', {
+        ...payload,
+        content: chunk,
+        part: index + 1,
+        parts: chunks.length
+      }, undefined, signal);
+      part.fallbackFrom.forEach(provider => fallbackFrom.add(provider));
+      partials.push(`Part ${index + 1}:\n${part.text}`);
+    }
+    sink?.progress({ completed: chunks.length, total: chunks.length });
+
+    // Part summaries of a very long page can outgrow one request themselves;
+    // condense them in groups until they fit, or the passes run out and the
+    // combining request clips them.
+    for (let pass = 1; pass <= MAX_CONDENSE_PASSES && partials.join('\n\n').length > MAX_CONTENT_CHARS; pass++) {
+      const groups = splitIntoChunks(partials.join('\n\n'));
+      partials = [];
+      for (const [index, group] of groups.entries()) {
+        sink?.progress({ completed: index, total: groups.length, pass });
+        const part = await this.runTask('summary-part', {
+          ...payload,
+          content: group,
+          part: index + 1,
+          parts: groups.length
+        }, undefined, signal);
+        part.fallbackFrom.forEach(provider => fallbackFrom.add(provider));
+        partials.push(`Part ${index + 1}:\n${part.text}`);
+      }
+      sink?.progress({ completed: groups.length, total: groups.length, pass });
+    }
+
+    const combined = await this.runTask(
+      'summary-combine',
+      { ...payload, content: partials.join('\n\n') },
+      sink?.delta,
+      signal
+    );
+    combined.fallbackFrom.forEach(provider => fallbackFrom.add(provider));
     return {
-      text,
-      provider: client.provider,
-      model: client.model,
-      truncated: wasTruncated(content)
+      text: combined.text,
+      provider: combined.provider,
+      model: combined.model,
+      parts: chunks.length,
+      truncated: allChunks.length > chunks.length || combined.truncated,
+      fallbackFrom: [...fallbackFrom]
     };
   }
 
-  /** @param {any} payload */
-  async summarize(payload) {
-    const result = await this.runTask('summary', payload);
+  /**
+   * @param {any} payload
+   * @param {StreamSink} [sink]
+   * @param {AbortSignal} [signal]
+   */
+  async summarize(payload, sink, signal) {
+    const result = await this.summarizeContent(payload, sink, signal);
 
+    // The page is recorded so the History tab can filter by site and re-run
+    // the summary when the popup is next opened there.
     await this.storageService.saveSummaryHistory({
+      url: payload.url,
+      title: payload.title,
       originalContent: payload.content.slice(0, 500),
       summary: result.text,
       options: { type: payload.summaryType, length: payload.targetLength },
       provider: result.provider,
+      model: result.model,
       timestamp: Date.now()
     });
 
@@ -205,42 +673,195 @@ class BackgroundService {
     };
   }
 
-  /** @param {any} payload */
-  async answerQuestion(payload) {
+  /**
+   * Bookmark the page with a TL;DR and tags, made by the same tasks the
+   * Summary and Analyze tabs run. Tags are a nicety: if they fail the
+   * bookmark is saved without them, since the summary is already paid for.
+   * Like a summary's, they are made from the summary, not the page.
+   *
+   * @param {any} payload  The page's `url`, `title`, `content` and `headings`.
+   * @param {StreamSink} [sink]
+   * @param {AbortSignal} [signal]
+   */
+  async saveSmartBookmark(payload, sink, signal) {
+    if (!payload.url) {
+      throw new AIError('NO_CONTENT', 'This page has no address to bookmark');
+    }
+
+    const summary = await this.summarizeContent(
+      { ...payload, summaryType: 'tldr', targetLength: 'short' },
+      sink,
+      signal
+    );
+
+    const tags = await this.tagText(summary.text, 'smart bookmark', signal);
+    const bookmark = {
+      url: payload.url,
+      title: payload.title,
+      summary: summary.text,
+      tags,
+      provider: summary.provider,
+      model: summary.model
+    };
+    const id = await this.storageService.saveIntelligentBookmark(bookmark);
+    return { ...bookmark, id };
+  }
+
+  /**
+   * Topic tags for `text`, as the Analyze tab makes them.
+   *
+   * @param {string} text
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string[]>}
+   */
+  async tagsFor(text, signal) {
+    const result = await this.analyzeStructured('tags', { text }, reply => ({ tags: parseTags(reply) }), signal);
+    return normalizeTags(result.data.tags);
+  }
+
+  /**
+   * `tagsFor()`, where tags are a nicety: if they fail, what they label is
+   * saved without them.
+   *
+   * @param {string} text
+   * @param {string} label  What is being tagged, for the log.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string[]>}
+   */
+  async tagText(text, label, signal) {
+    try {
+      return await this.tagsFor(text, signal);
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      if (err.code === 'CANCELLED') throw error;
+      this.logger.warn(`Could not tag ${label}`, err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Tag the summaries saved without tags, for the front matter of vault
+   * notes, and keep the tags so the next export does not pay for them again.
+   * Summaries are only tagged when a vault is exported, not each time one is
+   * made. Tagging stops at the first failure, likely one every summary would
+   * hit, and the rest are exported untagged.
+   */
+  async tagSummaries() {
+    for (const summary of await this.storageService.listUntaggedSummaries()) {
+      let tags;
+      try {
+        tags = await this.tagsFor(String(summary.summary || ''));
+      } catch (error) {
+        /** @type {any} */
+        const err = error;
+        this.logger.warn('Could not tag summaries for the vault', err.message);
+        return;
+      }
+      await this.storageService.setSummaryTags(summary.id, tags);
+    }
+  }
+
+  /**
+   * Explain one table from the page, or answer a question about it.
+   *
+   * @param {any} payload  The `table` as content.js extracted it, and an optional `question`.
+   * @param {(text: string) => void} [onDelta]
+   * @param {AbortSignal} [signal]
+   */
+  async explainTable(payload, onDelta, signal) {
+    if (payload.question && !this.validator.isValidQuestion(payload.question)) {
+      throw new AIError('INVALID_QUESTION', 'Question is empty or too long');
+    }
+    return this.runTask('table', { ...payload, content: tableToMarkdown(payload.table) }, onDelta, signal);
+  }
+
+  /**
+   * @param {any} payload
+   * @param {(text: string) => void} [onDelta]
+   * @param {AbortSignal} [signal]
+   */
+  async answerQuestion(payload, onDelta, signal) {
     if (!this.validator.isValidQuestion(payload.question)) {
       throw new AIError('INVALID_QUESTION', 'Question is empty or too long');
     }
 
-    const result = await this.runTask('question', { ...payload, content: payload.context });
+    const result = await this.runTask(
+      'question',
+      { ...payload, content: payload.context },
+      onDelta,
+      signal
+    );
 
-    await this.storageService.updateConversationHistory({
-      question: payload.question,
-      answer: result.text,
-      context: (payload.context || '').slice(0, 200),
-      timestamp: Date.now()
-    });
+    const sessionId = await this.saveChatTurn(payload, result);
+    return { ...result, answer: result.text, sessionId };
+  }
 
-    return { ...result, answer: result.text };
+  /**
+   * File a question and its answer under the page's chat session, unless the
+   * user turned history off. A failed write is logged rather than thrown: the
+   * answer has already been paid for and should still reach the user.
+   *
+   * @param {any} payload  The question payload; `url` and `sessionId` come from the popup.
+   * @param {TaskResult} result
+   * @returns {Promise<string | null>}  The session's id, or null when nothing was saved.
+   */
+  async saveChatTurn(payload, result) {
+    if (!payload.url) return null;
+    try {
+      const { features } = await this.configManager.getUserPreferences();
+      if (!features.saveHistory) return null;
+
+      const session = await this.storageService.appendChatTurn({
+        sessionId: payload.sessionId,
+        url: payload.url,
+        title: payload.title,
+        question: payload.question,
+        answer: result.text,
+        provider: result.provider,
+        model: result.model
+      });
+      return session.id;
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      this.logger.warn('Could not save chat session', err.message);
+      return null;
+    }
   }
 
   /**
-   * Ask the content script for the page text.
+   * Ask the content script for the page text. Cross-origin frames in it are
+   * then asked for their own, which takes the place of their markers. A PDF
+   * is read here instead, since no content script runs in the PDF viewer.
    *
    * @param {number | undefined} tabId
+   * @param {'text' | 'markdown'} [format]  `markdown` adds the content as
+   *   Markdown alongside the plain `mainText`.
    * @returns {Promise<any>}
    */
-  async extractPageContent(tabId) {
+  async extractPageContent(tabId, format = 'text') {
     if (!tabId) {
       throw new AIError('NO_TAB', 'No active tab to read content from');
     }
 
+    const tab = await chrome.tabs.get(tabId);
+    if (isPdfUrl(tab.url)) {
+      return this.extractPdfContent(tab, false);
+    }
+
     let response;
     try {
-      response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent' });
+      response = await chrome.tabs.sendMessage(tabId, { action: 'extractContent', format }, { frameId: 0 });
     } catch (error) {
       /** @type {any} */
       const err = error;
-      // Content scripts do not run on chrome:// pages, the Web Store, or PDFs.
+      // A PDF at an address without a .pdf extension is recognised by its
+      // content type once the content script turns out to be missing.
+      const pdf = /^https?:/.test(tab.url || '') ? await this.extractPdfContent(tab, true) : null;
+      if (pdf) return pdf;
+
+      // Content scripts do not run on chrome:// pages or the Web Store.
       throw new AIError(
         'CONTENT_SCRIPT_UNAVAILABLE',
         `Cannot read this page (${err.message}). Extensions cannot access browser pages or the Chrome Web Store.`
@@ -250,7 +871,115 @@ class BackgroundService {
     if (!response?.success) {
       throw new AIError('EXTRACTION_FAILED', response?.error || 'Content extraction failed');
     }
-    return response.data;
+    return this.mergeFrames(tabId, response.data, format);
+  }
+
+  /**
+   * Download the PDF a tab shows — with the user's cookies, for PDFs behind
+   * a login — and read its text. Each page starts with a `[Page N]` line that
+   * prompts cite from, and is listed as a heading so a long PDF is
+   * summarized in runs of whole pages.
+   *
+   * @param {chrome.tabs.Tab} tab
+   * @param {boolean} sniff  The address does not say it is a PDF: return
+   *   null, having read no more than the headers, unless the server does.
+   * @returns {Promise<any>}  Shaped as content.js returns a page, with
+   *   `contentFormat: 'pdf'` and `pageCount`.
+   */
+  async extractPdfContent(tab, sniff) {
+    const url = tab.url || '';
+    let response;
+    try {
+      response = await fetch(url, { credentials: 'include' });
+    } catch (error) {
+      if (sniff) return null;
+      /** @type {any} */
+      const err = error;
+      throw new AIError('PDF_UNAVAILABLE', `Could not download this PDF (${err.message})`);
+    }
+
+    const type = response.headers.get('content-type') || '';
+    if (sniff && (!response.ok || !type.includes('application/pdf'))) {
+      await response.body?.cancel();
+      return null;
+    }
+    if (!response.ok) {
+      throw new AIError('PDF_UNAVAILABLE', `Could not download this PDF (HTTP ${response.status})`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_PDF_BYTES) {
+      await response.body?.cancel();
+      throw new AIError('PDF_TOO_LARGE', `PDFs over ${MAX_PDF_BYTES / 1024 / 1024} MB cannot be read`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_PDF_BYTES) {
+      throw new AIError('PDF_TOO_LARGE', `PDFs over ${MAX_PDF_BYTES / 1024 / 1024} MB cannot be read`);
+    }
+    if (!isPdf(bytes)) {
+      throw new AIError('PDF_UNREADABLE', 'This address did not return a PDF file');
+    }
+
+    let pages;
+    try {
+      pages = await extractPdfPages(bytes);
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      throw new AIError('PDF_UNREADABLE', err.message);
+    }
+    const mainText = pdfPagesToText(pages);
+    if (!mainText) {
+      throw new AIError('PDF_UNREADABLE', 'This PDF has no text to read; it may be scanned images');
+    }
+
+    return {
+      title: tab.title || decodeURIComponent(new URL(url).pathname.split('/').pop() || 'PDF document'),
+      url,
+      domain: new URL(url).hostname,
+      mainText,
+      contentFormat: 'pdf',
+      pageCount: pages.length,
+      headings: pages.flatMap((text, index) => text ? [{ level: 1, text: pageMarker(index + 1) }] : []),
+      metadata: {},
+      language: 'unknown',
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Replace each frame marker in `page` with that frame's text, asking each
+   * marked frame by its frame id. A frame that cannot answer — sandboxed,
+   * gone, or with nothing that reads as content — is left out.
+   *
+   * @param {number} tabId
+   * @param {any} page
+   * @param {'text' | 'markdown'} format
+   * @returns {Promise<any>}
+   */
+  async mergeFrames(tabId, page, format) {
+    const ids = new Set([...page.mainText.matchAll(FRAME_MARKER)].map(match => Number(match[2])));
+    if (!ids.size) return page;
+
+    /** @type {Map<number, { mainText: string, markdown?: string }>} */
+    const frames = new Map();
+    await Promise.all([...ids].map(async frameId => {
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'extractFrame', format }, { frameId });
+        if (response?.success) frames.set(frameId, response.data);
+      } catch (error) {
+        /** @type {any} */
+        const err = error;
+        this.logger.warn(`Could not read frame ${frameId}`, err.message);
+      }
+    }));
+
+    return {
+      ...page,
+      mainText: fillFrameMarkers(page.mainText, id => frames.get(id)?.mainText),
+      ...(page.markdown === undefined
+        ? {}
+        : { markdown: fillFrameMarkers(page.markdown, id => frames.get(id)?.markdown) })
+    };
   }
 
   // ------------------------------------------------------------ context menus
@@ -280,17 +1009,20 @@ class BackgroundService {
     if (!entry) return;
 
     try {
-      const content = entry.source === 'selection'
-        ? info.selectionText || ''
-        : (await this.extractPageContent(tab?.id)).mainText;
+      const page = entry.source === 'page' ? await this.extractPageContent(tab?.id, 'markdown') : null;
 
       const settings = await this.configManager.getUserPreferences();
-      const result = await this.runTask(entry.task, {
-        content,
+      const payload = {
+        content: page ? page.markdown ?? page.mainText : info.selectionText || '',
+        contentFormat: page?.markdown ? 'markdown' : page?.contentFormat || 'text',
+        headings: page?.headings,
         summaryType: settings.summaryType,
         targetLength: 'short',
         targetLanguage: settings.targetLanguage
-      });
+      };
+      const result = entry.task === 'summary'
+        ? await this.summarizeContent(payload)
+        : await this.runTask(entry.task, payload);
 
       this.notificationManager.showSuccess(entry.title, truncateForNotification(result.text));
     } catch (error) {
@@ -319,6 +1051,27 @@ class BackgroundService {
     await this.createContextMenus();
     if (details.reason === 'install') {
       chrome.runtime.openOptionsPage();
+    } else if (details.reason === 'update') {
+      await this.migrateStoredData(details.previousVersion);
+    }
+  }
+
+  /**
+   * Bring what an earlier version stored up to the current schema. A failure
+   * is logged rather than thrown: the data stays as it was, and is migrated
+   * on the next update.
+   *
+   * @param {string | undefined} previousVersion
+   */
+  async migrateStoredData(previousVersion) {
+    try {
+      const preferences = await this.configManager.migratePreferences();
+      const history = await this.storageService.migrateHistory();
+      this.logger.info(`Migrated stored data from ${previousVersion || 'an earlier version'}`, { preferences, history });
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      this.logger.error('Stored data migration failed', err.message);
     }
   }
 
@@ -326,10 +1079,32 @@ class BackgroundService {
   async handleAlarm(alarm) {
     if (alarm.name === 'cleanupOldData') {
       await this.storageService.cleanupOldData();
+    } else if (alarm.name === 'resetMonthlyBudgets') {
+      // Spending itself needs no reset — the ledger is summed per calendar
+      // month — but this month's warnings must be allowed to fire again.
+      await this.storageService.clearBudgetWarnings();
+      chrome.alarms.create('resetMonthlyBudgets', { when: startOfNextMonth(Date.now()) });
     }
   }
 }
 
+/**
+ * Put each frame's text where its marker is, or drop the marker and the
+ * blank line around it. Frames are merged one level deep: markers in a
+ * frame's own text are dropped.
+ *
+ * @param {string} text
+ * @param {(frameId: number) => string | undefined} textFor
+ * @returns {string}
+ */
+function fillFrameMarkers(text, textFor) {
+  return text.replace(FRAME_MARKER, (_marker, before = '', id, after = '') => {
+    const frameText = fillFrameMarkers(textFor(Number(id)) || '', () => undefined).trim();
+    if (frameText) return before + frameText + after;
+    return before && after ? '\n\n' : '';
+  });
+}
+
 /**
  * Chrome notifications silently drop bodies over ~250 characters.
  *
@@ -4,12 +4,73 @@
  *
  * This script only ever reads. It does not modify the page, inject styles, or
  * send anything anywhere — the background service worker is the only component
- * that talks to a network.
+ * that talks to a network. Showing the user a mention scrolls and selects; the
+ * DOM is left as it was.
+ *
+ * It runs in every frame. The top frame answers every request; another frame
+ * answers only `extractFrame`, which the background sends to it by frame id
+ * when the top frame could not read it itself.
+ */
+
+/** Where to look when no block of the page scores as content, e.g. a very short page. */
+const MAIN_SELECTORS = [
+  'article', '[role="main"]', 'main', '.post-content', '.entry-content',
+  '#content', '.story-body', 'body'
+];
+
+/** Page chrome left out of the extracted text. */
+const UNWANTED_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'button', 'dialog',
+  'nav', 'header', 'footer', 'aside',
+  '.ad', '.sidebar', '.comments',
+  '[role="navigation"]', '[role="banner"]', '[role="dialog"]', '[role="alertdialog"]',
+  '[role="complementary"]', '[role="contentinfo"]', '[hidden]', '[aria-hidden="true"]'
+].join(',');
+
+// Class and id heuristics, after Mozilla's Readability. A block whose class or
+// id looks like page furniture is never scored as content, unless it also
+// looks like a content container ("sidebar-content" vs "sidebar").
+const UNLIKELY_NAMES = /-ad-|^ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|widget/i;
+const MAYBE_CONTENT_NAMES = /article|body|column|content|main|shadow/i;
+const POSITIVE_NAMES = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|prose|markdown/i;
+const NEGATIVE_NAMES = /-ad-|hidden|banner|combx|comment|com-|contact|consent|cookie|footer|gdpr|masthead|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|teaser|widget/i;
+
+/** Blocks whose text counts toward their ancestors' scores. */
+const PARAGRAPH_TAGS = new Set(['P', 'PRE', 'TD', 'BLOCKQUOTE']);
+
+/** Elements that start a new line of extracted text. */
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY',
+  'TABLE', 'TR', 'UL'
+]);
+
+/** Blocks that follow each other on consecutive lines rather than as paragraphs. */
+const TIGHT_TAGS = new Set(['LI', 'DT', 'DD', 'TR']);
+
+/** Largest row or column span honoured; browsers clamp larger ones too. */
+const MAX_SPAN = 1000;
+
+/** Containers dropped from the chosen content when they look like link lists or widgets. */
+const CONDITIONAL_TAGS = new Set(['DIV', 'SECTION', 'UL', 'OL', 'FORM', 'FIELDSET']);
+
+/**
+ * Brackets the frame id of a cross-origin frame in extracted text, where the
+ * background puts that frame's own text. Private-use characters, so no page
+ * text can be mistaken for one; background.js matches the same pair.
  */
+const FRAME_MARKER_OPEN = '\uE000';
+const FRAME_MARKER_CLOSE = '\uE001';
+
+/** Documents last seen to hold open shadow roots, which plain DOM queries do not enter. */
+const shadowDocuments = new WeakSet();
 
 class PageContentExtractor {
   constructor() {
     chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+      // Not answering leaves the reply to the frame the message is for.
+      if ((request.action === 'extractFrame') === (window === window.top)) return false;
+
       this.handleMessage(request)
         .then(data => sendResponse({ success: true, data }))
         .catch(/** @param {any} error */ error =>
@@ -26,7 +87,9 @@ class PageContentExtractor {
   async handleMessage(request) {
     switch (request.action) {
       case 'extractContent':
-        return this.extractPageContent();
+        return this.extractPageContent(request.format);
+      case 'extractFrame':
+        return this.extractFrameContent(request.format);
       case 'extractSelection':
         return this.extractSelectedText();
       case 'getPageMetadata':
@@ -35,17 +98,28 @@ class PageContentExtractor {
         return this.extractLinks();
       case 'extractImages':
         return this.extractImages();
+      case 'extractTables':
+        return this.extractTables();
+      case 'scrollToMention':
+        return this.scrollToMention(request.name, request.offset);
       default:
         throw new Error(`Unknown action: ${request.action}`);
     }
   }
 
-  extractPageContent() {
+  /**
+   * @param {'text' | 'markdown'} [format]  With `markdown`, the content is
+   *   also returned as `markdown`, keeping headings, lists, tables, code and
+   *   link targets. `mainText` is always plain text; entity offsets and
+   *   scrolling refer to it.
+   */
+  extractPageContent(format = 'text') {
     return {
       title: this.getPageTitle(),
       url: window.location.href,
       domain: window.location.hostname,
       mainText: this.getMainText(),
+      ...(format === 'markdown' ? { markdown: this.getMainMarkdown() } : {}),
       headings: this.extractHeadings(),
       metadata: this.getPageMetadata(),
       language: document.documentElement.lang || 'unknown',
@@ -53,39 +127,132 @@ class PageContentExtractor {
     };
   }
 
+  /**
+   * This frame's content, to be merged into the top frame's. A frame where
+   * nothing scores as content — an ad, a widget — gives empty text rather
+   * than its whole body.
+   *
+   * @param {'text' | 'markdown'} [format]
+   */
+  extractFrameContent(format = 'text') {
+    const roots = findContentElements(document, false);
+    return {
+      mainText: this.getMainText(roots),
+      ...(format === 'markdown' ? { markdown: this.getMainMarkdown(roots) } : {})
+    };
+  }
+
   getPageTitle() {
     return document.title || document.querySelector('h1')?.textContent?.trim() || 'Untitled Page';
   }
 
   /**
-   * Take the most specific container that looks like article content, then strip
-   * chrome (nav, ads, comments) from a clone so the live page is never touched.
+   * The text of the page's content blocks, one paragraph per line, with page
+   * chrome inside them (share bars, related links, ads) left out. Text in
+   * open shadow roots and same-origin frames is read in place; a cross-origin
+   * frame leaves a marker.
+   *
+   * @param {Element[]} [roots]
+   * @returns {string}
+   */
+  getMainText(roots = findContentElements()) {
+    /** @type {{ text: string, tight: boolean }[]} */
+    const blocks = [];
+    let text = '';
+    let tight = false;
+    const endBlock = () => {
+      const line = text.replace(/[ \t\r\n\f]+/g, ' ').trim();
+      if (line) blocks.push({ text: line, tight });
+      text = '';
+    };
+
+    walkContent(roots, {
+      text: node => { text += node.data; },
+      enter: element => {
+        endBlock();
+        tight = TIGHT_TAGS.has(element.tagName);
+      },
+      leave: endBlock,
+      preformatted: element => {
+        endBlock();
+        const code = (element.textContent || '').replace(/\s+$/, '');
+        if (code.trim()) blocks.push({ text: code, tight: false });
+      },
+      frame: frame => {
+        endBlock();
+        const marker = frameMarker(frame);
+        if (marker) blocks.push({ text: marker, tight: false });
+      }
+    });
+    endBlock();
+
+    return blocks
+      .map((block, index) => {
+        const previous = blocks[index - 1];
+        if (!previous) return block.text;
+        return `${previous.tight && block.tight ? '\n' : '\n\n'}${block.text}`;
+      })
+      .join('');
+  }
+
+  /**
+   * The same content as `getMainText()`, as Markdown.
    *
+   * @param {Element[]} [roots]
    * @returns {string}
    */
-  getMainText() {
-    const selectors = [
-      'article', '[role="main"]', 'main', '.post-content', '.entry-content',
-      '#content', '.story-body', 'body'
-    ];
-    const mainElement = selectors
-      .map(selector => document.querySelector(selector))
-      .find(element => element);
-
-    if (!mainElement) return '';
-
-    const clone = /** @type {HTMLElement} */ (mainElement.cloneNode(true));
-    const unwanted = [
-      'script', 'style', 'noscript', 'nav', 'header', 'footer', 'aside',
-      '.ad', '.sidebar', '.comments', '[role="navigation"]', '[role="banner"]'
-    ];
-    unwanted.forEach(selector => {
-      clone.querySelectorAll(selector).forEach(element => element.remove());
+  getMainMarkdown(roots = findContentElements()) {
+    return roots.flatMap(markdownBlocks).join('\n\n');
+  }
+
+  /**
+   * Scroll to and select the mention of `name` that starts at `offset` in the
+   * extracted text. The offset is turned into "the nth match", and the nth
+   * match is found in the live text of the same container, so the two stay in
+   * step even though innerText and the DOM space things differently.
+   *
+   * @param {string} name
+   * @param {number} offset
+   * @returns {{ found: boolean }}
+   */
+  scrollToMention(name, offset) {
+    const roots = findContentElements();
+    if (!roots.length || !name) return { found: false };
+
+    const before = this.getMainText(roots).slice(0, Math.max(0, offset));
+    const occurrence = before.match(mentionPattern(name))?.length || 0;
+
+    // The same nodes getMainText() read, so the nth match here is the nth there.
+    /** @type {Text[]} */
+    const nodes = [];
+    walkContent(roots, {
+      text: node => { nodes.push(node); },
+      preformatted: element => {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) nodes.push(/** @type {Text} */ (walker.currentNode));
+      }
     });
 
-    // innerText (not textContent) so hidden elements stay out and block-level
-    // structure survives as line breaks.
-    return (clone.innerText || clone.textContent || '').trim();
+    // A mention can span nodes ("Ada <b>Lovelace</b>"), so search their
+    // concatenation and map the match back.
+    const text = nodes.map(node => node.data).join('');
+    const matches = [...text.matchAll(mentionPattern(name))];
+    const match = matches[occurrence] || matches[0];
+    if (!match || match.index === undefined) return { found: false };
+
+    const start = locateInNodes(nodes, match.index);
+    const end = locateInNodes(nodes, match.index + match[0].length);
+    // The mention may be in a same-origin frame, whose document owns the range.
+    const owner = start.node.ownerDocument;
+    const range = owner.createRange();
+    range.setStart(start.node, start.offset);
+    if (end.node.ownerDocument === owner) range.setEnd(end.node, end.offset);
+
+    range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const selection = owner.defaultView?.getSelection();
+    selection?.removeAllRanges();
+    selection?.addRange(range);
+    return { found: true };
   }
 
   extractHeadings() {
@@ -114,6 +281,30 @@ class PageContentExtractor {
     return text ? { text } : null;
   }
 
+  /**
+   * Every data table on the page, as text. A cell spanning several rows or
+   * columns fills each of them, so rows line up with `headers`.
+   *
+   * @returns {{ caption: string, headers: string[], rows: string[][] }[]}
+   */
+  extractTables() {
+    noteShadowRoots(document);
+    return /** @type {HTMLTableElement[]} */ (findAll(document, 'table'))
+      .filter(table => !table.closest(UNWANTED_SELECTORS) && !isLayoutTable(table))
+      .map(table => {
+        const grid = tableGrid(table, cell => squash(cell.textContent || ''));
+        const headerRows = table.tHead?.rows.length
+          || (table.rows[0] && [...table.rows[0].cells].every(cell => cell.tagName === 'TH') ? 1 : 0);
+        return {
+          caption: squash(table.caption?.textContent || table.getAttribute('aria-label') || ''),
+          // With several header rows, the last names the columns.
+          headers: grid[headerRows - 1] || [],
+          rows: grid.slice(headerRows).filter(row => row.some(Boolean))
+        };
+      })
+      .filter(table => table.rows.length);
+  }
+
   extractLinks() {
     return Array.from(document.querySelectorAll('a[href]'))
       .map(anchor => {
@@ -139,4 +330,667 @@ class PageContentExtractor {
   }
 }
 
+/**
+ * The content of `doc`: the block that scores highest as article text, plus
+ * any sibling that scores nearly as well — an article split into several
+ * containers, or a lead paragraph placed just before it. Pages too short to
+ * score fall back to the first of `MAIN_SELECTORS` present, unless
+ * `fallback` is false.
+ *
+ * @param {Document} [doc]
+ * @param {boolean} [fallback]
+ * @returns {Element[]}
+ */
+function findContentElements(doc = document, fallback = true) {
+  noteShadowRoots(doc);
+  const scores = scoreCandidates(doc.body);
+  const [top, topScore] = bestCandidate(scores);
+  if (!top) {
+    const main = fallback && MAIN_SELECTORS.map(selector => doc.querySelector(selector)).find(Boolean);
+    return main ? [main] : [];
+  }
+
+  // The top block's siblings, in a shadow root when it is at the top of one.
+  const parent = /** @type {ParentNode | null} */ (top.parentNode);
+  if (!parent || top === doc.body) return [top];
+  const threshold = Math.max(10, topScore * 0.2);
+  return [...parent.children].filter(sibling => {
+    if (sibling === top) return true;
+    const bonus = nameWeight(sibling) > 0 && nameWeight(sibling) === nameWeight(top) ? topScore * 0.2 : 0;
+    if ((scores.get(sibling) || 0) + bonus >= threshold) return true;
+    if (sibling.tagName !== 'P' || isUnwanted(sibling)) return false;
+
+    const text = textOf(sibling);
+    const density = linkDensity(sibling, text);
+    return text.length > 80 ? density < 0.25 : density === 0 && /\.( |$)/.test(text);
+  });
+}
+
+/**
+ * @param {Map<Element, number>} scores
+ * @returns {[Element | null, number]}
+ */
+function bestCandidate(scores) {
+  return [...scores].reduce(
+    (best, entry) => entry[1] > best[1] ? entry : best,
+    /** @type {[Element | null, number]} */ ([null, 0])
+  );
+}
+
+/**
+ * Score every block of `body` that may hold the article, by the paragraphs
+ * inside it. A paragraph earns a point, one more per comma, and up to three
+ * for length; its parent gets all of that, its grandparent half, and further
+ * ancestors less. A same-origin frame counts as a paragraph worth its own
+ * best block. A block's own tag and class or id shift its score, and the
+ * share of its text that is link text scales it down, so a list of headlines
+ * cannot outscore the story. Blocks that are hidden, page chrome, or named
+ * like furniture score nothing.
+ *
+ * @param {HTMLElement} body
+ * @returns {Map<Element, number>}
+ */
+function scoreCandidates(body) {
+  /** @type {Map<Element, number>} */
+  const scores = new Map();
+  /** @type {Map<Element, boolean>} */
+  const excluded = new Map();
+
+  /** @param {Element} element @param {number} points */
+  const credit = (element, points) => {
+    let ancestor = renderedParent(element);
+    for (let level = 0; ancestor && level < 3; level++, ancestor = renderedParent(ancestor)) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, /** @type {number} */ (scores.get(ancestor)) + points / divider);
+      if (ancestor === body) break;
+    }
+  };
+
+  for (const element of findAll(body, 'p, pre, td, blockquote, div')) {
+    if (!PARAGRAPH_TAGS.has(element.tagName) && element.querySelector('p, div, table, ul, ol, pre, blockquote')) {
+      continue; // A div counts as a paragraph only when it holds no blocks of its own.
+    }
+    if (isExcluded(element, body, excluded)) continue;
+
+    const text = textOf(element);
+    if (text.length < 25) continue;
+    credit(element, 1 + commaCount(text) + Math.min(Math.floor(text.length / 100), 3));
+  }
+
+  for (const frame of findAll(body, 'iframe, frame')) {
+    const inner = frameDocument(frame);
+    if (!inner || isExcluded(frame, body, excluded)) continue;
+    noteShadowRoots(inner);
+    const [, points] = bestCandidate(scoreCandidates(inner.body));
+    if (points > 0) credit(frame, points);
+  }
+
+  for (const [element, score] of scores) {
+    scores.set(element, score * (1 - linkDensity(element)));
+  }
+  return scores;
+}
+
+/**
+ * Whether `element`, or an ancestor below `body`, is chrome or named like it.
+ *
+ * @param {Element} element
+ * @param {Element} body
+ * @param {Map<Element, boolean>} memo
+ * @returns {boolean}
+ */
+function isExcluded(element, body, memo) {
+  const parent = renderedParent(element);
+  if (element === body || !parent) return false;
+  const known = memo.get(element);
+  if (known !== undefined) return known;
+  const result = isUnwanted(element) || isUnlikely(element) || isExcluded(parent, body, memo);
+  memo.set(element, result);
+  return result;
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isUnwanted(element) {
+  if (element.matches(UNWANTED_SELECTORS)) return true;
+  const style = /** @type {HTMLElement} */ (element).style;
+  return style?.display === 'none' || style?.visibility === 'hidden';
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isUnlikely(element) {
+  if (element.tagName === 'BODY' || element.tagName === 'ARTICLE' || element.tagName === 'MAIN') return false;
+  const names = `${element.className} ${element.id}`;
+  return UNLIKELY_NAMES.test(names) && !MAYBE_CONTENT_NAMES.test(names);
+}
+
+/**
+ * @param {Element} element
+ * @returns {number}
+ */
+function initialScore(element) {
+  const byTag = {
+    DIV: 5, ARTICLE: 5, MAIN: 5,
+    PRE: 3, TD: 3, BLOCKQUOTE: 3,
+    ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+    H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+  }[element.tagName] || 0;
+  return byTag + nameWeight(element);
+}
+
+/**
+ * +25 for a class or id that sounds like content, -25 for one that sounds
+ * like furniture; both can apply.
+ *
+ * @param {Element} element
+ * @returns {number}
+ */
+function nameWeight(element) {
+  let weight = 0;
+  for (const name of [element.className, element.id]) {
+    if (typeof name !== 'string' || !name) continue;
+    if (NEGATIVE_NAMES.test(name)) weight -= 25;
+    if (POSITIVE_NAMES.test(name)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Share of an element's text that sits inside links. An in-page `#` link, a
+ * footnote say, counts for less.
+ *
+ * @param {Element} element
+ * @param {string} [text]  The element's text, when already at hand.
+ * @returns {number}
+ */
+function linkDensity(element, text = textOf(element)) {
+  if (!text.length) return 0;
+  let linked = 0;
+  for (const link of findAll(element, 'a')) {
+    const weight = link.getAttribute('href')?.startsWith('#') ? 0.3 : 1;
+    linked += textOf(link).length * weight;
+  }
+  return Math.min(1, linked / text.length);
+}
+
+/**
+ * Whether a container inside the chosen content is clutter: named like
+ * furniture, mostly links, mostly markup, or more images or form fields than
+ * its paragraphs can explain. Anything with ten or more commas is prose and
+ * stays.
+ *
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isClutter(element) {
+  if (!CONDITIONAL_TAGS.has(element.tagName)) return false;
+  const text = textOf(element);
+  if (commaCount(text) >= 10) return false;
+
+  const weight = nameWeight(element);
+  if (weight < 0) return true;
+
+  const paragraphs = element.getElementsByTagName('p').length;
+  const images = element.getElementsByTagName('img').length;
+  const inputs = element.getElementsByTagName('input').length;
+  const density = linkDensity(element, text);
+  // Characters of text per element: a widget is mostly tags.
+  const textDensity = text.length / (element.getElementsByTagName('*').length + 1);
+
+  return (images > 1 && paragraphs / images < 0.5)
+    || inputs > Math.floor(paragraphs / 3)
+    || (text.length < 25 && images !== 1)
+    || (paragraphs === 0 && textDensity < 10)
+    || (weight < 25 && density > 0.2)
+    || density > 0.5;
+}
+
+/**
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isBoilerplate(element) {
+  return isUnwanted(element) || isUnlikely(element) || isClutter(element);
+}
+
+/**
+ * Walk the readable text under `roots` in document order, skipping chrome,
+ * furniture and clutter. `enter` and `leave` bracket each block element; a
+ * `<pre>` is handed over whole so its whitespace can be kept. Open shadow
+ * roots and same-origin frames are walked where they appear; a frame that
+ * cannot be read goes to `frame`.
+ *
+ * @param {Element[]} roots
+ * @param {{ text: (node: Text) => void, enter?: (element: Element) => void,
+ *   leave?: (element: Element) => void, preformatted: (element: Element) => void,
+ *   frame?: (element: Element) => void }} visitor
+ */
+function walkContent(roots, visitor) {
+  /** @param {Node} node @param {boolean} isRoot */
+  const visit = (node, isRoot) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      visitor.text(/** @type {Text} */ (node));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const element = /** @type {Element} */ (node);
+    if (!isRoot && isBoilerplate(element)) return;
+    if (element.tagName === 'PRE') {
+      visitor.preformatted(element);
+      return;
+    }
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      const inner = frameDocument(element);
+      if (!inner) {
+        visitor.frame?.(element);
+        return;
+      }
+      visitor.enter?.(element);
+      findContentElements(inner, false).forEach(root => visit(root, true));
+      visitor.leave?.(element);
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(element.tagName) || element.tagName === 'BR';
+    if (block) visitor.enter?.(element);
+    renderedChildren(element).forEach(child => visit(child, false));
+    if (block) visitor.leave?.(element);
+  };
+  roots.forEach(root => visit(root, true));
+}
+
+/**
+ * An element as Markdown blocks — paragraphs, headings, lists, fences —
+ * to be joined by blank lines. Boilerplate below it is skipped as in
+ * `walkContent()`.
+ *
+ * @param {Element} element
+ * @returns {string[]}
+ */
+function markdownBlocks(element) {
+  const tag = element.tagName;
+
+  if (/^H[1-6]$/.test(tag)) {
+    const text = squash(markdownInline(element));
+    return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+  }
+
+  if (tag === 'PRE') {
+    const code = (element.textContent || '').replace(/^\n|\s+$/g, '');
+    if (!code.trim()) return [];
+    const language = /(?:^|\s)(?:language|lang)-([\w+#-]+)/
+      .exec(`${element.className} ${element.querySelector('code')?.className || ''}`)?.[1] || '';
+    // A fence longer than any run of backticks in the code, so none closes it early.
+    const fence = '`'.repeat(Math.max(3, ...(code.match(/`+/g) || []).map(run => run.length + 1)));
+    return [`${fence}${language}\n${code}\n${fence}`];
+  }
+
+  if (tag === 'UL' || tag === 'OL') {
+    const start = Number(element.getAttribute('start')) || 1;
+    const items = [...element.children]
+      .filter(child => child.tagName === 'LI' && !isBoilerplate(child))
+      .map((item, index) => {
+        const marker = tag === 'OL' ? `${start + index}. ` : '- ';
+        const body = childBlocks(item).join('\n');
+        return body ? marker + body.replace(/\n/g, `\n${' '.repeat(marker.length)}`) : '';
+      })
+      .filter(Boolean);
+    return items.length ? [items.join('\n')] : [];
+  }
+
+  if (tag === 'BLOCKQUOTE') {
+    const quoted = childBlocks(element).join('\n\n');
+    return quoted ? [quoted.replace(/^/gm, '> ').replace(/^> $/gm, '>')] : [];
+  }
+
+  if (tag === 'TABLE') {
+    const table = markdownTable(/** @type {HTMLTableElement} */ (element));
+    return table ? [table] : childBlocks(element);
+  }
+
+  if (tag === 'HR') return ['---'];
+
+  return childBlocks(element);
+}
+
+/**
+ * Markdown blocks for an element's children: runs of inline content become
+ * paragraphs, block children contribute their own blocks.
+ *
+ * @param {Element} element
+ * @returns {string[]}
+ */
+function childBlocks(element) {
+  /** @type {string[]} */
+  const blocks = [];
+  let inline = '';
+  const flush = () => {
+    const text = squash(inline);
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const child of renderedChildren(element)) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      inline += /** @type {Text} */ (child).data;
+      continue;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+    const childElement = /** @type {Element} */ (child);
+    if (isBoilerplate(childElement)) continue;
+    if (childElement.tagName === 'BR') {
+      flush();
+    } else if (childElement.tagName === 'IFRAME' || childElement.tagName === 'FRAME') {
+      flush();
+      const inner = frameDocument(childElement);
+      const marker = inner ? '' : frameMarker(childElement);
+      blocks.push(...inner ? findContentElements(inner, false).flatMap(markdownBlocks) : marker ? [marker] : []);
+    } else if (BLOCK_TAGS.has(childElement.tagName) || /^(H[1-6]|TBODY|THEAD|TFOOT)$/.test(childElement.tagName)) {
+      flush();
+      blocks.push(...markdownBlocks(childElement));
+    } else {
+      inline += markdownInline(childElement);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Inline Markdown for an element: links keep their targets, code its
+ * backticks, emphasis its markers. Whitespace is left for `squash()`.
+ *
+ * @param {Element} element
+ * @returns {string}
+ */
+function markdownInline(element) {
+  let inner = '';
+  for (const child of renderedChildren(element)) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      inner += /** @type {Text} */ (child).data;
+    } else if (child.nodeType === Node.ELEMENT_NODE && !isBoilerplate(/** @type {Element} */ (child))) {
+      inner += markdownInline(/** @type {Element} */ (child));
+    }
+  }
+
+  switch (element.tagName) {
+    case 'A': {
+      const href = /** @type {HTMLAnchorElement} */ (element).href;
+      // In-page anchors and script links mean nothing outside the page.
+      if (!/^(https?|mailto):/i.test(href) || element.getAttribute('href')?.startsWith('#')) return inner;
+      const [, before = '', text = '', after = ''] = /^(\s*)([\s\S]*?)(\s*)$/.exec(inner) || [];
+      if (!text.trim()) return inner;
+      // The resolved `href` already encodes spaces, but not parentheses, and an
+      // unbalanced one would end the link destination early.
+      const destination = href.replace(/\(/g, '%28').replace(/\)/g, '%29');
+      return `${before}[${squash(text).replace(/[[\]]/g, '\\$&')}](${destination})${after}`;
+    }
+    case 'CODE':
+    case 'KBD':
+    case 'SAMP': {
+      const code = squash(element.textContent || '');
+      if (!code) return '';
+      const ticks = code.includes('`') ? '``' : '`';
+      return `${ticks}${code.startsWith('`') ? ' ' : ''}${code}${code.endsWith('`') ? ' ' : ''}${ticks}`;
+    }
+    case 'STRONG':
+    case 'B':
+      return emphasize(inner, '**');
+    case 'EM':
+    case 'I':
+      return emphasize(inner, '*');
+    case 'BR':
+      return ' ';
+    default:
+      return BLOCK_TAGS.has(element.tagName) ? ` ${inner} ` : inner;
+  }
+}
+
+/**
+ * A data table as a Markdown table, its first row as the header. Layout
+ * tables give null and are read as blocks instead.
+ *
+ * @param {HTMLTableElement} table
+ * @returns {string | null}
+ */
+function markdownTable(table) {
+  if (isLayoutTable(table)) return null;
+
+  const rows = tableGrid(table, cell => squash(markdownInline(cell)).replace(/\|/g, '\\|'));
+  const columns = Math.max(0, ...rows.map(row => row.length));
+  const line = (/** @type {string[]} */ cells) =>
+    `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+  const [header = [], ...body] = rows;
+  return [line(header), line(Array(columns).fill('---')), ...body.map(line)].join('\n');
+}
+
+/**
+ * Whether a table only lays out the page: marked so, holding other tables,
+ * or too small to be data (one row or one column).
+ *
+ * @param {HTMLTableElement} table
+ * @returns {boolean}
+ */
+function isLayoutTable(table) {
+  const role = table.getAttribute('role');
+  if (role === 'presentation' || role === 'none' || table.querySelector('table')) return true;
+  const rows = [...table.rows];
+  return rows.length < 2 || Math.max(0, ...rows.map(row => row.cells.length)) < 2;
+}
+
+/**
+ * A table's visible rows as a grid of `cellText(cell)`, with each cell
+ * repeated across the rows and columns it spans.
+ *
+ * @param {HTMLTableElement} table
+ * @param {(cell: HTMLTableCellElement) => string} cellText
+ * @returns {string[][]}
+ */
+function tableGrid(table, cellText) {
+  /** @type {string[][]} */
+  const grid = [];
+  const rows = [...table.rows].filter(row => !isBoilerplate(row));
+  rows.forEach((row, r) => {
+    const line = (grid[r] ||= []);
+    let column = 0;
+    for (const cell of row.cells) {
+      while (line[column] !== undefined) column++;
+      const text = cellText(cell);
+      const rowSpan = Math.min(cell.rowSpan || 1, rows.length - r, MAX_SPAN);
+      const colSpan = Math.min(Math.max(cell.colSpan, 1), MAX_SPAN);
+      for (let i = 0; i < rowSpan; i++) {
+        const spanned = (grid[r + i] ||= []);
+        for (let j = 0; j < colSpan; j++) spanned[column + j] = text;
+      }
+      column += colSpan;
+    }
+  });
+
+  const columns = Math.max(0, ...grid.map(line => line.length));
+  return grid.map(line => Array.from({ length: columns }, (_, i) => line[i] ?? ''));
+}
+
+/**
+ * Wrap text in emphasis markers, outside any whitespace at its ends —
+ * `** bold**` is not bold in Markdown.
+ *
+ * @param {string} text
+ * @param {string} marker
+ * @returns {string}
+ */
+function emphasize(text, marker) {
+  const [, before = '', body = '', after = ''] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text) || [];
+  return body ? `${before}${marker}${body}${marker}${after}` : text;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function squash(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * An element's text, including what its open shadow roots render.
+ *
+ * @param {Element} element
+ * @returns {string}
+ */
+function textOf(element) {
+  return squash(shadowDocuments.has(element.ownerDocument) ? renderedText(element) : element.textContent || '');
+}
+
+/**
+ * @param {Node} node
+ * @returns {string}
+ */
+function renderedText(node) {
+  if (node.nodeType === Node.TEXT_NODE) return /** @type {Text} */ (node).data;
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+  return renderedChildren(/** @type {Element} */ (node)).map(renderedText).join('');
+}
+
+/**
+ * The nodes an element renders as its children: a shadow host's open shadow
+ * tree rather than its own children, and a `<slot>`'s assigned nodes, or its
+ * fallback content when nothing is assigned. Closed shadow roots cannot be
+ * read and render nothing here.
+ *
+ * @param {Element} element
+ * @returns {Node[]}
+ */
+function renderedChildren(element) {
+  if (element.shadowRoot) return [...element.shadowRoot.childNodes];
+  if (element.tagName === 'SLOT') {
+    const assigned = /** @type {HTMLSlotElement} */ (element).assignedNodes();
+    if (assigned.length) return assigned;
+  }
+  return [...element.childNodes];
+}
+
+/**
+ * @param {Element} element
+ * @returns {Element | null}  The shadow host for an element at the top of a shadow root.
+ */
+function renderedParent(element) {
+  const parent = element.parentNode;
+  if (parent?.nodeType === Node.DOCUMENT_FRAGMENT_NODE && 'host' in parent) {
+    return /** @type {ShadowRoot} */ (parent).host;
+  }
+  return element.parentElement;
+}
+
+/**
+ * Remember whether `doc` holds open shadow roots, so the text and link
+ * queries that follow enter them. Checked afresh on every read, since
+ * components attach shadow roots as the page runs.
+ *
+ * @param {Document} doc
+ */
+function noteShadowRoots(doc) {
+  if ([...doc.querySelectorAll('*')].some(element => element.shadowRoot)) {
+    shadowDocuments.add(doc);
+  } else {
+    shadowDocuments.delete(doc);
+  }
+}
+
+/**
+ * `root.querySelectorAll(selector)`, continued into open shadow roots on
+ * pages that have them.
+ *
+ * @param {Element | Document | ShadowRoot} root
+ * @param {string} selector
+ * @returns {Element[]}
+ */
+function findAll(root, selector) {
+  const found = [...root.querySelectorAll(selector)];
+  if (!shadowDocuments.has(root.ownerDocument || /** @type {Document} */ (root))) return found;
+
+  for (const host of [root, ...root.querySelectorAll('*')]) {
+    const shadow = 'shadowRoot' in host ? host.shadowRoot : null;
+    if (shadow) found.push(...findAll(shadow, selector));
+  }
+  return found;
+}
+
+/**
+ * The document of a frame this script may read — same-origin, loaded — or null.
+ *
+ * @param {Element} frame
+ * @returns {Document | null}
+ */
+function frameDocument(frame) {
+  try {
+    const inner = /** @type {HTMLIFrameElement} */ (frame).contentDocument;
+    return inner?.body ? inner : null;
+  } catch {
+    return null; // Some browsers throw for cross-origin frames rather than returning null.
+  }
+}
+
+/**
+ * The marker for a frame the background can ask for its text, or '' for one
+ * no content script runs in or that has no document yet.
+ *
+ * @param {Element} frame
+ * @returns {string}
+ */
+function frameMarker(frame) {
+  if (!/^https?:/.test(/** @type {HTMLIFrameElement} */ (frame).src)) return '';
+  // Chrome 106+; not yet in @types/chrome.
+  const frameId = /** @type {any} */ (chrome.runtime).getFrameId(frame);
+  return frameId > 0 ? `${FRAME_MARKER_OPEN}${frameId}${FRAME_MARKER_CLOSE}` : '';
+}
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function commaCount(text) {
+  return text.split(/[,\u060C\u3001\uFE50\uFE51\uFF0C]/).length - 1;
+}
+
+/**
+ * Case-insensitive matcher for a name as running text. Mirrors
+ * `mentionPattern()` in core/tasks.js, which counted the mentions this script
+ * is asked to find; a content script cannot import it.
+ *
+ * @param {string} name
+ * @returns {RegExp}
+ */
+function mentionPattern(name) {
+  const body = name
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * The text node and offset within it of a position in the nodes' concatenated text.
+ *
+ * @param {Text[]} nodes
+ * @param {number} position
+ * @returns {{ node: Text, offset: number }}
+ */
+function locateInNodes(nodes, position) {
+  let remaining = position;
+  for (const node of nodes) {
+    if (remaining <= node.data.length) return { node, offset: remaining };
+    remaining -= node.data.length;
+  }
+  const last = /** @type {Text} */ (nodes[nodes.length - 1]);
+  return { node: last, offset: last.data.length };
+}
+
 new PageContentExtractor();
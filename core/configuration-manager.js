@@ -9,6 +9,8 @@
  */
 
 import { PROVIDERS, PROVIDER_IDS, AIClient } from '../providers/ai-client.js';
+import { PREFERENCES_MIGRATIONS, PREFERENCES_SCHEMA_VERSION, migrateRecord } from './migrations.js';
+import { VAULT_FILENAME_TEMPLATE } from './vault.js';
 
 const STORAGE_KEY = 'user_preferences';
 
@@ -26,10 +28,26 @@ export class ConfigurationManager {
       models: {},
       /** @type {Record<string, string>} */
       apiKeys: {},
+      // Base URL of the OpenAI-compatible server used by the `local` provider,
+      // e.g. http://localhost:11434/v1 for Ollama. Empty until the user sets it.
+      localBaseUrl: '',
+      // Providers to try, in order, when the preferred one is unavailable.
+      // Empty means no fallback: a failure is reported, never substituted.
+      /** @type {string[]} */
+      fallbackProviders: [],
+      // USD per million tokens, keyed "provider/model". Empty until the user
+      // enters prices; see core/usage.js.
+      /** @type {Record<string, import('./usage.js').Price>} */
+      prices: {},
+      // Monthly caps keyed by provider id. A provider without one is unlimited.
+      /** @type {Record<string, import('./usage.js').Budget>} */
+      budgets: {},
       summaryLength: 'medium',
       summaryType: 'key-points',
       theme: 'auto',
       targetLanguage: 'en',
+      // File name of each note in a vault export; see core/vault.js.
+      vaultFilenameTemplate: VAULT_FILENAME_TEMPLATE,
       /** @type {Record<string, boolean>} */
       features: {
         contextMenus: true,
@@ -49,10 +67,26 @@ export class ConfigurationManager {
   async initialize() {
     const stored = await chrome.storage.sync.get([STORAGE_KEY]);
     if (!stored[STORAGE_KEY]) {
-      await this.setUserPreferences(this.defaultSettings);
+      await this.setUserPreferences({ ...this.defaultSettings, schemaVersion: PREFERENCES_SCHEMA_VERSION });
     }
   }
 
+  /**
+   * Upgrade preferences an earlier version saved to the current schema; run
+   * when the extension is updated. The version is stamped here and in
+   * `initialize()` only — it is deliberately not a default, or merging
+   * defaults would stamp old preferences current without upgrading them.
+   *
+   * @returns {Promise<string[]>}  What was changed; empty when nothing was.
+   */
+  async migratePreferences() {
+    const stored = await chrome.storage.sync.get([STORAGE_KEY]);
+    if (!stored[STORAGE_KEY]) return [];
+    const { record, applied } = migrateRecord(stored[STORAGE_KEY], PREFERENCES_MIGRATIONS);
+    if (applied.length) await this.setUserPreferences(record);
+    return applied;
+  }
+
   /**
    * Read settings, merged over defaults so a preferences object written by an
    * older version never leaves a field undefined for a caller.
@@ -118,16 +152,32 @@ export class ConfigurationManager {
    */
   async createAIClient() {
     const settings = await this.getUserPreferences();
-    const provider = PROVIDERS[settings.preferredProvider] ? settings.preferredProvider : 'anthropic';
-    return new AIClient({
-      provider,
-      apiKey: settings.apiKeys[provider],
-      model: settings.models[provider]
-    });
+    return buildClient(settings, preferredProvider(settings));
+  }
+
+  /**
+   * The preferred provider's client followed by one for each provider in the
+   * user's fallback list, in the order they chose. Fallbacks that repeat the
+   * preferred provider or are not configured are left out; the preferred one
+   * still throws when unconfigured, exactly as `createAIClient()` does.
+   *
+   * @returns {Promise<AIClient[]>}
+   */
+  async createAIClients() {
+    const settings = await this.getUserPreferences();
+    const preferred = preferredProvider(settings);
+    const clients = [buildClient(settings, preferred)];
+
+    for (const provider of new Set(settings.fallbackProviders)) {
+      if (provider === preferred || !PROVIDERS[provider] || !isConfigured(settings, provider)) continue;
+      clients.push(buildClient(settings, provider));
+    }
+    return clients;
   }
 
   /**
-   * Which providers currently have a key. Drives the popup's status badge.
+   * Which providers currently have a key — or, for a self-hosted provider, a
+   * server URL. Drives the popup's status badge.
    *
    * @returns {Promise<{ provider: string, configured: boolean, providers: Record<string, boolean> }>}
    */
@@ -136,12 +186,45 @@ export class ConfigurationManager {
     /** @type {Record<string, boolean>} */
     const providers = {};
     for (const id of PROVIDER_IDS) {
-      providers[id] = Boolean(settings.apiKeys[id]);
+      providers[id] = isConfigured(settings, id);
     }
     return {
       provider: settings.preferredProvider,
-      configured: Boolean(settings.apiKeys[settings.preferredProvider]),
+      configured: isConfigured(settings, settings.preferredProvider),
       providers
     };
   }
 }
+
+/**
+ * @param {any} settings
+ * @returns {string}
+ */
+function preferredProvider(settings) {
+  return PROVIDERS[settings.preferredProvider] ? settings.preferredProvider : 'anthropic';
+}
+
+/**
+ * @param {any} settings
+ * @param {string} provider
+ * @returns {AIClient}
+ */
+function buildClient(settings, provider) {
+  return new AIClient({
+    provider,
+    apiKey: settings.apiKeys[provider],
+    model: settings.models[provider],
+    baseUrl: settings.localBaseUrl
+  });
+}
+
+/**
+ * @param {any} settings
+ * @param {string} provider
+ * @returns {boolean}
+ */
+function isConfigured(settings, provider) {
+  return PROVIDERS[provider]?.selfHosted
+    ? Boolean(settings.localBaseUrl)
+    : Boolean(settings.apiKeys[provider]);
+}
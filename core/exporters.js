@@ -0,0 +1,390 @@
+/**
+ * @file core/exporters.js
+ * @description Saved history as Markdown, a standalone HTML report, or CSV.
+ * The vault format, a zip of notes, is written by core/vault.js.
+ *
+ * Everything exported was written by a model from untrusted page text, so it
+ * is escaped for the format it lands in: HTML-escaped before any markup is
+ * added, and CSV fields that a spreadsheet would run as formulas defused.
+ * The HTML report carries its styles inline and no script, so it opens from
+ * disk the same anywhere.
+ */
+
+import { fromBase64 } from './zip.js';
+
+/**
+ * @typedef {'json' | 'markdown' | 'html' | 'csv' | 'vault'} ExportFormat
+ */
+
+/**
+ * What `StorageService.exportUserData()` gathers.
+ * @typedef {Object} UserData
+ * @property {any[]} summaryHistory
+ * @property {any[]} chatSessions
+ * @property {any[]} bookmarks
+ * @property {number} exportedAt
+ * @property {string} [version]
+ */
+
+/**
+ * File extension and MIME type per format, for the download. A `binary`
+ * format arrives base64-encoded, since extension messaging carries only JSON.
+ * @type {Record<ExportFormat, { extension: string, type: string, label: string, binary?: boolean }>}
+ */
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json', label: 'JSON' },
+  markdown: { extension: 'md', type: 'text/markdown', label: 'Markdown' },
+  html: { extension: 'html', type: 'text/html', label: 'HTML report' },
+  csv: { extension: 'csv', type: 'text/csv', label: 'CSV' },
+  vault: { extension: 'zip', type: 'application/zip', label: 'Obsidian/Logseq vault', binary: true }
+};
+
+/**
+ * @param {unknown} format
+ * @returns {format is ExportFormat}
+ */
+export function isExportFormat(format) {
+  return typeof format === 'string' && Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+/**
+ * One summary as a Markdown document: title, then URL, date and provider,
+ * then the summary itself.
+ *
+ * @param {any} summary  A saved summary, or the popup's current one.
+ * @param {number} [level]  Heading level of the title, for nesting in a larger document.
+ * @returns {string}
+ */
+export function summaryToMarkdown(summary, level = 1) {
+  const meta = [
+    summary.url && `- URL: ${markdownLink(summary.url)}`,
+    summary.timestamp && `- Date: ${formatDate(summary.timestamp)}`,
+    summary.provider && `- Provider: ${[summary.provider, summary.model].filter(Boolean).join(' · ')}`
+  ].filter(Boolean);
+
+  return [
+    `${'#'.repeat(level)} ${oneLine(summary.title) || 'Untitled page'}`,
+    meta.join('\n'),
+    String(summary.summary || '').trim()
+  ].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Everything in one Markdown file: each summary as its own section, then
+ * chats as transcripts, then bookmarks as a list.
+ *
+ * @param {UserData} data
+ * @returns {string}
+ */
+export function userDataToMarkdown(data) {
+  const sections = [
+    `# GenAI Browser Tool export\n\nExported ${formatDate(data.exportedAt)}`
+  ];
+
+  if (data.summaryHistory.length) {
+    sections.push('## Summaries', ...data.summaryHistory.map(summary => summaryToMarkdown(summary, 3).trim()));
+  }
+
+  if (data.chatSessions.length) {
+    sections.push('## Chats', ...data.chatSessions.map(session => [
+      `### ${oneLine(session.title) || 'Untitled page'}`,
+      [
+        session.url && `- URL: ${markdownLink(session.url)}`,
+        `- Date: ${formatDate(session.updatedAt)}`
+      ].filter(Boolean).join('\n'),
+      transcriptToMarkdown(session.messages || [])
+    ].join('\n\n')));
+  }
+
+  if (data.bookmarks.length) {
+    sections.push('## Bookmarks', data.bookmarks.map(bookmark => {
+      const tags = (bookmark.tags || []).map((/** @type {string} */ tag) => `#${tag.replace(/\s+/g, '-')}`);
+      const text = escapeMarkdownText(oneLine(bookmark.title) || bookmark.url);
+      const link = isWebUrl(bookmark.url) ? `[${text}](<${bookmark.url}>)` : `${text} (${bookmark.url})`;
+      return `- ${link}${tags.length ? ` ${tags.join(' ')}` : ''}`;
+    }).join('\n'));
+  }
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * A chat as alternating bold-labelled paragraphs.
+ *
+ * @param {{ role: string, content: string }[]} messages
+ * @returns {string}
+ */
+export function transcriptToMarkdown(messages) {
+  return messages
+    .map(message => `**${message.role === 'user' ? 'You' : 'Assistant'}:** ${String(message.content).trim()}`)
+    .join('\n\n');
+}
+
+/**
+ * A single self-contained HTML page: inline styles, no script, no requests.
+ *
+ * @param {UserData} data
+ * @param {string} [title]
+ * @returns {string}
+ */
+export function userDataToHtml(data, title = 'GenAI Browser Tool export') {
+  const summaries = data.summaryHistory.map(summary => `<article>
+<h3>${escapeHtml(oneLine(summary.title) || 'Untitled page')}</h3>
+<p class="meta">${metaHtml(summary.url, summary.timestamp, [summary.provider, summary.model].filter(Boolean).join(' · '))}</p>
+<div>${markdownToHtml(String(summary.summary || ''))}</div>
+</article>`);
+
+  const chats = data.chatSessions.map(session => `<article>
+<h3>${escapeHtml(oneLine(session.title) || 'Untitled page')}</h3>
+<p class="meta">${metaHtml(session.url, session.updatedAt, session.provider || '')}</p>
+${(session.messages || []).map((/** @type {any} */ message) => `<div class="${message.role === 'user' ? 'question' : 'answer'}">
+<strong>${message.role === 'user' ? 'You' : 'Assistant'}</strong>
+${markdownToHtml(String(message.content))}
+</div>`).join('\n')}
+</article>`);
+
+  const bookmarks = data.bookmarks.map(bookmark => `<li>${linkHtml(bookmark.url, oneLine(bookmark.title) || bookmark.url)}${
+    (bookmark.tags || []).map((/** @type {string} */ tag) => ` <span class="tag">${escapeHtml(tag)}</span>`).join('')
+  }</li>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font: 15px/1.55 system-ui, sans-serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+h1 { font-size: 1.6rem; } h2 { margin-top: 2.5rem; border-bottom: 1px solid #d0d7de; }
+article { margin: 1.5rem 0; } .meta { color: #59636e; font-size: 0.85rem; }
+.question { background: #f6f8fa; border-radius: 6px; padding: 0.5rem 0.75rem; margin: 0.5rem 0; }
+.answer { padding: 0.25rem 0.75rem; } .tag { background: #ddf4ff; border-radius: 4px; padding: 0 0.35rem; font-size: 0.8rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Exported ${escapeHtml(formatDate(data.exportedAt))}</p>
+${summaries.length ? `<h2>Summaries</h2>\n${summaries.join('\n')}` : ''}
+${chats.length ? `<h2>Chats</h2>\n${chats.join('\n')}` : ''}
+${bookmarks.length ? `<h2>Bookmarks</h2>\n<ul>\n${bookmarks.join('\n')}\n</ul>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Summaries, chats and bookmarks as one table, newest first within each kind.
+ * Tags are joined with "; ".
+ *
+ * @param {UserData} data
+ * @returns {string}
+ */
+export function userDataToCsv(data) {
+  const rows = [
+    ...data.summaryHistory.map(summary => [
+      'summary', formatDate(summary.timestamp), oneLine(summary.title), summary.url || '', summary.domain || '',
+      summary.provider || '', summary.model || '', (summary.tags || []).join('; '), String(summary.summary || '')
+    ]),
+    ...data.chatSessions.map(session => [
+      'chat', formatDate(session.updatedAt), oneLine(session.title), session.url || '', session.domain || '',
+      session.provider || '', '', '',
+      (session.messages || [])
+        .map((/** @type {any} */ message) => `${message.role === 'user' ? 'You' : 'Assistant'}: ${message.content}`)
+        .join('\n')
+    ]),
+    ...data.bookmarks.map(bookmark => [
+      'bookmark', formatDate(bookmark.createdAt), oneLine(bookmark.title), bookmark.url || '', bookmark.domain || '',
+      '', '', (bookmark.tags || []).join('; '), String(bookmark.summary || '')
+    ])
+  ];
+  return toCsv([['kind', 'date', 'title', 'url', 'domain', 'provider', 'model', 'tags', 'text'], ...rows]);
+}
+
+/**
+ * Smart tags for one page, a tag per row.
+ *
+ * @param {string[]} tags
+ * @param {{ url?: string, title?: string }} [page]
+ * @returns {string}
+ */
+export function tagsToCsv(tags, page = {}) {
+  return toCsv([['tag', 'url', 'title'], ...tags.map(tag => [tag, page.url || '', oneLine(page.title)])]);
+}
+
+/**
+ * One table from the page, its header row first when it has one.
+ *
+ * @param {import('./tasks.js').PageTable} table
+ * @returns {string}
+ */
+export function tableToCsv(table) {
+  return toCsv(table.headers.length ? [table.headers, ...table.rows] : table.rows);
+}
+
+/**
+ * @param {UserData} data
+ * @param {Exclude<ExportFormat, 'vault'>} format
+ * @returns {string}
+ */
+export function formatUserData(data, format) {
+  switch (format) {
+    case 'markdown':
+      return userDataToMarkdown(data);
+    case 'html':
+      return userDataToHtml(data);
+    case 'csv':
+      return userDataToCsv(data);
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+/**
+ * One summary in `format`; CSV gives it a one-row table.
+ *
+ * @param {any} summary
+ * @param {Exclude<ExportFormat, 'vault'>} format
+ * @returns {string}
+ */
+export function formatSummary(summary, format) {
+  const data = { summaryHistory: [summary], chatSessions: [], bookmarks: [], exportedAt: Date.now() };
+  switch (format) {
+    case 'markdown':
+      return summaryToMarkdown(summary);
+    case 'html':
+      return userDataToHtml(data, oneLine(summary.title) || 'Summary');
+    case 'csv':
+      return userDataToCsv(data);
+    default:
+      return JSON.stringify(summary, null, 2);
+  }
+}
+
+/**
+ * What `EXPORT_USER_DATA` sent back, ready to download.
+ *
+ * @param {string} content
+ * @param {ExportFormat} format
+ * @returns {Blob}
+ */
+export function exportBlob(content, format) {
+  const { type, binary } = EXPORT_FORMATS[format];
+  return new Blob([binary ? fromBase64(content) : content], { type });
+}
+
+/**
+ * @param {(string | number)[][]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+/**
+ * Quote a CSV field when it needs it. Names come from untrusted page text, so
+ * one that a spreadsheet would run as a formula is prefixed with `'`.
+ *
+ * @param {string | number} field
+ * @returns {string}
+ */
+export function csvField(field) {
+  let text = String(field);
+  if (typeof field === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * `2026-10-19 14:05 UTC` — the same wherever the file is opened.
+ *
+ * @param {number | undefined} timestamp
+ * @returns {string}
+ */
+export function formatDate(timestamp) {
+  if (!timestamp) return '';
+  return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/** @param {string} text @returns {string} */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The popup's markdown subset — bullets, bold, code, line breaks — applied
+ * after escaping.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function markdownToHtml(text) {
+  return escapeHtml(text.trim())
+    .replace(/^[-*]\s+(.*)$/gm, '<li>$1</li>')
+    .replace(/(<li>[\s\S]*<\/li>)/, '<ul>$1</ul>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/`(.+?)`/g, '<code>$1</code>')
+    .replace(/<\/li>\n/g, '</li>')
+    .replace(/\n/g, '<br>');
+}
+
+/**
+ * @param {string | undefined} url
+ * @param {number | undefined} timestamp
+ * @param {string} provider
+ * @returns {string}
+ */
+function metaHtml(url, timestamp, provider) {
+  return [url && linkHtml(url, url), escapeHtml(formatDate(timestamp)), escapeHtml(provider)]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * A link when `url` is http(s); anything else — `javascript:` included — is
+ * shown as text.
+ *
+ * @param {string} url
+ * @param {string} text
+ * @returns {string}
+ */
+function linkHtml(url, text) {
+  return isWebUrl(url)
+    ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`
+    : escapeHtml(text);
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function markdownLink(url) {
+  return isWebUrl(url) ? `<${url}>` : url;
+}
+
+/**
+ * An http(s) URL that can sit inside `<…>` in Markdown.
+ *
+ * @param {unknown} url
+ * @returns {url is string}
+ */
+function isWebUrl(url) {
+  return typeof url === 'string' && /^https?:\/\/[^\s<>]+$/i.test(url);
+}
+
+/** @param {string} text @returns {string} */
+function escapeMarkdownText(text) {
+  return text.replace(/([[\]\\])/g, '\\$1');
+}
+
+/**
+ * Titles come from pages and can hold newlines that would end a heading.
+ *
+ * @param {string | undefined} text
+ * @returns {string}
+ */
+function oneLine(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,96 @@
+/**
+ * @file core/json-schema.js
+ * @description Minimal JSON Schema validator for structured model output.
+ *
+ * Covers the subset the task schemas in core/tasks.js use: `type`,
+ * `properties`, `required`, `additionalProperties: false`, `items` and `enum`.
+ * A provider asked for structured output usually complies, but a local server
+ * may ignore the request entirely, so every structured reply is checked here
+ * before anything relies on its shape.
+ */
+
+/**
+ * @typedef {Object} JsonSchema
+ * @property {'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'} type
+ * @property {string} [description]
+ * @property {Record<string, JsonSchema>} [properties]
+ * @property {string[]} [required]
+ * @property {boolean} [additionalProperties]
+ * @property {JsonSchema} [items]
+ * @property {(string | number)[]} [enum]
+ */
+
+/**
+ * Check `value` against `schema`.
+ *
+ * @param {unknown} value
+ * @param {JsonSchema} schema
+ * @param {string} [path]  Where `value` sits in the document, for messages.
+ * @returns {string[]}  One message per problem; empty when the value is valid.
+ */
+export function validateJson(value, schema, path = '$') {
+  if (!hasType(value, schema.type)) {
+    return [`${path} should be ${schema.type}, got ${describe(value)}`];
+  }
+
+  /** @type {string[]} */
+  const problems = [];
+
+  if (schema.enum && !schema.enum.includes(/** @type {any} */ (value))) {
+    problems.push(`${path} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.type === 'object') {
+    const object = /** @type {Record<string, unknown>} */ (value);
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in object)) problems.push(`${path}.${key} is missing`);
+    }
+    for (const [key, child] of Object.entries(object)) {
+      const childSchema = properties[key];
+      if (childSchema) {
+        problems.push(...validateJson(child, childSchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    const { items } = schema;
+    /** @type {unknown[]} */ (value).forEach((item, index) => {
+      problems.push(...validateJson(item, items, `${path}[${index}]`));
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * @param {unknown} value
+ * @param {JsonSchema['type']} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
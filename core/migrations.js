@@ -0,0 +1,152 @@
+/**
+ * @file core/migrations.js
+ * @description Versioned upgrades for data an earlier version stored.
+ *
+ * Each stored record carries the schema version it was written at — the
+ * `schemaVersion` field, on preferences and on every history record. A
+ * migration names the version it upgrades to; `migrateRecord` applies, in
+ * order, every registered migration newer than the record's version and
+ * stamps the record with the last one. A record written by a newer version
+ * than any migration here is left alone rather than guessed at.
+ *
+ * Migrations are pure: they get a copy of one record and return the upgraded
+ * record, so they are tested against fixtures without storage. Where the
+ * records live and when they are rewritten is the caller's business —
+ * `ConfigurationManager.migratePreferences()` and
+ * `StorageService.migrateHistory()`, run when the extension is updated.
+ */
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} version  Schema version a record has once this has run.
+ * @property {string} description  Logged when a record is upgraded by it.
+ * @property {(record: any) => any} up
+ */
+
+/** Providers 5.0.0 removed; their keys and selections are meaningless now. */
+const REMOVED_PROVIDERS = ['cohere', 'chrome-ai', 'huggingface'];
+
+/** @type {Migration[]} */
+export const PREFERENCES_MIGRATIONS = [
+  {
+    version: '1.0.0',
+    description: 'Move a Gemini key saved under "google" and drop providers that no longer exist',
+    up(preferences) {
+      const { google, ...apiKeys } = preferences.apiKeys || {};
+      if (google && !apiKeys.gemini) apiKeys.gemini = google;
+      REMOVED_PROVIDERS.forEach(provider => delete apiKeys[provider]);
+
+      const upgraded = {
+        ...preferences,
+        apiKeys,
+        fallbackProviders: (preferences.fallbackProviders || [])
+          .map((/** @type {string} */ provider) => (provider === 'google' ? 'gemini' : provider))
+          .filter((/** @type {string} */ provider) => !REMOVED_PROVIDERS.includes(provider))
+      };
+      if (preferences.preferredProvider === 'google') upgraded.preferredProvider = 'gemini';
+      if (REMOVED_PROVIDERS.includes(preferences.preferredProvider)) delete upgraded.preferredProvider;
+      return upgraded;
+    }
+  }
+];
+
+/**
+ * Per history store. Records older than 4.1.0 were saved before history could
+ * be filtered by site and provider, so they lack the fields those filters use.
+ * @type {Record<import('../services/history-db.js').HistoryStoreName, Migration[]>}
+ */
+export const HISTORY_MIGRATIONS = {
+  summaries: [
+    {
+      version: '4.1.0',
+      description: 'Record the site each summary came from',
+      up: withDomain
+    }
+  ],
+  conversations: [
+    {
+      version: '4.1.0',
+      description: 'Record the site and provider of each chat',
+      up(session) {
+        const provider = session.provider ||
+          [...(session.messages || [])].reverse().find(message => message.role === 'assistant')?.provider;
+        return withDomain({ ...session, ...(provider && { provider }) });
+      }
+    }
+  ],
+  bookmarks: [
+    {
+      version: '4.1.0',
+      description: 'Record the site of each bookmark',
+      up: withDomain
+    }
+  ]
+};
+
+/** Version the current code writes preferences at. */
+export const PREFERENCES_SCHEMA_VERSION = latestVersion(PREFERENCES_MIGRATIONS);
+
+/** Version the current code writes history records at. */
+export const HISTORY_SCHEMA_VERSION = latestVersion(Object.values(HISTORY_MIGRATIONS).flat());
+
+/**
+ * Upgrade one record.
+ *
+ * @param {any} record  Not modified.
+ * @param {Migration[]} migrations
+ * @returns {{ record: any, applied: string[] }}  `applied` lists the
+ *   descriptions of the migrations that ran; empty when the record was current.
+ */
+export function migrateRecord(record, migrations) {
+  const from = typeof record.schemaVersion === 'string' ? record.schemaVersion : '0.0.0';
+  const pending = migrations
+    .filter(migration => compareVersions(migration.version, from) > 0)
+    .sort((a, b) => compareVersions(a.version, b.version));
+
+  let upgraded = record;
+  for (const migration of pending) {
+    upgraded = { ...migration.up(structuredClone(upgraded)), schemaVersion: migration.version };
+  }
+  return { record: upgraded, applied: pending.map(migration => migration.description) };
+}
+
+/**
+ * @param {Migration[]} migrations
+ * @returns {string}  '0.0.0' when there are none.
+ */
+export function latestVersion(migrations) {
+  return migrations.reduce(
+    (latest, migration) => (compareVersions(migration.version, latest) > 0 ? migration.version : latest),
+    '0.0.0'
+  );
+}
+
+/**
+ * Compare dotted version strings numerically, so '4.10.0' is after '4.9.0'.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}  Negative, zero or positive, as for `Array.prototype.sort`.
+ */
+export function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference) return difference;
+  }
+  return 0;
+}
+
+/**
+ * @param {any} record
+ * @returns {any}
+ */
+function withDomain(record) {
+  if (record.domain || typeof record.url !== 'string') return record;
+  try {
+    return { ...record, domain: new URL(record.url).hostname };
+  } catch {
+    return { ...record, domain: '' };
+  }
+}
@@ -0,0 +1,833 @@
+/**
+ * @file core/pdf.js
+ * @description A minimal PDF text reader, for PDFs open in the browser.
+ *
+ * Each page's content stream is interpreted for its text operators only, and
+ * character codes are mapped through the font's ToUnicode table, or a
+ * Windows-1252 reading of simple fonts without one. Unfiltered and deflated
+ * streams are read, compressed object streams included, which covers what
+ * current writers produce. Line breaks follow the text's line moves rather
+ * than measured glyph positions, and scanned pages — images of text — give
+ * nothing. Encrypted documents are refused rather than misread.
+ */
+
+/**
+ * An object in a PDF. A name is a plain string, without its slash.
+ * @typedef {number | boolean | null | string | PdfString | PdfRef | PdfStream | Keyword
+ *   | PdfArray | PdfDict} PdfValue
+ */
+
+/** @typedef {PdfValue[]} PdfArray */
+
+/**
+ * A dictionary, keyed by name.
+ * @extends {Map<string, PdfValue>}
+ */
+class PdfDict extends Map {}
+
+/** A string in a PDF, as bytes, one per character code unit. */
+class PdfString {
+  /** @param {string} bytes */
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+/** An indirect reference, `12 0 R`. Generations are ignored: the last definition wins. */
+class PdfRef {
+  /** @param {number} number */
+  constructor(number) {
+    this.number = number;
+  }
+}
+
+class PdfStream {
+  /**
+   * @param {PdfDict} dict
+   * @param {string} data  Still encoded, as bytes.
+   */
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+  }
+}
+
+/** An operator in a content stream, or a delimiter or keyword elsewhere. */
+class Keyword {
+  /** @param {string} word */
+  constructor(word) {
+    this.word = word;
+  }
+}
+
+/**
+ * The `[Page N]` line each page's text starts with; prompts cite pages by it.
+ *
+ * @param {number} page  Counted from 1.
+ * @returns {string}
+ */
+export function pageMarker(page) {
+  return `[Page ${page}]`;
+}
+
+/** Deepest nesting of form XObjects followed for text. */
+const MAX_FORM_DEPTH = 5;
+
+/** Longest `bfrange` in a ToUnicode map honoured; real ones span at most a few hundred codes. */
+const MAX_CMAP_RANGE = 0x10000;
+
+const SPACE = /[\0\t\n\f\r ]*(?:%[^\r\n]*[\0\t\n\f\r ]*)*/y;
+const REGULAR = /[^\0\t\n\f\r ()<>[\]{}/%]*/y;
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)$/;
+const INDIRECT_OBJECT = /(?<!\d)(\d+)[\0\t\n\f\r ]+\d+[\0\t\n\f\r ]+obj\b/g;
+
+/** @type {Record<string, string>} */
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+/** Windows-1252 for 0x80–0x9F, where it differs from Latin-1. */
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+/**
+ * Glyph names seen in `/Differences` arrays whose character is not their name.
+ * @type {Record<string, string>}
+ */
+const GLYPH_NAMES = {
+  space: ' ', hyphen: '-', period: '.', comma: ',', colon: ':', semicolon: ';',
+  quoteright: '’', quoteleft: '‘', quotedblright: '”', quotedblleft: '“', quotesingle: "'",
+  endash: '–', emdash: '—', bullet: '•', ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff',
+  parenleft: '(', parenright: ')', slash: '/', ampersand: '&', percent: '%', question: '?',
+  exclam: '!', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9'
+};
+
+/**
+ * True when the bytes start like a PDF file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isPdf(bytes) {
+  return toBinary(bytes.subarray(0, 1024)).includes('%PDF-');
+}
+
+/**
+ * True for an address whose path names a PDF file.
+ *
+ * @param {string | undefined} url
+ * @returns {boolean}
+ */
+export function isPdfUrl(url) {
+  try {
+    const { protocol, pathname } = new URL(url || '');
+    return /^https?:$/.test(protocol) && /\.pdf$/i.test(pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The text of each page of a PDF, in page order. A page with no text gives
+ * an empty string, so indexes stay page numbers less one.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string[]>}
+ */
+export async function extractPdfPages(bytes) {
+  const document = new PdfDocument(toBinary(bytes));
+  if (document.encrypted) {
+    throw new Error('This PDF is encrypted and cannot be read');
+  }
+  await document.loadObjectStreams();
+
+  /** @type {string[]} */
+  const pages = [];
+  for (const page of document.pages()) {
+    const resources = asDict(document.get(page.get('Resources')));
+    pages.push(tidy(await document.contentText(page.get('Contents'), resources, 0)));
+  }
+  return pages;
+}
+
+/**
+ * Pages as one text, each headed by its `pageMarker()`. Pages without text
+ * are left out but keep their numbers.
+ *
+ * @param {string[]} pages
+ * @returns {string}
+ */
+export function pdfPagesToText(pages) {
+  return pages
+    .map((text, index) => text.trim() ? `${pageMarker(index + 1)}\n${text.trim()}` : '')
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+class PdfDocument {
+  /** @param {string} source  The file, as bytes. */
+  constructor(source) {
+    this.source = source;
+    /** @type {Map<number, PdfValue>} */
+    this.objects = new Map();
+    /** @type {PdfDict[]} Trailer dictionaries, classic and cross-reference stream, in file order. */
+    this.trailers = [];
+    /** @type {Map<PdfDict, Map<string, FontDecoder>>} */
+    this.fonts = new Map();
+    this.scan();
+  }
+
+  /**
+   * Read every object in the file, in file order, so an object redefined by
+   * an incremental update ends with its last definition. Stream data is
+   * skipped over, so no bytes inside it are taken for an object header.
+   */
+  scan() {
+    INDIRECT_OBJECT.lastIndex = 0;
+    for (let match = INDIRECT_OBJECT.exec(this.source); match; match = INDIRECT_OBJECT.exec(this.source)) {
+      const lexer = new Lexer(this.source, match.index + match[0].length, true);
+      let value = lexer.value();
+      if (value instanceof PdfDict && lexer.skipTo('stream')) {
+        const data = this.streamData(value, lexer.position);
+        value = new PdfStream(value, data.bytes);
+        lexer.position = data.end;
+        if (value.dict.get('Type') === 'XRef') this.trailers.push(value.dict);
+      }
+      this.objects.set(Number(match[1]), value);
+      INDIRECT_OBJECT.lastIndex = Math.max(lexer.position, INDIRECT_OBJECT.lastIndex);
+    }
+
+    for (let at = this.source.indexOf('trailer'); at >= 0; at = this.source.indexOf('trailer', at + 1)) {
+      const trailer = new Lexer(this.source, at + 'trailer'.length, true).value();
+      if (trailer instanceof PdfDict) this.trailers.push(trailer);
+    }
+  }
+
+  /**
+   * @param {PdfDict} dict
+   * @param {number} at  Just past the `stream` keyword.
+   * @returns {{ bytes: string, end: number }}
+   */
+  streamData(dict, at) {
+    let start = at;
+    if (this.source[start] === '\r') start++;
+    if (this.source[start] === '\n') start++;
+
+    // Trust /Length only when it is direct and lands on `endstream`; writers get it wrong.
+    const length = dict.get('Length');
+    if (typeof length === 'number' && /^[\0\t\n\f\r ]*endstream/.test(this.source.slice(start + length, start + length + 12))) {
+      return { bytes: this.source.slice(start, start + length), end: start + length };
+    }
+    const end = this.source.indexOf('endstream', start);
+    if (end < 0) return { bytes: this.source.slice(start), end: this.source.length };
+    return { bytes: this.source.slice(start, end).replace(/\r?\n$/, ''), end };
+  }
+
+  get encrypted() {
+    return this.trailers.some(trailer => trailer.has('Encrypt'));
+  }
+
+  /** Unpack the objects stored compressed inside object streams. */
+  async loadObjectStreams() {
+    for (const value of [...this.objects.values()]) {
+      if (!(value instanceof PdfStream) || value.dict.get('Type') !== 'ObjStm') continue;
+      const data = await this.decode(value);
+      const count = Number(value.dict.get('N')) || 0;
+      const first = Number(value.dict.get('First')) || 0;
+
+      const header = new Lexer(data, 0, false);
+      for (let i = 0; i < count; i++) {
+        const number = header.token();
+        const offset = header.token();
+        if (typeof number !== 'number' || typeof offset !== 'number') break;
+        // An object defined directly in the file is a later revision.
+        if (!this.objects.has(number)) {
+          this.objects.set(number, new Lexer(data, first + offset, true).value());
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {PdfValue | undefined} value
+   * @returns {PdfValue}  `value`, or the object it refers to.
+   */
+  get(value) {
+    for (let hops = 0; value instanceof PdfRef && hops < 32; hops++) {
+      value = this.objects.get(value.number);
+    }
+    return value ?? null;
+  }
+
+  /**
+   * The page dictionaries in order, each with the `Resources` it inherits.
+   *
+   * @returns {PdfDict[]}
+   */
+  pages() {
+    const trailer = [...this.trailers].reverse().find(candidate => candidate.has('Root'));
+    const catalog = asDict(this.get(trailer?.get('Root')));
+    const root = asDict(this.get(catalog?.get('Pages')));
+    if (!root) {
+      // No usable catalog: take every page object, in object-number order.
+      return [...this.objects.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, value]) => asDict(value instanceof PdfStream ? null : value))
+        .filter(/** @returns {dict is PdfDict} */ dict => dict?.get('Type') === 'Page');
+    }
+
+    /** @type {PdfDict[]} */
+    const pages = [];
+    /** @type {Set<PdfDict>} */
+    const seen = new Set();
+    /**
+     * @param {PdfDict} node
+     * @param {PdfValue | undefined} resources
+     */
+    const walk = (node, resources) => {
+      if (seen.has(node)) return;
+      seen.add(node);
+      const inherited = node.get('Resources') ?? resources;
+      const kids = this.get(node.get('Kids'));
+      if (Array.isArray(kids)) {
+        for (const kid of kids) {
+          const child = asDict(this.get(kid));
+          if (child) walk(child, inherited);
+        }
+      } else if (node.get('Type') !== 'Pages') {
+        pages.push(new PdfDict([...node, ['Resources', inherited ?? null]]));
+      }
+    };
+    walk(root, undefined);
+    return pages;
+  }
+
+  /**
+   * Decode a stream's data, or return '' for filters that do not carry text.
+   *
+   * @param {PdfStream} stream
+   * @returns {Promise<string>}
+   */
+  async decode(stream) {
+    const filter = this.get(stream.dict.get('Filter'));
+    const filters = Array.isArray(filter) ? filter.map(item => this.get(item)) : filter ? [filter] : [];
+    let data = stream.data;
+    for (const name of filters) {
+      if (name !== 'FlateDecode' && name !== 'Fl') return '';
+      data = await inflate(data);
+    }
+    return data;
+  }
+
+  /**
+   * The text drawn by a page's or form's content.
+   *
+   * @param {PdfValue | undefined} contents  A stream, or an array of streams read as one.
+   * @param {PdfDict | null} resources
+   * @param {number} depth  Form XObjects already entered.
+   * @returns {Promise<string>}
+   */
+  async contentText(contents, resources, depth) {
+    const value = this.get(contents);
+    const streams = (Array.isArray(value) ? value.map(item => this.get(item)) : [value])
+      .filter(/** @returns {item is PdfStream} */ item => item instanceof PdfStream);
+    const data = (await Promise.all(streams.map(stream => this.decode(stream)))).join('\n');
+    const fonts = await this.fontsOf(resources);
+    const xObjects = asDict(this.get(resources?.get('XObject')));
+
+    let text = '';
+    const newline = () => { if (text && !text.endsWith('\n')) text += '\n'; };
+    const space = () => { if (text && !/\s$/.test(text)) text += ' '; };
+    /** @type {FontDecoder | undefined} */
+    let font;
+    /** @param {PdfValue | undefined} operand */
+    const show = operand => {
+      if (operand instanceof PdfString) text += font ? font.decode(operand.bytes) : operand.bytes;
+    };
+    // The text position's height, followed through line moves, which are in
+    // text space and scaled by the text matrix. A move of less than half a
+    // line — a superscript, a subscript — stays on the line.
+    let fontSize = 0;
+    let scale = 1;
+    let leading = 0;
+    let textY = 0;
+    /** @type {number | null} */
+    let lineY = null;
+    /**
+     * @param {number} y
+     * @param {boolean} moved  Whether the position changed at all.
+     */
+    const moveTo = (y, moved) => {
+      if (lineY !== null && Math.abs(y - lineY) > Math.max(fontSize * scale / 2, 0.5)) newline();
+      else if (moved) space();
+      textY = y;
+      lineY = y;
+    };
+    const nextLine = () => {
+      newline();
+      textY -= leading * scale;
+      lineY = textY;
+    };
+
+    const lexer = new Lexer(data, 0, false);
+    /** @type {PdfValue[]} */
+    let operands = [];
+    for (let token = lexer.token(); token !== undefined; token = lexer.token()) {
+      const value = lexer.value(token);
+      if (!(value instanceof Keyword)) {
+        operands.push(value);
+        continue;
+      }
+
+      switch (value.word) {
+        case 'Tf':
+          font = typeof operands[0] === 'string' ? fonts.get(operands[0]) : undefined;
+          fontSize = Math.abs(Number(operands[1]) || 0);
+          break;
+        case 'BT':
+          // Each text object starts from the identity matrix.
+          textY = 0;
+          scale = 1;
+          break;
+        case 'TL':
+          leading = Number(operands[0]) || 0;
+          break;
+        case 'Td':
+        case 'TD': {
+          const dy = Number(operands[1]) || 0;
+          if (value.word === 'TD') leading = -dy;
+          moveTo(textY + dy * scale, Boolean(operands[0] || dy));
+          break;
+        }
+        case 'Tm':
+          scale = Math.abs(Number(operands[3])) || 1;
+          moveTo(Number(operands[5]) || 0, true);
+          break;
+        case 'T*':
+          nextLine();
+          break;
+        case "'":
+          nextLine();
+          show(operands[0]);
+          break;
+        case '"':
+          nextLine();
+          show(operands[2]);
+          break;
+        case 'Tj':
+          show(operands[0]);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            // A gap wider than kerning, in thousandths of the font size, separates words.
+            if (typeof item === 'number' && item < -150) space();
+            else show(item);
+          }
+          break;
+        case 'Do': {
+          const form = typeof operands[0] === 'string' ? this.get(xObjects?.get(operands[0])) : null;
+          if (form instanceof PdfStream && form.dict.get('Subtype') === 'Form' && depth < MAX_FORM_DEPTH) {
+            newline();
+            text += await this.contentText(form, asDict(this.get(form.dict.get('Resources'))) ?? resources, depth + 1);
+            newline();
+          }
+          break;
+        }
+        case 'ID':
+          lexer.skipInlineImage();
+          break;
+      }
+      operands = [];
+    }
+    return text;
+  }
+
+  /**
+   * @param {PdfDict | null} resources
+   * @returns {Promise<Map<string, FontDecoder>>}  By resource name.
+   */
+  async fontsOf(resources) {
+    const fontDict = asDict(this.get(resources?.get('Font')));
+    if (!fontDict) return new Map();
+    const known = this.fonts.get(fontDict);
+    if (known) return known;
+
+    /** @type {Map<string, FontDecoder>} */
+    const fonts = new Map();
+    for (const [name, value] of fontDict) {
+      const font = asDict(this.get(value));
+      if (font) fonts.set(name, await this.fontDecoder(font));
+    }
+    this.fonts.set(fontDict, fonts);
+    return fonts;
+  }
+
+  /**
+   * @param {PdfDict} font
+   * @returns {Promise<FontDecoder>}
+   */
+  async fontDecoder(font) {
+    const composite = font.get('Subtype') === 'Type0';
+    const toUnicode = this.get(font.get('ToUnicode'));
+    const cmap = toUnicode instanceof PdfStream ? parseCMap(await this.decode(toUnicode)) : null;
+
+    /** @type {Map<number, string>} */
+    const differences = new Map();
+    const encoding = this.get(font.get('Encoding'));
+    const list = encoding instanceof PdfDict ? this.get(encoding.get('Differences')) : null;
+    if (Array.isArray(list)) {
+      let code = 0;
+      for (const item of list) {
+        if (typeof item === 'number') code = item;
+        else if (typeof item === 'string') differences.set(code++, glyphText(item));
+      }
+    }
+
+    return new FontDecoder(cmap?.map ?? null, cmap?.codeLength ?? (composite ? 2 : 1), composite, differences);
+  }
+}
+
+/** Turns a font's character codes into text. */
+class FontDecoder {
+  /**
+   * @param {Map<number, string> | null} toUnicode
+   * @param {number} codeLength  Bytes per character code.
+   * @param {boolean} composite  A Type0 font, whose codes mean nothing without `toUnicode`.
+   * @param {Map<number, string>} differences
+   */
+  constructor(toUnicode, codeLength, composite, differences) {
+    this.toUnicode = toUnicode;
+    this.codeLength = codeLength;
+    this.composite = composite;
+    this.differences = differences;
+  }
+
+  /**
+   * @param {string} bytes
+   * @returns {string}
+   */
+  decode(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += this.codeLength) {
+      let code = 0;
+      for (let j = 0; j < this.codeLength; j++) code = code * 256 + (bytes.charCodeAt(i + j) || 0);
+
+      const mapped = this.toUnicode?.get(code) ?? this.differences.get(code);
+      if (mapped !== undefined) text += mapped;
+      else if (!this.composite) text += code >= 0x80 && code < 0xa0 ? WIN_ANSI_HIGH[code - 0x80] : String.fromCharCode(code);
+    }
+    return text;
+  }
+}
+
+/**
+ * The code-to-text table of a ToUnicode CMap.
+ *
+ * @param {string} data
+ * @returns {{ map: Map<number, string>, codeLength: number }}
+ */
+function parseCMap(data) {
+  /** @type {Map<number, string>} */
+  const map = new Map();
+  let codeLength = 0;
+  const lexer = new Lexer(data, 0, false);
+  /** @type {PdfValue[]} */
+  let operands = [];
+
+  for (let token = lexer.token(); token !== undefined; token = lexer.token()) {
+    const value = lexer.value(token);
+    if (!(value instanceof Keyword)) {
+      operands.push(value);
+      continue;
+    }
+
+    if (value.word === 'endcodespacerange' && operands[0] instanceof PdfString) {
+      codeLength = operands[0].bytes.length;
+    } else if (value.word === 'endbfchar') {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        const source = operands[i];
+        const target = operands[i + 1];
+        if (source instanceof PdfString && target instanceof PdfString) {
+          map.set(codeOf(source.bytes), utf16(target.bytes));
+        }
+      }
+    } else if (value.word === 'endbfrange') {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const [low, high, target] = operands.slice(i, i + 3);
+        if (!(low instanceof PdfString) || !(high instanceof PdfString)) continue;
+        const from = codeOf(low.bytes);
+        const to = Math.min(codeOf(high.bytes), from + MAX_CMAP_RANGE);
+        for (let code = from; code <= to; code++) {
+          const item = Array.isArray(target) ? target[code - from] : target;
+          if (!(item instanceof PdfString)) continue;
+          // A single target counts up from its last character.
+          const text = utf16(item.bytes);
+          map.set(code, Array.isArray(target)
+            ? text
+            : text.slice(0, -1) + String.fromCharCode(text.charCodeAt(text.length - 1) + code - from));
+        }
+      }
+    }
+    operands = [];
+  }
+  return { map, codeLength: codeLength || 1 };
+}
+
+class Lexer {
+  /**
+   * @param {string} source
+   * @param {number} position
+   * @param {boolean} references  Read `n g R` as a reference — in objects, never in content streams.
+   */
+  constructor(source, position, references) {
+    this.source = source;
+    this.position = position;
+    this.references = references;
+  }
+
+  /**
+   * Move past `word` if it is the next token.
+   *
+   * @param {string} word
+   * @returns {boolean}
+   */
+  skipTo(word) {
+    this.skipSpace();
+    if (!this.source.startsWith(word, this.position)) return false;
+    this.position += word.length;
+    return true;
+  }
+
+  skipSpace() {
+    SPACE.lastIndex = this.position;
+    SPACE.test(this.source);
+    this.position = SPACE.lastIndex;
+  }
+
+  /** Move past an inline image's data, which is binary and ends at `EI`. */
+  skipInlineImage() {
+    const end = /[\0\t\n\f\r ]EI(?=[\0\t\n\f\r ]|$)/g;
+    end.lastIndex = this.position + 1;
+    const match = end.exec(this.source);
+    this.position = match ? match.index + match[0].length : this.source.length;
+  }
+
+  /**
+   * The next token: a number, name, string, or keyword — delimiters such as
+   * `[` and `<<` included. Undefined at the end of the source.
+   *
+   * @returns {PdfValue | undefined}
+   */
+  token() {
+    this.skipSpace();
+    const { source } = this;
+    const char = source[this.position];
+    if (char === undefined) return undefined;
+
+    if (char === '(') return this.literalString();
+    if (char === '<' && source[this.position + 1] !== '<') return this.hexString();
+    if ((char === '<' || char === '>') && source[this.position + 1] === char) {
+      this.position += 2;
+      return new Keyword(char + char);
+    }
+    if ('[]{}>)'.includes(char)) {
+      this.position++;
+      return new Keyword(char);
+    }
+
+    const start = char === '/' ? this.position + 1 : this.position;
+    REGULAR.lastIndex = start;
+    REGULAR.test(source);
+    const word = source.slice(start, REGULAR.lastIndex);
+    this.position = Math.max(REGULAR.lastIndex, this.position + 1);
+    if (char === '/') {
+      return word.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    return NUMBER.test(word) ? Number(word) : new Keyword(word);
+  }
+
+  /**
+   * Read a whole value starting with `token`: arrays and dictionaries are
+   * read to their end, and `true`, `false` and `null` become values.
+   * Other keywords are returned as they are.
+   *
+   * @param {PdfValue | undefined} [token]
+   * @returns {PdfValue}
+   */
+  value(token = this.token()) {
+    if (token instanceof Keyword) {
+      switch (token.word) {
+        case '[': {
+          /** @type {PdfValue[]} */
+          const items = [];
+          for (let next = this.token(); next !== undefined && !isKeyword(next, ']'); next = this.token()) {
+            items.push(this.value(next));
+          }
+          return items;
+        }
+        case '<<': {
+          const dict = new PdfDict();
+          for (let next = this.token(); next !== undefined && !isKeyword(next, '>>'); next = this.token()) {
+            if (typeof next === 'string') dict.set(next, this.value());
+          }
+          return dict;
+        }
+        case 'true':
+          return true;
+        case 'false':
+          return false;
+        case 'null':
+          return null;
+      }
+      return token;
+    }
+
+    if (this.references && typeof token === 'number' && Number.isInteger(token)) {
+      const saved = this.position;
+      const generation = this.token();
+      if (typeof generation === 'number' && isKeyword(this.token(), 'R')) return new PdfRef(token);
+      this.position = saved;
+    }
+    return token ?? null;
+  }
+
+  /** @returns {PdfString} */
+  literalString() {
+    const { source } = this;
+    let depth = 0;
+    let bytes = '';
+    this.position++;
+    while (this.position < source.length) {
+      const char = source[this.position++];
+      if (char === '\\') {
+        const escaped = source[this.position++] || '';
+        if (ESCAPES[escaped]) {
+          bytes += ESCAPES[escaped];
+        } else if (/[0-7]/.test(escaped)) {
+          let octal = escaped;
+          while (octal.length < 3 && /[0-7]/.test(source[this.position] || '')) octal += source[this.position++];
+          bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (escaped === '\r') {
+          if (source[this.position] === '\n') this.position++; // A line continuation.
+        } else if (escaped !== '\n') {
+          bytes += escaped;
+        }
+      } else if (char === '(') {
+        depth++;
+        bytes += char;
+      } else if (char === ')') {
+        if (depth-- === 0) break;
+        bytes += char;
+      } else {
+        bytes += char;
+      }
+    }
+    return new PdfString(bytes);
+  }
+
+  /** @returns {PdfString} */
+  hexString() {
+    const end = this.source.indexOf('>', this.position);
+    const stop = end < 0 ? this.source.length : end;
+    const hex = this.source.slice(this.position + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.position = stop + 1;
+    let bytes = '';
+    for (let i = 0; i < hex.length; i += 2) bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    return new PdfString(bytes);
+  }
+}
+
+/**
+ * @param {PdfValue | undefined} value
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isKeyword(value, word) {
+  return value instanceof Keyword && value.word === word;
+}
+
+/**
+ * @param {PdfValue} value
+ * @returns {PdfDict | null}
+ */
+function asDict(value) {
+  return value instanceof PdfDict ? value : null;
+}
+
+/**
+ * @param {string} bytes  Big-endian.
+ * @returns {number}
+ */
+function codeOf(bytes) {
+  let code = 0;
+  for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+  return code;
+}
+
+/**
+ * @param {string} bytes  UTF-16BE, as ToUnicode maps write their targets.
+ * @returns {string}
+ */
+function utf16(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode(bytes.charCodeAt(i) * 256 + bytes.charCodeAt(i + 1));
+  }
+  return text;
+}
+
+/**
+ * @param {string} name  A glyph name from an encoding's `/Differences`.
+ * @returns {string}
+ */
+function glyphText(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (/^uni[0-9A-F]{4}$/.test(name)) return String.fromCharCode(parseInt(name.slice(3), 16));
+  return name.length === 1 ? name : '';
+}
+
+/**
+ * @param {string} data  Deflated bytes.
+ * @returns {Promise<string>}  What inflated before any error: a damaged
+ *   stream's tail is lost, not the page.
+ */
+async function inflate(data) {
+  const inflater = new DecompressionStream('deflate');
+  const writer = inflater.writable.getWriter();
+  // Failures surface on the reading side; these only need not go unhandled.
+  writer.write(Uint8Array.from(data, char => char.charCodeAt(0))).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = inflater.readable.getReader();
+  let text = '';
+  try {
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      text += toBinary(chunk.value);
+    }
+  } catch {
+    // Keep what came out; writers often end a stream without its checksum.
+  }
+  return text;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}  One character per byte.
+ */
+function toBinary(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x2000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x2000));
+  }
+  return text;
+}
+
+/**
+ * @param {string} text  A page's text as drawn.
+ * @returns {string}  Spaces collapsed and blank lines dropped.
+ */
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
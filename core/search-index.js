@@ -0,0 +1,204 @@
+/**
+ * @file core/search-index.js
+ * @description Inverted index for full-text search over saved history.
+ *
+ * The index is a plain object so it can sit in chrome.storage.local beside the
+ * history it covers. `postings` maps each term to the documents containing it
+ * and how often; `docs` records each document's length and the stamp it was
+ * indexed at, which is how stale entries are found without re-reading text.
+ * Documents keep no list of their own terms — removing one scans the postings
+ * instead, which keeps the stored index about half the size.
+ *
+ * Terms are lowercased runs of letters and digits. Every word of a query must
+ * match; the last also matches as a prefix, so results appear while the user
+ * is still typing. Results are ranked with BM25.
+ */
+
+/** Bumped when tokenizing or the stored shape changes; an older index is rebuilt. */
+export const SEARCH_INDEX_VERSION = 1;
+
+/** BM25 term-frequency saturation. */
+const K1 = 1.2;
+
+/** BM25 length normalization. */
+const B = 0.75;
+
+/** Words too common to say anything about a document. */
+const STOPWORDS = new Set([
+  'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {number} version
+ * @property {Record<string, { length: number, stamp: number }>} docs
+ * @property {Record<string, Record<string, number>>} postings  Term → document key → weighted count.
+ */
+
+/**
+ * A piece of a document's text. Title words are worth more than body words.
+ * @typedef {Object} IndexedField
+ * @property {string} text
+ * @property {number} [weight]  Defaults to 1.
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string} key
+ * @property {number} score
+ * @property {string[]} terms  The indexed terms that matched, for highlighting.
+ */
+
+/** @returns {SearchIndex} */
+export function emptyIndex() {
+  return { version: SEARCH_INDEX_VERSION, docs: {}, postings: {} };
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]}  Index terms in order of appearance, repeats included.
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+/**
+ * Index a document, replacing whatever was indexed under `key` before.
+ *
+ * @param {SearchIndex} index  Updated in place.
+ * @param {string} key
+ * @param {IndexedField[]} fields
+ * @param {number} stamp  When the document last changed.
+ */
+export function addDocument(index, key, fields, stamp) {
+  removeDocuments(index, [key]);
+
+  let length = 0;
+  for (const { text, weight = 1 } of fields) {
+    for (const term of tokenize(text)) {
+      const postings = own(index.postings, term) || (index.postings[term] = {});
+      postings[key] = (own(postings, key) || 0) + weight;
+      length += 1;
+    }
+  }
+  index.docs[key] = { length, stamp };
+}
+
+/**
+ * @param {SearchIndex} index  Updated in place.
+ * @param {string[]} keys
+ */
+export function removeDocuments(index, keys) {
+  const doomed = keys.filter(key => own(index.docs, key));
+  if (!doomed.length) return;
+
+  doomed.forEach(key => delete index.docs[key]);
+  for (const [term, postings] of Object.entries(index.postings)) {
+    doomed.forEach(key => delete postings[key]);
+    if (!Object.keys(postings).length) delete index.postings[term];
+  }
+}
+
+/**
+ * Documents containing every word of `query`, best first; ties go to the most
+ * recently changed.
+ *
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @returns {SearchHit[]}
+ */
+export function searchIndex(index, query) {
+  const words = [...new Set(tokenize(query))];
+  const keys = Object.keys(index.docs);
+  if (!words.length || !keys.length) return [];
+
+  const averageLength = keys.reduce((sum, key) => sum + (index.docs[key]?.length || 0), 0) / keys.length || 1;
+
+  /** @type {Map<string, SearchHit & { words: number }>} */
+  const hits = new Map();
+  words.forEach((word, position) => {
+    const exact = own(index.postings, word);
+    const terms = position === words.length - 1
+      ? Object.entries(index.postings).filter(([term]) => term.startsWith(word))
+      : exact ? [/** @type {const} */ ([word, exact])] : [];
+
+    /** @type {Set<string>} */
+    const matched = new Set();
+    for (const [term, postings] of terms) {
+      const documents = Object.keys(postings).length;
+      const idf = Math.log(1 + (keys.length - documents + 0.5) / (documents + 0.5));
+
+      for (const [key, count] of Object.entries(postings)) {
+        const length = index.docs[key]?.length ?? averageLength;
+        const hit = hits.get(key) || { key, score: 0, terms: [], words: 0 };
+        hit.score += idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * length / averageLength));
+        hit.terms.push(term);
+        if (!matched.has(key)) {
+          matched.add(key);
+          hit.words += 1;
+        }
+        hits.set(key, hit);
+      }
+    }
+  });
+
+  return [...hits.values()]
+    .filter(hit => hit.words === words.length)
+    .sort((a, b) => b.score - a.score || (index.docs[b.key]?.stamp || 0) - (index.docs[a.key]?.stamp || 0))
+    .map(({ key, score, terms }) => ({ key, score, terms }));
+}
+
+/**
+ * A window of `text` around the first matched term, with the position of every
+ * match inside it. Positions rather than markup, so the caller escapes the
+ * text before marking it up.
+ *
+ * @param {string} text
+ * @param {string[]} terms  From a `SearchHit`.
+ * @param {number} [width]  Characters of `text` to keep, before ellipses.
+ * @returns {{ snippet: string, highlights: [number, number][] }}
+ */
+export function highlightSnippet(text, terms, width = 160) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  const body = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const matches = body
+    ? [...flat.matchAll(new RegExp(`(?<![\\p{L}\\p{N}])(?:${body})(?![\\p{L}\\p{N}])`, 'giu'))]
+    : [];
+
+  // Start a little before the first match, on a word boundary.
+  const first = matches[0]?.index ?? 0;
+  const lead = Math.floor(width / 4);
+  const start = first > lead ? flat.lastIndexOf(' ', first - lead) + 1 : 0;
+  let end = Math.min(flat.length, start + width);
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    snippet: `${prefix}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`,
+    highlights: matches
+      .filter(match => match.index !== undefined && match.index >= start && match.index + match[0].length <= end)
+      .map(match => /** @type {[number, number]} */ ([
+        /** @type {number} */ (match.index) + shift,
+        /** @type {number} */ (match.index) + match[0].length + shift
+      ]))
+  };
+}
+
+/**
+ * `record[key]` when it is the record's own — terms such as "constructor"
+ * would otherwise find Object.prototype's.
+ *
+ * @template T
+ * @param {Record<string, T>} record
+ * @param {string} key
+ * @returns {T | undefined}
+ */
+function own(record, key) {
+  return Object.prototype.hasOwnProperty.call(record, key) ? record[key] : undefined;
+}
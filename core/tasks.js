@@ -11,6 +11,12 @@
 /** Longest page excerpt sent to a provider. Keeps one request bounded and cheap. */
 export const MAX_CONTENT_CHARS = 24000;
 
+/** Earlier turns sent with a chat question, counting questions and answers. */
+const MAX_HISTORY_TURNS = 6;
+
+/** Budget for one section's summary in a map-reduce summary of a long page. */
+const PART_SUMMARY_TOKENS = 500;
+
 const FENCE = '<<<PAGE_CONTENT>>>';
 
 const GROUNDING = [
@@ -21,13 +27,116 @@ const GROUNDING = [
   'rather than drawing on outside knowledge.'
 ].join(' ');
 
+// Added when content.js extracted the page as Markdown rather than flat text.
+const MARKDOWN_NOTE = ' The page is given as Markdown. Refer to its sections by their headings,' +
+  ' and reproduce code, table values and link targets exactly when you cite them.';
+
+// Added for a PDF, whose text the background extracted with a "[Page N]" line
+// before each page.
+const PDF_NOTE = ' The page is a PDF document; a "[Page N]" line starts each of its pages.' +
+  ' Cite the page each point comes from as (p. N).';
+
+/**
+ * A shape the reply must take, requested through the provider's native
+ * structured output rather than described in prose.
+ * @typedef {Object} OutputSchema
+ * @property {string} name  Identifier the provider sees, e.g. as a tool name.
+ * @property {string} description
+ * @property {import('./json-schema.js').JsonSchema} schema
+ */
+
 /**
  * @typedef {Object} TaskPrompt
  * @property {string} system
- * @property {string} user
+ * @property {string} user  The single user turn; for a conversation, the latest question.
  * @property {number} maxTokens
+ * @property {OutputSchema} [output]  Present when the payload asked for `structured` output.
+ * @property {ChatMessage[]} [messages]  The whole conversation, for tasks that have one;
+ *   sent in place of `user`.
  */
 
+/** @typedef {import('../providers/ai-client.js').ChatMessage} ChatMessage */
+
+/**
+ * A table as content.js extracts it.
+ * @typedef {Object} PageTable
+ * @property {string} caption  Empty when the table has none.
+ * @property {string[]} headers  Column names; empty when the table has no header row.
+ * @property {string[][]} rows
+ */
+
+/** Labels the sentiment task may return. */
+export const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed'];
+
+/** Entity kinds, in the order they are listed. */
+export const ENTITY_TYPES = ['person', 'organization', 'place', 'product', 'date'];
+
+/** Markdown group heading for each entity kind, as the plain-text prompt asks for. */
+const ENTITY_GROUPS = {
+  person: 'People',
+  organization: 'Organizations',
+  place: 'Places',
+  product: 'Products',
+  date: 'Dates'
+};
+
+// Every object closes `additionalProperties` and requires all of its fields:
+// OpenAI's strict mode rejects a schema that does not.
+
+/** @type {OutputSchema} */
+const SENTIMENT_OUTPUT = {
+  name: 'report_sentiment',
+  description: 'Report the overall sentiment of the page.',
+  schema: {
+    type: 'object',
+    properties: {
+      sentiment: { type: 'string', enum: SENTIMENTS },
+      reason: { type: 'string', description: 'One sentence explaining the judgement.' }
+    },
+    required: ['sentiment', 'reason'],
+    additionalProperties: false
+  }
+};
+
+/** @type {OutputSchema} */
+const TAGS_OUTPUT = {
+  name: 'report_tags',
+  description: 'Report topic tags for the page.',
+  schema: {
+    type: 'object',
+    properties: {
+      tags: { type: 'array', items: { type: 'string' }, description: '3 to 8 lowercase topic tags.' }
+    },
+    required: ['tags'],
+    additionalProperties: false
+  }
+};
+
+/** @type {OutputSchema} */
+const ENTITIES_OUTPUT = {
+  name: 'report_entities',
+  description: 'Report the named entities mentioned on the page.',
+  schema: {
+    type: 'object',
+    properties: {
+      entities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'As written on the page.' },
+            type: { type: 'string', enum: ENTITY_TYPES }
+          },
+          required: ['name', 'type'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['entities'],
+    additionalProperties: false
+  }
+};
+
 const DEFAULT_SUMMARY_TOKENS = 600;
 
 /** @type {Record<string, number>} */
@@ -56,6 +165,135 @@ export function fenceContent(content) {
   return `${FENCE}\n${clipped}\n${FENCE}`;
 }
 
+/**
+ * Split page text into chunks of at most `maxChars`, preferring to break just
+ * before a heading so each chunk holds whole sections. A section too long for
+ * one chunk is broken between lines, and a single over-long line mid-line.
+ *
+ * @param {string} content
+ * @param {{ level: number, text: string }[]} [headings]  As extracted by content.js, in document order.
+ * @param {number} [maxChars]
+ * @returns {string[]}
+ */
+export function splitIntoChunks(content, headings = [], maxChars = MAX_CONTENT_CHARS) {
+  if (content.length <= maxChars) return [content];
+
+  // Offsets at which a heading's text begins a line. Headings whose text does
+  // not appear verbatim (CSS text-transform, hidden headings) are skipped.
+  const boundaries = [0];
+  let last = 0;
+  for (const heading of headings) {
+    const at = findLineStart(content, heading.text, last);
+    if (at > last) {
+      boundaries.push(at);
+      last = at;
+    }
+  }
+  boundaries.push(content.length);
+
+  /** @type {string[]} */
+  const units = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const section = content.slice(boundaries[i], boundaries[i + 1]);
+    if (section.length <= maxChars) {
+      units.push(section);
+      continue;
+    }
+    for (const line of section.split(/(?<=\n)/)) {
+      for (let start = 0; start < line.length; start += maxChars) {
+        units.push(line.slice(start, start + maxChars));
+      }
+    }
+  }
+
+  /** @type {string[]} */
+  const chunks = [];
+  let current = '';
+  for (const unit of units) {
+    if (current && current.length + unit.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current += unit;
+  }
+  chunks.push(current);
+
+  return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} content
+ * @param {string} text
+ * @param {number} from
+ * @returns {number}  Offset of the line on which the first occurrence at or
+ *   after `from` starts, bare or as a Markdown heading, or -1.
+ */
+function findLineStart(content, text, from) {
+  if (!text) return -1;
+  for (let at = content.indexOf(text, from); at >= 0; at = content.indexOf(text, at + 1)) {
+    const lineStart = content.lastIndexOf('\n', at - 1) + 1;
+    if (lineStart === at) return at;
+    if (lineStart >= from && /^#{1,6} $/.test(content.slice(lineStart, at))) return lineStart;
+  }
+  return -1;
+}
+
+/**
+ * @param {any} payload
+ * @returns {string}  `MARKDOWN_NOTE` when the content is Markdown, `PDF_NOTE`
+ *   when it is a PDF's pages, else nothing.
+ */
+function formatNote(payload) {
+  if (payload.contentFormat === 'markdown') return MARKDOWN_NOTE;
+  return payload.contentFormat === 'pdf' ? PDF_NOTE : '';
+}
+
+/**
+ * The last few turns of a chat, starting with a question so the conversation
+ * reads user, assistant, user… after the pinned page. Anything that is not a
+ * user or assistant turn with text is dropped.
+ *
+ * @param {unknown} history
+ * @returns {ChatMessage[]}
+ */
+function recentTurns(history) {
+  if (!Array.isArray(history)) return [];
+  /** @type {ChatMessage[]} */
+  const turns = history
+    .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.content === 'string' && turn.content)
+    .slice(-MAX_HISTORY_TURNS)
+    .map(turn => ({ role: turn.role, content: turn.content }));
+  while (turns[0]?.role === 'assistant') turns.shift();
+  return turns;
+}
+
+/**
+ * A table as a Markdown table for the `table` task, its caption above it.
+ * A table without headers gets numbered columns, since Markdown needs a
+ * header row.
+ *
+ * @param {PageTable} table
+ * @returns {string}  Empty when the table has no rows.
+ */
+export function tableToMarkdown(table) {
+  if (!table?.rows?.length) return '';
+  const columns = Math.max(table.headers.length, ...table.rows.map(row => row.length));
+  const headers = table.headers.length
+    ? table.headers
+    : Array.from({ length: columns }, (_, i) => `Column ${i + 1}`);
+  const line = (/** @type {string[]} */ cells) => `| ${Array.from(
+    { length: columns },
+    (_, i) => String(cells[i] ?? '').replace(/\s+/g, ' ').replace(/\|/g, '\\|')
+  ).join(' | ')} |`;
+
+  return [
+    ...(table.caption ? [`Table: ${table.caption}`, ''] : []),
+    line(headers),
+    line(Array(columns).fill('---')),
+    ...table.rows.map(line)
+  ].join('\n');
+}
+
 /**
  * True when the extracted page text was clipped before being sent.
  *
@@ -79,25 +317,62 @@ export function buildPrompt(task, payload) {
       const style = SUMMARY_STYLES[payload.summaryType] || DEFAULT_SUMMARY_STYLE;
       const maxTokens = LENGTH_TOKENS[payload.targetLength] || DEFAULT_SUMMARY_TOKENS;
       return {
-        system: `${GROUNDING} ${style}`,
+        system: `${GROUNDING}${formatNote(payload)} ${style}`,
         user: `Summarize this page.\n\n${fenceContent(payload.content)}`,
         maxTokens
       };
     }
 
+    // Map step of a long-page summary: one section, summarized on its own.
+    case 'summary-part':
+      return {
+        system: `${GROUNDING}${formatNote(payload)} The material is one part of a longer page.` +
+          ' Summarize it as a markdown bullet list, keeping names, numbers, and conclusions.',
+        user: `Summarize part ${payload.part} of ${payload.parts} of this page.` +
+          `\n\n${fenceContent(payload.content)}`,
+        maxTokens: PART_SUMMARY_TOKENS
+      };
+
+    // Reduce step: the part summaries are still derived from page text, so they
+    // stay fenced as untrusted data.
+    case 'summary-combine': {
+      const style = SUMMARY_STYLES[payload.summaryType] || DEFAULT_SUMMARY_STYLE;
+      const maxTokens = LENGTH_TOKENS[payload.targetLength] || DEFAULT_SUMMARY_TOKENS;
+      return {
+        system: `${GROUNDING} The material is a sequence of summaries of consecutive parts` +
+          ` of one page. Merge them into a single summary of the whole page without repetition.` +
+          `${payload.contentFormat === 'pdf' ? ' Keep their (p. N) page citations.' : ''} ${style}`,
+        user: `Summarize this page from the summaries of its parts.\n\n${fenceContent(payload.content)}`,
+        maxTokens
+      };
+    }
+
     case 'question': {
-      const history = (payload.conversationHistory || [])
-        .slice(-6)
-        .map(/** @param {any} m */ m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
-        .join('\n');
+      const question = String(payload.question);
       return {
-        system: `${GROUNDING} Answer the user's question about the page. Quote the` +
+        system: `${GROUNDING}${formatNote(payload)} Answer the user's questions about the page. Quote the` +
           ' relevant phrase from the page when it supports your answer.',
-        user: [
-          history && `Earlier in this conversation:\n${history}`,
-          `Question: ${payload.question}`,
-          fenceContent(payload.context)
-        ].filter(Boolean).join('\n\n'),
+        user: question,
+        messages: [
+          // Pinned first and identical on every turn, so providers can cache it.
+          { role: 'user', content: fenceContent(payload.context), pinned: true },
+          ...recentTurns(payload.conversationHistory),
+          { role: 'user', content: question }
+        ],
+        maxTokens: 800
+      };
+    }
+
+    // One table from the page, fenced as Markdown by `tableToMarkdown()`.
+    case 'table': {
+      const question = typeof payload.question === 'string' ? payload.question.trim() : '';
+      return {
+        system: `${GROUNDING} The material is one table from the page, as Markdown.` + (question
+          ? ' Answer the user\'s question from it, naming the rows and columns you used.' +
+            ' Do the arithmetic a question needs, and show it when it is more than a lookup.'
+          : ' Explain what the table shows: what each column means, the notable values,' +
+            ' ranges and trends. Do not restate it row by row.'),
+        user: `${question || 'Explain this table.'}\n\n${fenceContent(payload.content)}`,
         maxTokens: 800
       };
     }
@@ -105,12 +380,21 @@ export function buildPrompt(task, payload) {
     case 'translation':
       return {
         system: `${GROUNDING} Translate the page text into ${payload.targetLanguage || 'English'}.` +
+          (payload.contentFormat === 'pdf' ? ' Keep each "[Page N]" line as it is.' : '') +
           ' Return only the translation, with no preamble and no commentary.',
         user: fenceContent(payload.text),
         maxTokens: 2000
       };
 
     case 'sentiment':
+      if (payload.structured) {
+        return {
+          system: `${GROUNDING} Judge the overall sentiment of the page and give a one-sentence reason.`,
+          user: fenceContent(payload.text),
+          maxTokens: 200,
+          output: SENTIMENT_OUTPUT
+        };
+      }
       return {
         system: `${GROUNDING} Judge the overall sentiment of the page.` +
           ' Reply with exactly two lines: "Sentiment: positive|negative|neutral|mixed"' +
@@ -128,6 +412,14 @@ export function buildPrompt(task, payload) {
       };
 
     case 'tags':
+      if (payload.structured) {
+        return {
+          system: `${GROUNDING} Produce 3 to 8 lowercase topic tags for this page.`,
+          user: fenceContent(payload.text),
+          maxTokens: 100,
+          output: TAGS_OUTPUT
+        };
+      }
       return {
         system: `${GROUNDING} Produce topic tags for this page.` +
           ' Reply with 3 to 8 lowercase tags on a single line, comma separated, nothing else.',
@@ -136,6 +428,15 @@ export function buildPrompt(task, payload) {
       };
 
     case 'entities':
+      if (payload.structured) {
+        return {
+          system: `${GROUNDING} Extract the people, organizations, places, products, and dates` +
+            ' named on the page, each once.',
+          user: fenceContent(payload.text),
+          maxTokens: 700,
+          output: ENTITIES_OUTPUT
+        };
+      }
       return {
         system: `${GROUNDING} Extract the named entities from the page as a markdown` +
           ' bullet list grouped under People, Organizations, Places, Products, and Dates.' +
@@ -151,7 +452,8 @@ export function buildPrompt(task, payload) {
 
 /**
  * Parse the two-line sentiment reply into structured fields, degrading to the
- * raw text when the model does not follow the format.
+ * raw text when the model does not follow the format. The fallback for when
+ * structured output is unavailable.
  *
  * @param {string} text
  * @returns {{ sentiment: string, reason: string }}
@@ -166,15 +468,113 @@ export function parseSentiment(text) {
 }
 
 /**
- * Split a comma-separated tag line into a clean array.
+ * Split a comma-separated tag line into a clean array. The fallback for when
+ * structured output is unavailable.
  *
  * @param {string} text
  * @returns {string[]}
  */
 export function parseTags(text) {
-  return text
-    .split(',')
+  return normalizeTags(text.split(','));
+}
+
+/**
+ * Lowercase, strip list markers, drop blanks, and keep at most eight — applied
+ * to structured tags too, since a schema cannot make a model count.
+ *
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  return tags
     .map(tag => tag.trim().toLowerCase().replace(/^[-*\s]+/, ''))
     .filter(Boolean)
     .slice(0, 8);
 }
+
+/**
+ * Read entities back out of the grouped markdown list the plain-text prompt
+ * asks for. The fallback for when structured output is unavailable; bullets
+ * outside a recognised group are ignored.
+ *
+ * @param {string} text
+ * @returns {{ name: string, type: string }[]}
+ */
+export function parseEntities(text) {
+  /** @type {Record<string, string>} */
+  const typeByGroup = {};
+  for (const [type, group] of Object.entries(ENTITY_GROUPS)) typeByGroup[group.toLowerCase()] = type;
+
+  /** @type {{ name: string, type: string }[]} */
+  const entities = [];
+  let type = '';
+  for (const line of text.split('\n')) {
+    const bullet = /^\s*[-*]\s+(.+)$/.exec(line);
+    if (!bullet) {
+      // "## People", "**People:**", "People" — any line naming a group starts it.
+      const heading = line.replace(/[#*:_]/g, '').trim().toLowerCase();
+      if (heading) type = typeByGroup[heading] || '';
+      continue;
+    }
+    const name = (bullet[1] || '').replace(/\*\*/g, '').trim();
+    if (type && name) entities.push({ name, type });
+  }
+  return entities;
+}
+
+/**
+ * An entity as the popup shows it, located in the page text it came from.
+ * @typedef {Object} Entity
+ * @property {string} type  One of `ENTITY_TYPES`.
+ * @property {string} name
+ * @property {number} mentions  Times the name occurs in the page text; 0 when the
+ *   model paraphrased it and it occurs nowhere verbatim.
+ * @property {number} offset  Index of the first occurrence in the page text, or -1.
+ */
+
+/**
+ * Count and locate each entity in `text`, merging duplicates that differ only
+ * in case. Ordered by first occurrence, with names not found in the text last.
+ *
+ * @param {{ name: string, type: string }[]} entities
+ * @param {string} text  The page's `mainText`, whose offsets the popup scrolls to.
+ * @returns {Entity[]}
+ */
+export function locateEntities(entities, text) {
+  /** @type {Map<string, Entity>} */
+  const located = new Map();
+  for (const { name, type } of entities) {
+    const trimmed = name.trim();
+    const key = `${type}\u0000${trimmed.toLowerCase()}`;
+    if (!trimmed || located.has(key)) continue;
+
+    let mentions = 0;
+    let offset = -1;
+    for (const match of text.matchAll(mentionPattern(trimmed))) {
+      if (offset < 0) offset = match.index ?? -1;
+      mentions++;
+    }
+    located.set(key, { type, name: trimmed, mentions, offset });
+  }
+
+  return [...located.values()].sort((a, b) => {
+    if (a.offset < 0 || b.offset < 0) return b.offset - a.offset;
+    return a.offset - b.offset;
+  });
+}
+
+/**
+ * Case-insensitive matcher for a name as running text, tolerating any run of
+ * whitespace between its words and not matching inside a longer word.
+ * content.js builds the same pattern to find a mention on the live page.
+ *
+ * @param {string} name
+ * @returns {RegExp}
+ */
+export function mentionPattern(name) {
+  const body = name
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+}
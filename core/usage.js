@@ -0,0 +1,138 @@
+/**
+ * @file core/usage.js
+ * @description Token usage ledger keys and cost arithmetic.
+ *
+ * Providers report tokens, not money. Costs are derived from a price table the
+ * user keeps on the options page: prices change and differ by account, so the
+ * extension ships none rather than a set that silently goes stale. A model
+ * without a price has an unknown cost, never a zero one.
+ */
+
+/**
+ * USD per million tokens.
+ * @typedef {Object} Price
+ * @property {number} input
+ * @property {number} output
+ */
+
+/**
+ * One provider/model's totals over some period.
+ * @typedef {Object} UsageRow
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} requests
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ */
+
+/**
+ * A monthly cap on one provider, in tokens (input plus output) or USD.
+ * @typedef {Object} Budget
+ * @property {number} limit
+ * @property {'tokens' | 'usd'} unit
+ */
+
+/** Share of a budget at which the user is warned, once per month. */
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * Local calendar day, e.g. "2026-10-19". Days are local so "this month" on the
+ * options page matches the user's calendar rather than UTC's.
+ *
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${monthKey(timestamp)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string} e.g. "2026-10".
+ */
+export function monthKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Key of a model's entry in the price table. Includes the provider because a
+ * local server may serve a model under the same name as a hosted one.
+ *
+ * @param {string} provider
+ * @param {string} model
+ * @returns {string}
+ */
+export function priceKey(provider, model) {
+  return `${provider}/${model}`;
+}
+
+/**
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ * @param {Price | undefined} price
+ * @returns {number | null}  USD, or null when the model has no price.
+ */
+export function costOf(usage, price) {
+  if (!price) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Total cost of a set of rows, and whether any of them could not be priced.
+ *
+ * @param {UsageRow[]} rows
+ * @param {Record<string, Price>} prices
+ * @returns {{ cost: number, unpriced: number }}
+ */
+export function totalCost(rows, prices) {
+  let cost = 0;
+  let unpriced = 0;
+  for (const row of rows) {
+    const rowCost = costOf(row, prices[priceKey(row.provider, row.model)]);
+    if (rowCost === null) {
+      unpriced++;
+    } else {
+      cost += rowCost;
+    }
+  }
+  return { cost, unpriced };
+}
+
+/**
+ * How much of a budget's unit one provider has used in the given rows. A USD
+ * budget can only meter models that have a price; unpriced ones count nothing,
+ * which the options page says next to the budget fields.
+ *
+ * @param {UsageRow[]} rows
+ * @param {string} provider
+ * @param {Budget['unit']} unit
+ * @param {Record<string, Price>} prices
+ * @returns {number}
+ */
+export function budgetSpent(rows, provider, unit, prices) {
+  const own = rows.filter(row => row.provider === provider);
+  if (unit === 'usd') return totalCost(own, prices).cost;
+  return own.reduce((sum, row) => sum + row.inputTokens + row.outputTokens, 0);
+}
+
+/**
+ * @param {number} amount
+ * @param {Budget['unit']} unit
+ * @returns {string} e.g. "$12.50" or "1,200,000 tokens".
+ */
+export function formatBudgetAmount(amount, unit) {
+  return unit === 'usd' ? `$${amount.toFixed(2)}` : `${Math.round(amount).toLocaleString()} tokens`;
+}
+
+/**
+ * Midnight, local time, on the first day of the month after `timestamp` —
+ * when monthly budgets start over.
+ *
+ * @param {number} timestamp
+ * @returns {number}
+ */
+export function startOfNextMonth(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+}
@@ -0,0 +1,140 @@
+/**
+ * @file core/user-data.js
+ * @description Reading an export file back in.
+ *
+ * An export is whatever `StorageService.exportUserData()` wrote, possibly by
+ * an older version, possibly edited by hand. Each record is checked against
+ * the schema below before anything is saved; a record that fails is left out
+ * and reported, so one damaged entry does not cost the rest of the file.
+ */
+
+import { validateJson } from './json-schema.js';
+
+/** @typedef {import('./json-schema.js').JsonSchema} JsonSchema */
+
+/** @type {JsonSchema} */
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    summary: { type: 'string' },
+    timestamp: { type: 'number' },
+    url: { type: 'string' },
+    title: { type: 'string' },
+    provider: { type: 'string' }
+  },
+  required: ['id', 'summary', 'timestamp']
+};
+
+/** @type {JsonSchema} */
+const CHAT_SESSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string' },
+    title: { type: 'string' },
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          role: { type: 'string', enum: ['user', 'assistant'] },
+          content: { type: 'string' },
+          timestamp: { type: 'number' }
+        },
+        required: ['role', 'content']
+      }
+    },
+    createdAt: { type: 'number' },
+    updatedAt: { type: 'number' }
+  },
+  required: ['id', 'url', 'messages', 'updatedAt']
+};
+
+/** @type {JsonSchema} */
+const BOOKMARK_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string' },
+    title: { type: 'string' },
+    createdAt: { type: 'number' }
+  },
+  required: ['id', 'url', 'createdAt']
+};
+
+/**
+ * A question and answer as exports from before chat sessions carry them.
+ * @type {JsonSchema}
+ */
+const LEGACY_CONVERSATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    question: { type: 'string' },
+    answer: { type: 'string' },
+    timestamp: { type: 'number' }
+  },
+  required: ['question', 'answer']
+};
+
+/**
+ * Export section → what its records are checked against.
+ * @type {Record<string, JsonSchema>}
+ */
+const SECTIONS = {
+  summaryHistory: SUMMARY_SCHEMA,
+  chatSessions: CHAT_SESSION_SCHEMA,
+  conversationHistory: LEGACY_CONVERSATION_SCHEMA,
+  bookmarks: BOOKMARK_SCHEMA
+};
+
+/**
+ * @typedef {Object} ExportContents
+ * @property {Record<string, any[]>} sections  Valid records of each section the
+ *   file has, keyed as in the file; a section it lacks is absent.
+ * @property {string[]} problems  One message per record left out.
+ * @property {number} invalid  How many records were left out.
+ * @property {boolean} hasPreferences  Whether the file carries settings.
+ */
+
+/**
+ * Parse and check an export.
+ *
+ * @param {unknown} input  The file's text, or the parsed object.
+ * @returns {ExportContents}
+ * @throws {Error} When `input` is not an export at all.
+ */
+export function readExport(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+  }
+
+  const file = /** @type {Record<string, unknown>} */ (data);
+  if (!file || typeof file !== 'object' || Array.isArray(file) || !file.version || !file.exportedAt) {
+    throw new Error('The file is not a GenAI Browser Tool export');
+  }
+
+  /** @type {ExportContents} */
+  const contents = { sections: {}, problems: [], invalid: 0, hasPreferences: Boolean(file.preferences) };
+  for (const [section, schema] of Object.entries(SECTIONS)) {
+    if (file[section] === undefined) continue;
+    const records = file[section];
+    if (!Array.isArray(records)) {
+      contents.problems.push(`$.${section} should be array, got ${typeof records}`);
+      continue;
+    }
+
+    contents.sections[section] = records.filter((record, index) => {
+      const problems = validateJson(record, schema, `$.${section}[${index}]`);
+      contents.problems.push(...problems);
+      if (problems.length) contents.invalid += 1;
+      return !problems.length;
+    });
+  }
+  return contents;
+}
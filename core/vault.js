@@ -0,0 +1,189 @@
+/**
+ * @file core/vault.js
+ * @description Saved summaries and chats as a folder of Markdown notes, zipped.
+ *
+ * Each note opens in Obsidian or Logseq as a page of its own: YAML front
+ * matter for the page's URL, title, tags, date and provider, then the text.
+ * Where a note lands is set by a file name template, so notes can follow the
+ * naming a vault already uses.
+ */
+
+import { transcriptToMarkdown } from './exporters.js';
+import { normalizeTags, parseTags } from './tasks.js';
+import { createZip } from './zip.js';
+
+/** @typedef {import('./exporters.js').UserData} UserData */
+/** @typedef {import('./zip.js').ZipEntry} ZipEntry */
+
+/**
+ * Placeholders: `{title}`, `{date}` (YYYY-MM-DD), `{kind}` (summary or chat),
+ * `{domain}`, `{provider}` and `{id}`. A `/` starts a folder.
+ */
+export const VAULT_FILENAME_TEMPLATE = '{date} {title}';
+
+/** Longest file name written, leaving room for a folder and `.md`. */
+const MAX_NAME_LENGTH = 120;
+
+/**
+ * One note per summary and per chat, oldest first, named by `template`.
+ * Names that would collide get a numbered suffix.
+ *
+ * @param {UserData} data
+ * @param {string} [template]
+ * @returns {ZipEntry[]}
+ */
+export function vaultNotes(data, template = VAULT_FILENAME_TEMPLATE) {
+  const notes = [
+    ...data.summaryHistory.map(summary => ({
+      kind: 'summary',
+      record: summary,
+      created: summary.timestamp,
+      body: String(summary.summary || '').trim()
+    })),
+    ...data.chatSessions.map(session => ({
+      kind: 'chat',
+      record: session,
+      created: session.createdAt || session.updatedAt,
+      body: transcriptToMarkdown(session.messages || [])
+    }))
+  ].sort((a, b) => (a.created || 0) - (b.created || 0));
+
+  /** @type {Set<string>} */
+  const taken = new Set();
+  return notes.map(({ kind, record, created, body }) => {
+    const title = oneLine(record.title) || 'Untitled page';
+    const { provider, model } = producer(record);
+    const name = uniqueName(noteName(template || VAULT_FILENAME_TEMPLATE, {
+      title,
+      date: created ? new Date(created).toISOString().slice(0, 10) : '',
+      kind,
+      domain: record.domain || '',
+      provider,
+      id: record.id || ''
+    }), taken);
+
+    const content = `${frontMatter({
+      title,
+      url: record.url,
+      tags: noteTags(record.tags),
+      created: created ? new Date(created).toISOString() : undefined,
+      type: kind,
+      provider,
+      model
+    })}\n# ${title}\n\n${body}\n`;
+    return { name, content, ...(created && { modified: created }) };
+  });
+}
+
+/**
+ * @param {UserData} data
+ * @param {string} [template]
+ * @returns {Uint8Array}  A zip archive.
+ */
+export function userDataToVault(data, template) {
+  return createZip(vaultNotes(data, template));
+}
+
+/**
+ * Fill `template` and make each folder and the file name safe on every
+ * filesystem and as an Obsidian link target. Placeholders are filled per
+ * segment, so a title containing `/` never creates a folder.
+ *
+ * @param {string} template
+ * @param {Record<string, string>} fields
+ * @returns {string}  Path of the note, with `.md`.
+ */
+export function noteName(template, fields) {
+  const segments = template
+    .split('/')
+    .map(segment => safeName(segment.replace(/\{(\w+)\}/g, (match, key) => fields[key] ?? match)))
+    .filter(Boolean);
+  if (!segments.length) segments.push('Untitled');
+  return `${segments.join('/')}.md`;
+}
+
+/**
+ * YAML front matter. Strings are written JSON-quoted, which YAML reads as the
+ * same string whatever characters the page put in it.
+ *
+ * @param {Record<string, string | string[] | undefined>} fields
+ * @returns {string}
+ */
+export function frontMatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (Array.isArray(value)) {
+      if (value.length) lines.push(`${key}:`, ...value.map(item => `  - ${JSON.stringify(item)}`));
+    } else if (value) {
+      lines.push(`${key}: ${key === 'created' || key === 'type' ? value : JSON.stringify(value)}`);
+    }
+  }
+  lines.push('---');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Saved tags may be a list or the model's comma-separated line. Spaces become
+ * hyphens, since a tag with a space is two tags to Obsidian.
+ *
+ * @param {unknown} tags
+ * @returns {string[]}
+ */
+function noteTags(tags) {
+  const list = typeof tags === 'string'
+    ? parseTags(tags)
+    : Array.isArray(tags) ? normalizeTags(tags.filter(tag => typeof tag === 'string')) : [];
+  return list.map(tag => tag.replace(/\s+/g, '-'));
+}
+
+/**
+ * Provider and model of a record, or of a chat's latest answer when the
+ * session does not carry them.
+ *
+ * @param {any} record
+ * @returns {{ provider: string, model: string }}
+ */
+function producer(record) {
+  const answer = (record.messages || []).filter((/** @type {any} */ message) => message.role === 'assistant').at(-1);
+  return {
+    provider: record.provider || answer?.provider || '',
+    model: record.model || answer?.model || ''
+  };
+}
+
+/**
+ * @param {string} name
+ * @param {Set<string>} taken  Lowercased names already used; `name` is added.
+ * @returns {string}
+ */
+function uniqueName(name, taken) {
+  const stem = name.slice(0, -'.md'.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${stem} (${n}).md`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Drop characters Windows forbids or Obsidian treats as link syntax, leading
+ * dots, which hide a file, and trailing dots, which Windows strips.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function safeName(text) {
+  return text
+    .replace(/[\\/:*?"<>|#^[\]\p{Cc}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+/, '')
+    .slice(0, MAX_NAME_LENGTH)
+    .replace(/[\s.]+$/, '');
+}
+
+/**
+ * @param {string | undefined} text
+ * @returns {string}
+ */
+function oneLine(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,160 @@
+/**
+ * @file core/zip.js
+ * @description A minimal ZIP writer for export downloads.
+ *
+ * Entries are stored uncompressed: exports are a few hundred kilobytes of
+ * text at most, and a stored archive needs only a CRC, not a deflate
+ * implementation or a dependency. Names are flagged UTF-8 so titles in any
+ * script survive the round trip.
+ */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name  Path inside the archive, `/`-separated.
+ * @property {string | Uint8Array} content  Text is written as UTF-8.
+ * @property {number} [modified]  Epoch ms; defaults to now.
+ */
+
+/** General purpose flag bit 11: name and comment are UTF-8. */
+const UTF8_FLAG = 0x0800;
+
+/** Version 2.0, the lowest that readers accept for folders in names. */
+const ZIP_VERSION = 20;
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = /** @type {number} */ (crcTable[(crc ^ byte) & 0xff]) ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an archive of `entries`, in order.
+ *
+ * @param {ZipEntry[]} entries
+ * @returns {Uint8Array}
+ */
+export function createZip(entries) {
+  const encoder = new TextEncoder();
+  /** @type {Uint8Array[]} */
+  const local = [];
+  /** @type {Uint8Array[]} */
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+    const [time, date] = dosDateTime(new Date(entry.modified ?? Date.now()));
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, ZIP_VERSION, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, 0, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, 0, true);
+    local.push(new Uint8Array(header.buffer), name, data);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, ZIP_VERSION, true);
+    record.setUint16(6, ZIP_VERSION, true);
+    record.setUint16(8, UTF8_FLAG, true);
+    record.setUint16(10, 0, true);
+    record.setUint16(12, time, true);
+    record.setUint16(14, date, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, data.length, true);
+    record.setUint32(24, data.length, true);
+    record.setUint16(28, name.length, true);
+    record.setUint32(42, offset, true);
+    central.push(new Uint8Array(record.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concat([...local, ...central, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Bytes as base64, for sending an archive over extension messaging, which
+ * only carries JSON.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+export function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * MS-DOS time and date, the only timestamps the basic format has. Years
+ * before 1980 cannot be written and are clamped to it.
+ *
+ * @param {Date} when
+ * @returns {[number, number]}
+ */
+function dosDateTime(when) {
+  const year = Math.max(when.getFullYear(), 1980);
+  const time = (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1);
+  const date = ((year - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate();
+  return [time, date];
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
@@ -7,12 +7,43 @@
  */
 
 import { ConfigurationManager } from './core/configuration-manager.js';
-import { PROVIDER_IDS } from './providers/ai-client.js';
+import { EXPORT_FORMATS, exportBlob, isExportFormat } from './core/exporters.js';
+import {
+  budgetSpent,
+  costOf,
+  formatBudgetAmount,
+  priceKey,
+  totalCost
+} from './core/usage.js';
+import { VAULT_FILENAME_TEMPLATE } from './core/vault.js';
+import { PROVIDERS, PROVIDER_IDS } from './providers/ai-client.js';
+import { StorageService } from './services/storage-service.js';
+
+/** The fallback dropdowns, in the order their providers are tried. */
+const FALLBACK_SELECTS = ['fallback-1', 'fallback-2', 'fallback-3'];
+
+/** History stores an import reports on, with the words for their records. */
+const IMPORT_KINDS = /** @type {const} */ ([
+  ['summaries', 'Summaries'],
+  ['conversations', 'Chats'],
+  ['bookmarks', 'Bookmarks']
+]);
+
+/** Validation problems listed under an import preview; the rest are counted. */
+const IMPORT_PROBLEMS_SHOWN = 5;
 
 class OptionsPage {
   constructor() {
     this.configManager = new ConfigurationManager();
+    this.storageService = new StorageService();
     this.settings = this.configManager.defaultSettings;
+    /** @type {import('./core/usage.js').UsageRow[]} */
+    this.usageRows = [];
+    /**
+     * Text of the export file chosen for import, until it is imported.
+     * @type {string | null}
+     */
+    this.importText = null;
     this.initialize();
   }
 
@@ -20,6 +51,8 @@ class OptionsPage {
     this.settings = await this.configManager.getUserPreferences();
     this.render();
     this.setupEventListeners();
+    this.usageRows = await this.storageService.getMonthlyUsage();
+    this.renderUsage();
   }
 
   render() {
@@ -31,16 +64,97 @@ class OptionsPage {
     for (const id of PROVIDER_IDS) {
       setValue(`${id}-key`, this.settings.apiKeys[id] || '');
       setValue(`${id}-model`, this.settings.models[id] || '');
+      const budget = this.settings.budgets[id];
+      setValue(`budget-limit-${id}`, budget ? String(budget.limit) : '');
+      setValue(`budget-unit-${id}`, budget?.unit || 'usd');
     }
 
+    setValue('local-base-url', this.settings.localBaseUrl);
+    FALLBACK_SELECTS.forEach((id, index) => setValue(id, this.settings.fallbackProviders[index] || ''));
     setValue('summary-type-pref', this.settings.summaryType);
     setValue('summary-length-pref', this.settings.summaryLength);
+    setValue('vault-filename-template', this.settings.vaultFilenameTemplate);
 
     for (const [name, enabled] of Object.entries(this.settings.features)) {
       setChecked(name, Boolean(enabled));
     }
   }
 
+  /**
+   * This month's ledger with a price input pair per model. The rows are built
+   * after the generic listeners are attached, so price edits reach
+   * `handlePriceChange` through the delegated listener only.
+   */
+  renderUsage() {
+    const tbody = document.getElementById('usage-rows');
+    if (!tbody) return;
+
+    const { prices } = this.settings;
+    tbody.replaceChildren(...this.usageRows.map(row => {
+      const key = priceKey(row.provider, row.model);
+      const price = prices[key];
+      const cost = costOf(row, price);
+      const tr = document.createElement('tr');
+      tr.append(
+        cell(row.provider),
+        cell(row.model),
+        cell(row.requests.toLocaleString()),
+        cell(row.inputTokens.toLocaleString()),
+        cell(row.outputTokens.toLocaleString()),
+        priceCell(key, 'input', price?.input),
+        priceCell(key, 'output', price?.output),
+        cell(cost === null ? 'No price' : formatCost(cost))
+      );
+      return tr;
+    }));
+
+    const status = document.getElementById('budget-status');
+    status?.replaceChildren(...Object.entries(this.settings.budgets).map(([provider, budget]) => {
+      const spent = budgetSpent(this.usageRows, provider, budget.unit, prices);
+      const li = document.createElement('li');
+      li.textContent = `${PROVIDERS[provider]?.label || provider}: ` +
+        `${formatBudgetAmount(spent, budget.unit)} of ${formatBudgetAmount(budget.limit, budget.unit)} used`;
+      return li;
+    }));
+
+    const { cost, unpriced } = totalCost(this.usageRows, prices);
+    setText('usage-total', this.usageRows.length
+      ? `Total this month: ${formatCost(cost)}${unpriced ? ` (${unpriced} model(s) without a price not included)` : ''}`
+      : 'No requests yet this month.');
+  }
+
+  /** @param {Event} event */
+  async handlePriceChange(event) {
+    const target = /** @type {HTMLInputElement} */ (event.target);
+    const key = target.dataset.priceKey;
+    if (!key) return;
+
+    const row = target.closest('tr');
+    /** @param {string} field */
+    const read = field => /** @type {HTMLInputElement | null} */ (
+      row?.querySelector(`input[data-price-field="${field}"]`)
+    )?.value.trim() ?? '';
+    const input = read('input');
+    const output = read('output');
+
+    const prices = { ...this.settings.prices };
+    if (input === '' && output === '') {
+      delete prices[key];
+    } else {
+      prices[key] = { input: Number(input) || 0, output: Number(output) || 0 };
+    }
+
+    try {
+      this.settings = await this.configManager.updateUserPreferences({ prices });
+      this.renderUsage();
+      this.showSaveIndicator();
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      this.showSaveIndicator(`Could not save: ${err.message}`);
+    }
+  }
+
   setupEventListeners() {
     document.querySelectorAll('input, select').forEach(element => {
       element.addEventListener('change', event => this.handleChange(event));
@@ -50,8 +164,86 @@ class OptionsPage {
       button.addEventListener('click', event => this.switchSection(event));
     });
 
+    document.getElementById('usage-rows')
+      ?.addEventListener('change', event => this.handlePriceChange(event));
+
     document.getElementById('reset-settings')
       ?.addEventListener('click', () => this.resetSettings());
+
+    document.getElementById('export-data')
+      ?.addEventListener('click', () => this.exportData());
+    document.getElementById('import-file')
+      ?.addEventListener('change', event => this.handleImportFile(event));
+    document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+      radio.addEventListener('change', () => this.previewImport());
+    });
+    document.getElementById('import-data')
+      ?.addEventListener('click', () => this.runImport());
+  }
+
+  async exportData() {
+    const value = /** @type {HTMLSelectElement | null} */ (document.getElementById('export-format'))?.value;
+    const format = isExportFormat(value) ? value : 'json';
+    const response = await sendMessage('EXPORT_USER_DATA', { format });
+    if (!response.success) {
+      this.showSaveIndicator(`Export failed: ${response.error}`);
+      return;
+    }
+
+    const url = URL.createObjectURL(exportBlob(response.data, format));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `genai-export-${Date.now()}.${EXPORT_FORMATS[format].extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+    this.showSaveIndicator('Export downloaded');
+  }
+
+  /** @param {Event} event */
+  async handleImportFile(event) {
+    const file = /** @type {HTMLInputElement} */ (event.target).files?.[0];
+    this.importText = file ? await file.text() : null;
+    await this.previewImport();
+  }
+
+  /** Show what importing the chosen file in the chosen mode would do. */
+  async previewImport() {
+    setDisabled('import-data', true);
+    if (this.importText === null) {
+      renderImportReport(null);
+      return;
+    }
+
+    const response = await sendMessage('IMPORT_USER_DATA', {
+      data: this.importText,
+      mode: importMode(),
+      dryRun: true
+    });
+    if (!response.success) {
+      renderImportReport(null, response.error);
+      return;
+    }
+    renderImportReport(response.data);
+    setDisabled('import-data', !importsAnything(response.data));
+  }
+
+  async runImport() {
+    if (this.importText === null) return;
+    const mode = importMode();
+    if (mode === 'replace' && !confirm('Replace saved history with what is in the file? This cannot be undone.')) return;
+
+    setDisabled('import-data', true);
+    const response = await sendMessage('IMPORT_USER_DATA', { data: this.importText, mode, dryRun: false });
+    if (!response.success) {
+      renderImportReport(null, response.error);
+      this.showSaveIndicator('Import failed');
+      return;
+    }
+
+    this.importText = null;
+    setValue('import-file', '');
+    renderImportReport(response.data);
+    this.showSaveIndicator('Data imported');
   }
 
   /** @param {Event} event */
@@ -63,6 +255,12 @@ class OptionsPage {
 
     if (name === 'primary-provider') {
       update = { preferredProvider: target.value };
+    } else if (FALLBACK_SELECTS.includes(id)) {
+      update = { fallbackProviders: readFallbackOrder() };
+    } else if (id.startsWith('budget-')) {
+      update = { budgets: readBudgets() };
+    } else if (id === 'local-base-url') {
+      update = { localBaseUrl: target.value.trim() };
     } else if (id.endsWith('-key')) {
       update = { apiKeys: { [id.slice(0, -4)]: target.value.trim() } };
     } else if (id.endsWith('-model')) {
@@ -71,6 +269,8 @@ class OptionsPage {
       update = { summaryType: target.value };
     } else if (id === 'summary-length-pref') {
       update = { summaryLength: target.value };
+    } else if (id === 'vault-filename-template') {
+      update = { vaultFilenameTemplate: target.value.trim() || VAULT_FILENAME_TEMPLATE };
     } else if (target.type === 'checkbox') {
       update = { features: { [id]: /** @type {HTMLInputElement} */ (target).checked } };
     }
@@ -79,6 +279,11 @@ class OptionsPage {
 
     try {
       this.settings = await this.configManager.updateUserPreferences(update);
+      if (update.budgets) this.renderUsage();
+      if (update.localBaseUrl && !(await this.requestHostAccess(update.localBaseUrl))) {
+        this.showSaveIndicator('Saved, but the extension was not allowed to reach that server');
+        return;
+      }
       this.showSaveIndicator();
     } catch (error) {
       /** @type {any} */
@@ -87,11 +292,31 @@ class OptionsPage {
     }
   }
 
+  /**
+   * `localhost` and `127.0.0.1` are granted at install. Any other server — one on
+   * the LAN, say — is an optional host permission asked for only when the user
+   * enters its URL, so the extension never holds blanket access to every site.
+   *
+   * @param {string} url
+   * @returns {Promise<boolean>}
+   */
+  async requestHostAccess(url) {
+    let origins;
+    try {
+      origins = [`${new URL(url).origin}/*`];
+    } catch {
+      return false;
+    }
+    if (await chrome.permissions.contains({ origins })) return true;
+    return chrome.permissions.request({ origins });
+  }
+
   async resetSettings() {
     if (!confirm('Reset all settings, including saved API keys?')) return;
     await this.configManager.setUserPreferences(this.configManager.defaultSettings);
     this.settings = await this.configManager.getUserPreferences();
     this.render();
+    this.renderUsage();
     this.showSaveIndicator('Settings reset to defaults');
   }
 
@@ -118,6 +343,173 @@ class OptionsPage {
   }
 }
 
+/**
+ * The chosen fallback providers in order, blanks and repeats dropped, so
+ * "None, Gemini, Gemini" saves as just Gemini.
+ *
+ * @returns {string[]}
+ */
+function readFallbackOrder() {
+  const chosen = FALLBACK_SELECTS.map(id => {
+    const el = /** @type {HTMLSelectElement | null} */ (document.getElementById(id));
+    return el ? el.value : '';
+  });
+  return [...new Set(chosen.filter(Boolean))];
+}
+
+/**
+ * Budgets from the budget fields; a blank or zero limit means none.
+ *
+ * @returns {Record<string, import('./core/usage.js').Budget>}
+ */
+function readBudgets() {
+  /** @type {Record<string, import('./core/usage.js').Budget>} */
+  const budgets = {};
+  for (const id of PROVIDER_IDS) {
+    const limit = Number(
+      /** @type {HTMLInputElement | null} */ (document.getElementById(`budget-limit-${id}`))?.value
+    );
+    if (!(limit > 0)) continue;
+    const unit = /** @type {HTMLSelectElement | null} */ (document.getElementById(`budget-unit-${id}`))?.value;
+    budgets[id] = { limit, unit: unit === 'tokens' ? 'tokens' : 'usd' };
+  }
+  return budgets;
+}
+
+/** @param {string} text @returns {HTMLTableCellElement} */
+function cell(text) {
+  const td = document.createElement('td');
+  td.textContent = text;
+  return td;
+}
+
+/**
+ * @param {string} key  Price table key, "provider/model".
+ * @param {'input' | 'output'} field
+ * @param {number | undefined} value
+ * @returns {HTMLTableCellElement}
+ */
+function priceCell(key, field, value) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.step = 'any';
+  input.placeholder = '$ / 1M';
+  input.value = value === undefined ? '' : String(value);
+  input.dataset.priceKey = key;
+  input.dataset.priceField = field;
+  input.setAttribute('aria-label', `${key} ${field} price per million tokens`);
+
+  const td = document.createElement('td');
+  td.append(input);
+  return td;
+}
+
+/**
+ * Cents for anything over a dollar; a single request can cost a fraction of one.
+ *
+ * @param {number} usd
+ * @returns {string}
+ */
+function formatCost(usd) {
+  return usd >= 1 || usd === 0 ? `$${usd.toFixed(2)}` : `$${usd.toFixed(4)}`;
+}
+
+/**
+ * One line per kind of record the import touches, then what was left out.
+ * Worded for a preview until the report says the import ran.
+ *
+ * @param {import('./services/storage-service.js').ImportReport} report
+ * @returns {{ text: string, problem: boolean }[]}
+ */
+export function describeImport(report) {
+  const { dryRun } = report;
+  /** @type {{ text: string, problem: boolean }[]} */
+  const lines = [];
+
+  for (const [store, label] of IMPORT_KINDS) {
+    const { added, duplicates, removed, trimmed } = report[store];
+    if (!added && !duplicates && !removed) continue;
+    const parts = [dryRun ? `${added} to add` : `${added} added`];
+    if (duplicates) parts.push(`${duplicates} already saved, skipped`);
+    if (removed) parts.push(dryRun ? `${removed} saved now, to be deleted` : `${removed} deleted`);
+    if (trimmed) parts.push(`${trimmed} oldest dropped to stay within the limit`);
+    lines.push({ text: `${label}: ${parts.join(', ')}`, problem: false });
+  }
+  if (!lines.length) lines.push({ text: 'Nothing to import', problem: false });
+
+  if (report.invalid) {
+    lines.push({ text: `${report.invalid} invalid record(s) left out`, problem: true });
+    report.problems.slice(0, IMPORT_PROBLEMS_SHOWN)
+      .forEach(problem => lines.push({ text: problem, problem: true }));
+  }
+  if (report.preferencesIgnored) {
+    lines.push({ text: 'Settings in the file are not imported', problem: false });
+  }
+  return lines;
+}
+
+/**
+ * @param {import('./services/storage-service.js').ImportReport} report
+ * @returns {boolean}
+ */
+function importsAnything(report) {
+  return IMPORT_KINDS.some(([store]) => report[store].added > 0 || report[store].removed > 0);
+}
+
+/**
+ * @param {import('./services/storage-service.js').ImportReport | null} report
+ * @param {string} [error]
+ */
+function renderImportReport(report, error) {
+  const list = document.getElementById('import-preview');
+  if (!list) return;
+  const lines = error ? [{ text: error, problem: true }] : report ? describeImport(report) : [];
+  list.replaceChildren(...lines.map(({ text, problem }) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    if (problem) li.className = 'import-problem';
+    return li;
+  }));
+}
+
+/** @returns {'replace' | 'merge'} */
+function importMode() {
+  const checked = /** @type {HTMLInputElement | null} */ (
+    document.querySelector('input[name="import-mode"]:checked')
+  );
+  return checked?.value === 'replace' ? 'replace' : 'merge';
+}
+
+/**
+ * Send one request to the background service.
+ *
+ * @param {string} actionType
+ * @param {any} payload
+ * @returns {Promise<any>}  The response envelope.
+ */
+async function sendMessage(actionType, payload) {
+  try {
+    return await chrome.runtime.sendMessage({ actionType, requestId: crypto.randomUUID(), payload });
+  } catch (error) {
+    /** @type {any} */
+    const err = error;
+    return { success: false, error: `Extension service unavailable: ${err.message}` };
+  }
+}
+
+/** @param {string} id @param {boolean} disabled */
+function setDisabled(id, disabled) {
+  const el = /** @type {HTMLButtonElement | null} */ (document.getElementById(id));
+  if (el) el.disabled = disabled;
+}
+
+/** @param {string} id @param {string} text */
+function setText(id, text) {
+  const el = document.getElementById(id);
+  if (el) el.textContent = text;
+}
+
 /** @param {string} id @param {string} value */
 function setValue(id, value) {
   const el = /** @type {HTMLInputElement | HTMLSelectElement | null} */ (document.getElementById(id));
@@ -1,6 +1,6 @@
 /**
  * @file providers/ai-client.js
- * @description Single AI client for every supported cloud provider.
+ * @description Single AI client for every supported provider.
  *
  * One fetch call, shaped per provider. Replaces the previous five provider
  * classes (four of which returned hardcoded stub strings) and the health-check
@@ -9,17 +9,176 @@
  * Provider selection is the user's explicit choice from the options page — not
  * a scoring heuristic. A provider without a configured API key is unusable, and
  * saying so plainly beats silently falling back to something the user didn't pick.
+ * The one exception is a self-hosted server, which needs a URL instead of a key.
  */
 
+import { validateJson } from '../core/json-schema.js';
+
 /**
  * @typedef {Object} ProviderSpec
  * @property {string} label      Human-readable name shown in the UI.
  * @property {string} defaultModel
- * @property {(model: string) => string} url
+ * @property {(model: string, baseUrl: string) => string} url
  * @property {(key: string) => Record<string, string>} headers
- * @property {(system: string, user: string, model: string, maxTokens: number) => any} body
+ * @property {(system: string, messages: ChatMessage[], model: string, maxTokens: number) => any} body
  * @property {(data: any) => string} parse
+ * @property {(model: string, baseUrl: string) => string} streamUrl
+ * @property {(body: any) => any} streamBody  Turns a `body()` result into a streaming request.
+ * @property {(event: any) => string} parseDelta  Text carried by one streamed event, or ''.
+ * @property {(data: any) => Partial<TokenUsage>} usage  Token counts a response or
+ *   streamed event reports. Streams spread them over several events; later counts win.
+ * @property {(body: any, output: OutputSchema) => any} structuredBody  Turns a `body()` result
+ *   into a request for JSON matching `output.schema`, using the provider's native mechanism.
+ * @property {(data: any) => unknown} parseStructured  The JSON value a structured response
+ *   carries. Throws when it carries none.
+ * @property {boolean} [selfHosted]  Talks to a user-configured base URL; the API key is optional.
+ */
+
+/**
+ * One turn of a conversation. Consecutive messages with the same role are sent
+ * as one turn, since not every provider accepts two in a row.
+ * @typedef {Object} ChatMessage
+ * @property {'user' | 'assistant'} role
+ * @property {string} content
+ * @property {boolean} [pinned]  The page content a conversation is about, sent
+ *   once at its start. Anthropic caches the prompt up to it, so follow-up
+ *   questions do not pay full price for the page again; OpenAI and Gemini cache
+ *   a repeated prefix on their own.
+ */
+
+/** @typedef {import('../core/tasks.js').OutputSchema} OutputSchema */
+/** @typedef {import('../core/json-schema.js').JsonSchema} JsonSchema */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ */
+
+/**
+ * A 2xx response whose body is still to be read. The attempt's timer runs
+ * until it is: `keepAlive` restarts it as more of the body arrives, and
+ * `close` stops it, and stops listening for the caller's abort, once the body
+ * has been read or given up on.
+ * @typedef {Object} Exchange
+ * @property {Response} response
+ * @property {() => void} keepAlive
+ * @property {() => void} close
+ * @property {() => boolean} timedOut  Whether the timer aborted the request.
+ */
+
+/**
+ * Keep only the counts that are actually numbers, so a missing field never
+ * overwrites one an earlier streamed event reported.
+ *
+ * @param {unknown} inputTokens
+ * @param {unknown} outputTokens
+ * @returns {Partial<TokenUsage>}
+ */
+function tokenUsage(inputTokens, outputTokens) {
+  /** @type {Partial<TokenUsage>} */
+  const usage = {};
+  if (typeof inputTokens === 'number') usage.inputTokens = inputTokens;
+  if (typeof outputTokens === 'number') usage.outputTokens = outputTokens;
+  return usage;
+}
+
+/**
+ * Group consecutive messages that share a role into one turn.
+ *
+ * @param {ChatMessage[]} messages
+ * @returns {{ role: ChatMessage['role'], parts: ChatMessage[] }[]}
+ */
+function turns(messages) {
+  /** @type {{ role: ChatMessage['role'], parts: ChatMessage[] }[]} */
+  const grouped = [];
+  for (const message of messages) {
+    const last = grouped[grouped.length - 1];
+    if (last && last.role === message.role) {
+      last.parts.push(message);
+    } else {
+      grouped.push({ role: message.role, parts: [message] });
+    }
+  }
+  return grouped;
+}
+
+/**
+ * @param {string} system
+ * @param {ChatMessage[]} messages
+ * @returns {{ role: string, content: string }[]}
  */
+function chatCompletionMessages(system, messages) {
+  return [
+    { role: 'system', content: system },
+    ...turns(messages).map(turn => ({
+      role: turn.role,
+      content: turn.parts.map(part => part.content).join('\n\n')
+    }))
+  ];
+}
+
+/** @param {any} data @returns {Partial<TokenUsage>} */
+function parseChatCompletionUsage(data) {
+  return tokenUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens);
+}
+
+/** @param {any} data @returns {string} */
+function parseChatCompletion(data) {
+  const text = data.choices?.[0]?.message?.content;
+  if (!text) throw new Error('Chat completion response contained no message content');
+  return text;
+}
+
+/** @param {any} event @returns {string} */
+function parseChatCompletionDelta(event) {
+  return event.choices?.[0]?.delta?.content || '';
+}
+
+/**
+ * @param {any} body
+ * @param {OutputSchema} output
+ * @returns {any}
+ */
+function chatCompletionStructuredBody(body, output) {
+  return {
+    ...body,
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: output.name, description: output.description, schema: output.schema, strict: true }
+    }
+  };
+}
+
+/** @param {any} data @returns {unknown} */
+function parseChatCompletionStructured(data) {
+  const message = data.choices?.[0]?.message;
+  // A refusal arrives in place of the content, not as an error status.
+  if (message?.refusal) throw new Error(`Model refused: ${message.refusal}`);
+  return JSON.parse(parseChatCompletion(data));
+}
+
+/**
+ * Gemini's `responseSchema` is an OpenAPI subset: upper-case type names, and no
+ * `additionalProperties` — it never emits undeclared keys anyway.
+ *
+ * @param {JsonSchema} schema
+ * @returns {any}
+ */
+function toGeminiSchema(schema) {
+  /** @type {any} */
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.required) converted.required = schema.required;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toGeminiSchema(child)])
+    );
+  }
+  return converted;
+}
 
 /** @type {Record<string, ProviderSpec>} */
 export const PROVIDERS = {
@@ -34,11 +193,21 @@ export const PROVIDERS = {
       'anthropic-dangerous-direct-browser-access': 'true'
     }),
     // No `temperature`: sampling parameters are rejected on current Claude models.
-    body: (system, user, model, maxTokens) => ({
+    body: (system, messages, model, maxTokens) => ({
       model,
       max_tokens: maxTokens,
       system,
-      messages: [{ role: 'user', content: user }]
+      messages: turns(messages).map(turn => ({
+        role: turn.role,
+        // Plain text unless a part needs a block of its own for `cache_control`.
+        content: turn.parts.length === 1 && !turn.parts[0]?.pinned
+          ? turn.parts[0]?.content
+          : turn.parts.map(part => ({
+            type: 'text',
+            text: part.content,
+            ...(part.pinned ? { cache_control: { type: 'ephemeral' } } : {})
+          }))
+      }))
     }),
     parse: data => {
       const block = (data.content || []).find(
@@ -46,6 +215,33 @@ export const PROVIDERS = {
       );
       if (!block) throw new Error('Anthropic response contained no text block');
       return block.text;
+    },
+    streamUrl: () => 'https://api.anthropic.com/v1/messages',
+    streamBody: body => ({ ...body, stream: true }),
+    // Only `content_block_delta` events carry text; the rest are bookkeeping.
+    parseDelta: event =>
+      event.type === 'content_block_delta' && event.delta?.type === 'text_delta'
+        ? event.delta.text
+        : '',
+    // Anthropic has no JSON mode; a single forced tool call is its structured
+    // output, and the tool's input is the object.
+    structuredBody: (body, output) => ({
+      ...body,
+      tools: [{ name: output.name, description: output.description, input_schema: output.schema }],
+      tool_choice: { type: 'tool', name: output.name }
+    }),
+    parseStructured: data => {
+      const block = (data.content || []).find(
+        /** @param {any} b */ b => b.type === 'tool_use'
+      );
+      if (!block) throw new Error('Anthropic response contained no tool_use block');
+      return block.input;
+    },
+    // Streams report input tokens in `message_start` and the final output
+    // count in `message_delta`.
+    usage: data => {
+      const usage = data.usage || data.message?.usage;
+      return tokenUsage(usage?.input_tokens, usage?.output_tokens);
     }
   },
 
@@ -54,19 +250,19 @@ export const PROVIDERS = {
     defaultModel: 'gpt-4o-mini',
     url: () => 'https://api.openai.com/v1/chat/completions',
     headers: key => ({ Authorization: `Bearer ${key}` }),
-    body: (system, user, model, maxTokens) => ({
+    body: (system, messages, model, maxTokens) => ({
       model,
       max_completion_tokens: maxTokens,
-      messages: [
-        { role: 'system', content: system },
-        { role: 'user', content: user }
-      ]
+      messages: chatCompletionMessages(system, messages)
     }),
-    parse: data => {
-      const text = data.choices?.[0]?.message?.content;
-      if (!text) throw new Error('OpenAI response contained no message content');
-      return text;
-    }
+    parse: parseChatCompletion,
+    streamUrl: () => 'https://api.openai.com/v1/chat/completions',
+    // Without `include_usage` a stream reports no token counts at all.
+    streamBody: body => ({ ...body, stream: true, stream_options: { include_usage: true } }),
+    parseDelta: parseChatCompletionDelta,
+    structuredBody: chatCompletionStructuredBody,
+    parseStructured: parseChatCompletionStructured,
+    usage: parseChatCompletionUsage
   },
 
   gemini: {
@@ -76,16 +272,74 @@ export const PROVIDERS = {
       `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
     headers: key => ({ 'x-goog-api-key': key }),
     // Gemini takes the model in the URL path, not the body.
-    body: (system, user, _model, maxTokens) => ({
+    body: (system, messages, _model, maxTokens) => ({
       system_instruction: { parts: [{ text: system }] },
-      contents: [{ role: 'user', parts: [{ text: user }] }],
+      contents: turns(messages).map(turn => ({
+        role: turn.role === 'assistant' ? 'model' : 'user',
+        parts: turn.parts.map(part => ({ text: part.content }))
+      })),
       generationConfig: { maxOutputTokens: maxTokens }
     }),
     parse: data => {
       const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
       if (!text) throw new Error('Gemini response contained no candidate text');
       return text;
+    },
+    // Gemini streams from a different method; `alt=sse` selects SSE over a JSON array.
+    streamUrl: model =>
+      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`,
+    streamBody: body => body,
+    parseDelta: event => event.candidates?.[0]?.content?.parts?.[0]?.text || '',
+    structuredBody: (body, output) => ({
+      ...body,
+      generationConfig: {
+        ...body.generationConfig,
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(output.schema)
+      }
+    }),
+    parseStructured: data => {
+      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) throw new Error('Gemini response contained no candidate text');
+      return JSON.parse(text);
+    },
+    // Thinking tokens are billed as output but counted separately.
+    usage: data => {
+      const meta = data.usageMetadata;
+      if (!meta) return {};
+      return tokenUsage(
+        meta.promptTokenCount,
+        (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+      );
     }
+  },
+
+  // Ollama, llama.cpp's server, LM Studio and vLLM all speak the OpenAI
+  // chat-completions shape at `<base URL>/chat/completions`.
+  local: {
+    label: 'Local server (OpenAI-compatible)',
+    defaultModel: 'llama3.2',
+    selfHosted: true,
+    url: (_model, baseUrl) => `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    // Most local servers need no key; send one only when the user set it.
+    headers: key => (key ? { Authorization: `Bearer ${key}` } : {}),
+    // `max_tokens`, not `max_completion_tokens`: the newer name is OpenAI-only.
+    body: (system, messages, model, maxTokens) => ({
+      model,
+      max_tokens: maxTokens,
+      messages: chatCompletionMessages(system, messages)
+    }),
+    parse: parseChatCompletion,
+    streamUrl: (_model, baseUrl) => `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    // No `stream_options`: not every local server accepts it. Those that report
+    // usage in the final chunk anyway are still counted.
+    streamBody: body => ({ ...body, stream: true }),
+    parseDelta: parseChatCompletionDelta,
+    // Servers that ignore `response_format` answer in free text; validation in
+    // `completeStructured()` catches that.
+    structuredBody: chatCompletionStructuredBody,
+    parseStructured: parseChatCompletionStructured,
+    usage: parseChatCompletionUsage
   }
 };
 
@@ -97,30 +351,80 @@ export const PROVIDER_IDS = Object.keys(PROVIDERS);
  * "you never configured a key" from "the provider rejected the request".
  */
 export class AIError extends Error {
-  /** @param {string} code @param {string} message */
-  constructor(code, message) {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {number} [status]  HTTP status, when the provider answered with one.
+   */
+  constructor(code, message, status) {
     super(message);
     this.name = 'AIError';
     this.code = code;
+    this.status = status;
   }
 }
 
+/**
+ * Whether an error says the provider could not answer right now — timed out,
+ * unreachable, rate limited or failing server-side — as opposed to refusing
+ * this request. Only these justify asking a different provider; an auth error
+ * or a bad request would fail the same way again and must reach the user.
+ *
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isUnavailableError(error) {
+  if (!(error instanceof AIError)) return false;
+  if (error.code === 'PROVIDER_ERROR') return (error.status ?? 0) >= 500;
+  return error.code === 'TIMEOUT' || error.code === 'NETWORK_ERROR' || error.code === 'RATE_LIMITED';
+}
+
 const DEFAULT_TIMEOUT_MS = 60000;
 
+/** Attempts per request, counting the first. */
+const MAX_ATTEMPTS = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 20000;
+
+/** Longest one request may spend waiting between attempts before giving up. */
+const DEFAULT_RETRY_DEADLINE_MS = 60000;
+
+/**
+ * Statuses that say "not now" rather than "no": rate limiting, or the provider
+ * being briefly unavailable. 529 is Anthropic's "overloaded".
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
 export class AIClient {
   /**
    * @param {Object} options
    * @param {string} options.provider  Provider id, e.g. 'anthropic'.
-   * @param {string} options.apiKey
+   * @param {string} [options.apiKey]  Optional only for a self-hosted provider.
    * @param {string} [options.model]   Overrides the provider default.
-   * @param {number} [options.timeoutMs]
+   * @param {string} [options.baseUrl] Server URL; required for a self-hosted provider.
+   * @param {number} [options.timeoutMs]  Per attempt, for the headers and then
+   *   for each part of the body.
+   * @param {number} [options.retryDeadlineMs]  Across all retries of one request.
    */
-  constructor({ provider, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  constructor({
+    provider,
+    apiKey,
+    model,
+    baseUrl,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retryDeadlineMs = DEFAULT_RETRY_DEADLINE_MS
+  }) {
     const spec = PROVIDERS[provider];
     if (!spec) {
       throw new AIError('UNKNOWN_PROVIDER', `Unknown AI provider: ${provider}`);
     }
-    if (!apiKey) {
+    if (spec.selfHosted && !isHttpUrl(baseUrl)) {
+      throw new AIError(
+        'MISSING_BASE_URL',
+        `No server URL configured for ${spec.label}. Add one in the extension options page.`
+      );
+    }
+    if (!spec.selfHosted && !apiKey) {
       throw new AIError(
         'MISSING_API_KEY',
         `No API key configured for ${spec.label}. Add one in the extension options page.`
@@ -129,9 +433,17 @@ export class AIClient {
 
     this.provider = provider;
     this.spec = spec;
-    this.apiKey = apiKey;
+    this.apiKey = apiKey || '';
+    this.baseUrl = spec.selfHosted ? String(baseUrl) : '';
     this.model = model || spec.defaultModel;
     this.timeoutMs = timeoutMs;
+    this.retryDeadlineMs = retryDeadlineMs;
+    /**
+     * Tokens the most recent request used, as the provider reported them;
+     * null when it reported none.
+     * @type {TokenUsage | null}
+     */
+    this.usage = null;
   }
 
   /**
@@ -140,44 +452,453 @@ export class AIClient {
    * @param {string} systemPrompt
    * @param {string} userPrompt
    * @param {number} [maxTokens]
+   * @param {AbortSignal} [signal]  Aborting it fails the request with `CANCELLED`.
+   * @returns {Promise<string>}
+   */
+  async complete(systemPrompt, userPrompt, maxTokens = 1024, signal) {
+    return this.chat(systemPrompt, [{ role: 'user', content: userPrompt }], maxTokens, undefined, signal);
+  }
+
+  /**
+   * Send a conversation as the provider's native message array and return the
+   * reply. Streams through `onDelta` when one is given, exactly as `stream()`
+   * does; otherwise behaves like `complete()`.
+   *
+   * @param {string} systemPrompt
+   * @param {ChatMessage[]} messages  Oldest first, ending with the user's turn.
+   * @param {number} [maxTokens]
+   * @param {(delta: string) => void} [onDelta]
+   * @param {AbortSignal} [signal]
    * @returns {Promise<string>}
    */
-  async complete(systemPrompt, userPrompt, maxTokens = 1024) {
+  async chat(systemPrompt, messages, maxTokens = 1024, onDelta, signal) {
+    if (onDelta) return this.streamMessages(systemPrompt, messages, maxTokens, onDelta, signal);
+
+    const { spec } = this;
+    this.usage = null;
+    const exchange = await this.post(
+      spec.url(this.model, this.baseUrl),
+      spec.body(systemPrompt, messages, this.model, maxTokens),
+      signal
+    );
+    const data = await this.readJson(exchange, signal);
+    const text = spec.parse(data).trim();
+    this.usage = completeUsage(spec.usage(data));
+    return text;
+  }
+
+  /**
+   * Send one completion request for JSON matching `output.schema`, using the
+   * provider's native structured output, and return the parsed value.
+   *
+   * Throws `AIError('INVALID_OUTPUT')` when the reply is not JSON or does not
+   * match the schema — a provider or local server that ignored the request —
+   * so the caller can fall back to asking for plain text.
+   *
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {number} maxTokens
+   * @param {OutputSchema} output
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>}
+   */
+  async completeStructured(systemPrompt, userPrompt, maxTokens, output, signal) {
+    const { spec } = this;
+    this.usage = null;
+    const exchange = await this.post(
+      spec.url(this.model, this.baseUrl),
+      spec.structuredBody(spec.body(systemPrompt, [{ role: 'user', content: userPrompt }], this.model, maxTokens), output),
+      signal
+    );
+    const data = await this.readJson(exchange, signal);
+    // Tokens were spent whether or not the reply turns out to be usable.
+    this.usage = completeUsage(spec.usage(data));
+
+    let value;
+    try {
+      value = spec.parseStructured(data);
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      throw new AIError('INVALID_OUTPUT', `${spec.label} did not return ${output.name} JSON: ${err.message}`);
+    }
+    const problems = validateJson(value, output.schema);
+    if (problems.length) {
+      throw new AIError(
+        'INVALID_OUTPUT',
+        `${spec.label} returned ${output.name} JSON that does not match its schema: ${problems.slice(0, 3).join('; ')}`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Send one completion request as a server-sent event stream, handing each text
+   * delta to `onDelta` as it arrives. Resolves with the full text, exactly as
+   * `complete()` would have returned it.
+   *
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {number} maxTokens
+   * @param {(delta: string) => void} onDelta
+   * @param {AbortSignal} [signal]  Aborting it, even mid-stream, fails the request with `CANCELLED`.
+   * @returns {Promise<string>}
+   */
+  stream(systemPrompt, userPrompt, maxTokens, onDelta, signal) {
+    return this.streamMessages(systemPrompt, [{ role: 'user', content: userPrompt }], maxTokens, onDelta, signal);
+  }
+
+  /**
+   * @param {string} systemPrompt
+   * @param {ChatMessage[]} messages
+   * @param {number} maxTokens
+   * @param {(delta: string) => void} onDelta
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>}
+   */
+  async streamMessages(systemPrompt, messages, maxTokens, onDelta, signal) {
+    const { spec } = this;
+    this.usage = null;
+    const exchange = await this.post(
+      spec.streamUrl(this.model, this.baseUrl),
+      spec.streamBody(spec.body(systemPrompt, messages, this.model, maxTokens)),
+      signal
+    );
+    const { body } = exchange.response;
+    if (!body) {
+      exchange.close();
+      throw new AIError('PROVIDER_ERROR', `${spec.label} returned an empty stream`);
+    }
+
+    let text = '';
+    /** @type {Partial<TokenUsage>} */
+    let usage = {};
+    try {
+      for await (const data of readServerSentEvents(body, exchange.keepAlive)) {
+        // OpenAI ends its stream with a literal sentinel rather than JSON.
+        if (data === '[DONE]') break;
+        const event = JSON.parse(data);
+        // A stream that has already returned 200 reports failures in-band.
+        if (event.error) {
+          throw new AIError(
+            'PROVIDER_ERROR',
+            `${spec.label} stream failed: ${event.error.message || 'unknown error'}`
+          );
+        }
+        usage = { ...usage, ...spec.usage(event) };
+        const delta = spec.parseDelta(event);
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+    } catch (error) {
+      if (error instanceof AIError) throw error;
+      /** @type {any} */
+      const err = error;
+      throw this.abortedReadError(exchange, signal)
+        || new AIError('NETWORK_ERROR', `${spec.label} stream was interrupted: ${err.message}`);
+    } finally {
+      exchange.close();
+    }
+
+    if (!text.trim()) {
+      throw new AIError('PROVIDER_ERROR', `${spec.label} stream contained no text`);
+    }
+    this.usage = completeUsage(usage);
+    return text.trim();
+  }
+
+  /**
+   * Read an exchange's JSON body and close it, reporting an abort mid-read as
+   * `CANCELLED` or `TIMEOUT` rather than whatever the interrupted parse threw.
+   *
+   * @param {Exchange} exchange
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>}
+   */
+  async readJson(exchange, signal) {
+    try {
+      return await exchange.response.json();
+    } catch (error) {
+      throw this.abortedReadError(exchange, signal) || error;
+    } finally {
+      exchange.close();
+    }
+  }
+
+  /**
+   * What a failed read of an exchange's body amounts to when it was aborted:
+   * `CANCELLED` by the caller, or `TIMEOUT` when the body stopped arriving.
+   * Null when it was not aborted.
+   *
+   * @param {Exchange} exchange
+   * @param {AbortSignal} [signal]
+   * @returns {AIError | null}
+   */
+  abortedReadError(exchange, signal) {
+    if (signal?.aborted) return cancelledError(this.spec);
+    if (exchange.timedOut()) {
+      return new AIError('TIMEOUT', `${this.spec.label} stopped responding for ${this.timeoutMs}ms`);
+    }
+    return null;
+  }
+
+  /**
+   * POST a JSON body to the provider and return the exchange once its headers
+   * arrive, mapping transport failures and non-2xx statuses to `AIError`s. The
+   * caller reads the body and closes the exchange.
+   *
+   * Rate limits, overload and transient network failures are retried with
+   * exponential backoff and jitter, honouring `Retry-After`, while attempts
+   * remain and the next wait still ends before the retry deadline. A rate limit
+   * that outlasts them surfaces as `RATE_LIMITED` so the UI can tell the user
+   * to wait. Auth errors, other 4xx and timeouts are never retried.
+   *
+   * @param {string} url
+   * @param {any} body
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Exchange>}
+   */
+  async post(url, body, signal) {
+    const deadline = Date.now() + this.retryDeadlineMs;
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal?.aborted) throw cancelledError(this.spec);
+      const outcome = await this.attempt(url, body, signal);
+      if ('exchange' in outcome) return outcome.exchange;
+
+      const delay = outcome.retryAfterMs ?? backoffDelay(attempt);
+      if (!outcome.retryable || attempt >= MAX_ATTEMPTS || Date.now() + delay > deadline) {
+        throw outcome.error;
+      }
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * One attempt. Resolves with the exchange when the response is 2xx,
+   * otherwise with the error it amounts to and whether retrying could help;
+   * never rejects.
+   *
+   * `timeoutMs` bounds the wait for the headers, and then each wait for more
+   * of the body, so a provider that stops sending mid-reply times out too.
+   *
+   * @param {string} url
+   * @param {any} body
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ exchange: Exchange } | { error: AIError, retryable: boolean, retryAfterMs: number | null }>}
+   */
+  async attempt(url, body, signal) {
     const { spec } = this;
     const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    let timedOut = false;
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let timer;
+    const keepAlive = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.timeoutMs);
+    };
+    const cancel = () => controller.abort();
+    const close = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    };
+    keepAlive();
+    signal?.addEventListener('abort', cancel, { once: true });
 
     let response;
     try {
-      response = await fetch(spec.url(this.model), {
+      response = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', ...spec.headers(this.apiKey) },
-        body: JSON.stringify(spec.body(systemPrompt, userPrompt, this.model, maxTokens)),
+        body: JSON.stringify(body),
         signal: controller.signal
       });
     } catch (error) {
+      close();
       /** @type {any} */
       const err = error;
+      if (err.name === 'AbortError' && signal?.aborted) {
+        return { error: cancelledError(spec), retryable: false, retryAfterMs: null };
+      }
       if (err.name === 'AbortError') {
-        throw new AIError('TIMEOUT', `${spec.label} did not respond within ${this.timeoutMs}ms`);
+        return {
+          error: new AIError('TIMEOUT', `${spec.label} did not respond within ${this.timeoutMs}ms`),
+          retryable: false,
+          retryAfterMs: null
+        };
       }
-      throw new AIError('NETWORK_ERROR', `Could not reach ${spec.label}: ${err.message}`);
+      return {
+        error: new AIError('NETWORK_ERROR', `Could not reach ${spec.label}: ${err.message}`),
+        retryable: true,
+        retryAfterMs: null
+      };
+    }
+
+    keepAlive();
+    if (response.ok) return { exchange: { response, keepAlive, close, timedOut: () => timedOut } };
+
+    // The provider's own message is the useful part; it never contains the key.
+    let detail;
+    try {
+      detail = `${spec.label} returned ${response.status}: ${await readErrorMessage(response)}`;
     } finally {
-      clearTimeout(timer);
+      close();
+    }
+    if (response.status === 401 || response.status === 403) {
+      return {
+        error: new AIError('AUTH_ERROR', detail, response.status),
+        retryable: false,
+        retryAfterMs: null
+      };
     }
 
-    if (!response.ok) {
-      throw new AIError(
-        response.status === 401 || response.status === 403 ? 'AUTH_ERROR' : 'PROVIDER_ERROR',
-        // The provider's own message is the useful part; it never contains the key.
-        `${spec.label} returned ${response.status}: ${await readErrorMessage(response)}`
-      );
+    const retryAfterMs = readRetryAfter(response);
+    if (response.status === 429) {
+      const wait = retryAfterMs ? `in about ${Math.ceil(retryAfterMs / 1000)}s` : 'in a minute';
+      return {
+        error: new AIError(
+          'RATE_LIMITED',
+          `${spec.label} is rate limiting requests. Try again ${wait}. (${detail})`,
+          response.status
+        ),
+        retryable: true,
+        retryAfterMs
+      };
     }
+    return {
+      error: new AIError('PROVIDER_ERROR', detail, response.status),
+      retryable: RETRYABLE_STATUSES.has(response.status),
+      retryAfterMs
+    };
+  }
+}
 
-    return spec.parse(await response.json()).trim();
+/**
+ * @param {Partial<TokenUsage>} usage
+ * @returns {TokenUsage | null}
+ */
+function completeUsage(usage) {
+  if (usage.inputTokens === undefined && usage.outputTokens === undefined) return null;
+  return { inputTokens: usage.inputTokens ?? 0, outputTokens: usage.outputTokens ?? 0 };
+}
+
+/**
+ * Yield the `data:` payload of each server-sent event in a response body. Events
+ * end at a blank line; one event's payload may span several `data:` lines.
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {() => void} [onChunk]  Called as each chunk of the body arrives.
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readServerSentEvents(body, onChunk) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (!done) onChunk?.();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      const events = buffer.split(/\r?\n\r?\n/);
+      // The last piece is an incomplete event until its blank line arrives,
+      // unless the stream has ended without one.
+      buffer = done ? '' : events.pop() || '';
+
+      for (const event of events) {
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (data) yield data;
+      }
+
+      if (done) return;
+    }
+  } finally {
+    reader.releaseLock();
   }
 }
 
+/**
+ * Delay the provider asked for, in milliseconds, or null when it named none.
+ * Reads OpenAI's `retry-after-ms` and the standard `Retry-After` in either its
+ * seconds or HTTP-date form.
+ *
+ * @param {Response} response
+ * @returns {number | null}
+ */
+function readRetryAfter(response) {
+  const ms = response.headers?.get('retry-after-ms');
+  if (ms && Number.isFinite(Number(ms))) return Math.max(0, Number(ms));
+
+  const value = response.headers?.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter, so clients that failed together do not
+ * retry together.
+ *
+ * @param {number} attempt  1 for the wait after the first attempt.
+ * @returns {number}
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Wait `ms`, or less if `signal` aborts first; the caller checks which.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve(undefined);
+      return;
+    }
+    const stop = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', stop);
+      resolve(undefined);
+    };
+    const timer = setTimeout(stop, ms);
+    signal?.addEventListener('abort', stop, { once: true });
+  });
+}
+
+/**
+ * Distinct from `TIMEOUT`: the user stopped the request, the provider did not fail.
+ *
+ * @param {ProviderSpec} spec
+ * @returns {AIError}
+ */
+function cancelledError(spec) {
+  return new AIError('CANCELLED', `${spec.label} request was cancelled`);
+}
+
+/**
+ * @param {string | undefined} url
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+  return /^https?:\/\/[^\s/]+/i.test(url || '');
+}
+
 /**
  * Pull a human-readable message out of an error response without ever throwing
  * a second time — a malformed error body must not mask the original failure.
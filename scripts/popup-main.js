@@ -7,15 +7,71 @@
  * had seven handlers that only displayed "Saved"/"Exported" and did nothing.
  */
 
+import {
+  EXPORT_FORMATS,
+  exportBlob,
+  formatSummary,
+  isExportFormat,
+  tableToCsv,
+  tagsToCsv,
+  toCsv
+} from '../core/exporters.js';
+
+/** Port name background.js listens on for streamed requests. */
+const STREAM_PORT = 'genai-stream';
+
+/** Entries per page of the History tab. */
+const HISTORY_PAGE_SIZE = 20;
+
+/** Pause in typing before the History tab searches, in ms. */
+const SEARCH_DELAY = 250;
+
+/** Filter label for each entity type, in the order the filters appear. */
+const ENTITY_LABELS = {
+  person: 'People',
+  organization: 'Organizations',
+  place: 'Places',
+  product: 'Products',
+  date: 'Dates'
+};
+
+/** @typedef {import('../core/tasks.js').PageTable} PageTable */
+
+/**
+ * @typedef {Object} Entity
+ * @property {string} type
+ * @property {string} name
+ * @property {number} mentions
+ * @property {number} offset  First occurrence in the page's `mainText`, or -1.
+ */
+
 class PopupInterface {
   constructor() {
     /** @type {any} */
     this.pageContent = null;
     /** @type {{ role: string, content: string }[]} */
     this.conversationHistory = [];
+    /** The saved chat session this conversation continues, if any. @type {string | null} */
+    this.sessionId = null;
     this.isProcessing = false;
     this.lastSummary = null;
     this.lastTranslation = null;
+    /** @type {Entity[]} */
+    this.entities = [];
+    /** Smart tags of the current page, for their CSV export. @type {string[]} */
+    this.tags = [];
+    /** Tables last listed under Tools. @type {PageTable[]} */
+    this.tables = [];
+    /** Id of the streamed request in progress, for the Cancel button. @type {string | null} */
+    this.activeRequestId = null;
+    /** Offset of the History tab's current page. */
+    this.historyOffset = 0;
+    /** The saved summary open in the History tab, if any. @type {any} */
+    this.historySummary = null;
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    this.searchTimer = undefined;
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    this.bookmarkTimer = undefined;
 
     this.initialize();
   }
@@ -25,6 +81,7 @@ class PopupInterface {
     try {
       await this.updateProviderStatus();
       await this.extractCurrentPageContent();
+      await this.restoreChatSession();
     } finally {
       this.hideLoading();
     }
@@ -39,6 +96,8 @@ class PopupInterface {
     });
 
     on('settings-btn', 'click', () => chrome.runtime.openOptionsPage());
+    on('cancel-request-btn', 'click', () => this.cancelActiveRequest());
+    on('stream-cancel-btn', 'click', () => this.cancelActiveRequest());
     on('theme-toggle', 'click', () => document.body.classList.toggle('dark-theme'));
 
     on('generate-summary-btn', 'click', () => this.generateSummary());
@@ -60,6 +119,13 @@ class PopupInterface {
       });
     });
 
+    on('new-chat-btn', 'click', () => {
+      this.clearChat();
+      hide('chat-sessions');
+    });
+    on('chat-sessions-btn', 'click', () => this.toggleChatSessions());
+    on('chat-sessions', 'click', event => this.handleChatSessionClick(event));
+
     on('translate-btn', 'click', () => this.translateContent());
     on('swap-languages', 'click', () => this.swapLanguages());
     on('copy-translation-btn', 'click', () => this.copyToClipboard('translation-content'));
@@ -71,10 +137,34 @@ class PopupInterface {
       });
     });
 
+    on('entities-result', 'click', event => this.handleEntityClick(event));
+    on('tags-result', 'click', event => {
+      if (/** @type {HTMLElement} */ (event.target).closest('#export-tags-btn')) this.exportTags();
+    });
+
+    on('smart-bookmark-btn', 'click', () => this.createSmartBookmark());
     on('page-stats-btn', 'click', () => this.showPageStatistics());
     on('extract-links-btn', 'click', () => this.extractPageLinks());
+    on('extract-tables-btn', 'click', () => this.extractPageTables());
+    on('tools-results-content', 'click', event => this.handleTableClick(event));
     on('export-data-btn', 'click', () => this.exportUserData());
     on('close-tools-results', 'click', () => hide('tools-results'));
+
+    ['history-kind', 'history-domain', 'history-provider', 'history-from', 'history-to']
+      .forEach(id => on(id, 'change', () => this.loadHistory()));
+    on('history-search', 'input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.loadHistory(), SEARCH_DELAY);
+    });
+    on('history-prev-btn', 'click', () => this.loadHistory(Math.max(0, this.historyOffset - HISTORY_PAGE_SIZE)));
+    on('history-next-btn', 'click', () => this.loadHistory(this.historyOffset + HISTORY_PAGE_SIZE));
+    on('history-list', 'click', event => this.handleHistoryClick(event));
+    on('history-detail-actions', 'click', event => this.handleHistoryClick(event));
+    on('bookmark-search', 'input', () => {
+      clearTimeout(this.bookmarkTimer);
+      this.bookmarkTimer = setTimeout(() => this.loadBookmarks(), SEARCH_DELAY);
+    });
+    on('bookmark-list', 'click', event => this.handleBookmarkClick(event));
   }
 
   /** @param {string} tabName */
@@ -84,6 +174,10 @@ class PopupInterface {
     document.querySelector(`.tab-button[data-tab="${tabName}"]`)?.classList.add('active');
     document.getElementById(`${tabName}-tab`)?.classList.add('active');
     if (tabName === 'chat') document.getElementById('chat-input')?.focus();
+    if (tabName === 'history') {
+      this.loadHistory();
+      this.loadBookmarks();
+    }
   }
 
   // ------------------------------------------------------------------ content
@@ -98,15 +192,18 @@ class PopupInterface {
 
     this.setPageInfo(activeTab.title || 'Untitled', 'Reading page…');
 
-    const response = await this.send('EXTRACT_PAGE_CONTENT', { tabId: activeTab.id });
+    const response = await this.send('EXTRACT_PAGE_CONTENT', { tabId: activeTab.id, format: 'markdown' });
     if (!response.success) {
       this.setPageInfo(activeTab.title || 'Untitled', response.error);
       return;
     }
 
     this.pageContent = response.data;
-    const words = countWords(this.pageContent.mainText);
-    this.setPageInfo(this.pageContent.title, `${words.toLocaleString()} words`);
+    const words = `${countWords(this.pageContent.mainText).toLocaleString()} words`;
+    this.setPageInfo(
+      this.pageContent.title,
+      this.pageContent.pageCount ? `PDF, ${this.pageContent.pageCount} pages, ${words}` : words
+    );
   }
 
   // -------------------------------------------------------------------- tasks
@@ -115,21 +212,29 @@ class PopupInterface {
     if (!this.requireContent()) return;
 
     await this.withLoading('Generating summary…', async () => {
-      const response = await this.send('GENERATE_CONTENT_SUMMARY', {
-        content: this.pageContent.mainText,
+      let streamed = '';
+      const response = await this.stream('GENERATE_CONTENT_SUMMARY', {
+        ...this.structuredContent(),
+        headings: this.pageContent.headings,
+        url: this.pageContent.url,
+        title: this.pageContent.title,
         summaryType: value('summary-type') || 'key-points',
         targetLength: checkedValue('summary-length') || 'medium'
-      });
+      }, chunk => {
+        streamed += chunk;
+        this.hideLoading();
+        setText('summary-provider', '');
+        setText('summary-confidence', '');
+        setHtml('summary-content', renderMarkdown(streamed));
+        show('summary-results');
+      }, progress => setText('loading-text', describeProgress(progress)));
 
-      if (!response.success) throw new Error(response.error);
+      if (!response.success) throw requestError(response);
 
       this.lastSummary = response.data;
       setHtml('summary-content', renderMarkdown(response.data.summary));
-      setText('summary-provider', `${response.data.provider} · ${response.data.model}`);
-      setText(
-        'summary-confidence',
-        response.data.truncated ? 'Long page — summarized from the first section only' : ''
-      );
+      setText('summary-provider', describeProvider(response.data));
+      setText('summary-confidence', describeParts(response.data));
       show('summary-results');
     });
   }
@@ -142,42 +247,164 @@ class PopupInterface {
     this.addChatMessage('user', question);
 
     await this.withLoading('Thinking…', async () => {
-      const response = await this.send('ANSWER_CONTEXTUAL_QUESTION', {
+      let streamed = '';
+      /** @type {HTMLElement | null} */
+      let bubble = null;
+      const { content, contentFormat } = this.structuredContent();
+      const response = await this.stream('ANSWER_CONTEXTUAL_QUESTION', {
         question,
-        context: this.pageContent.mainText,
-        conversationHistory: this.conversationHistory.slice(-6)
+        context: content,
+        contentFormat,
+        conversationHistory: this.conversationHistory.slice(-6),
+        url: this.pageContent.url,
+        title: this.pageContent.title,
+        sessionId: this.sessionId
+      }, chunk => {
+        streamed += chunk;
+        this.hideLoading();
+        bubble = bubble || this.addChatMessage('assistant', '');
+        if (bubble) this.updateChatMessage(bubble, streamed);
       });
 
-      if (!response.success) {
-        this.addChatMessage('assistant', response.error);
-        return;
+      // A half-streamed answer that then failed is replaced, not left looking complete.
+      const reply = response.success ? response.data.answer : response.error;
+      if (bubble) {
+        this.updateChatMessage(bubble, reply);
+      } else {
+        this.addChatMessage('assistant', reply);
+      }
+      if (!response.success) return;
+      if (response.data.fallbackFrom?.length) {
+        this.showToast(describeProvider(response.data));
       }
 
-      this.addChatMessage('assistant', response.data.answer);
       this.conversationHistory.push(
         { role: 'user', content: question },
         { role: 'assistant', content: response.data.answer }
       );
+      // Null when history is turned off; the next question then starts over.
+      this.sessionId = response.data.sessionId;
     });
   }
 
+  // -------------------------------------------------------------- chat sessions
+
+  /** Pick up where the last conversation about this page left off. */
+  async restoreChatSession() {
+    if (!this.pageContent?.url) return;
+    const response = await this.send('GET_CHAT_SESSION', { url: this.pageContent.url });
+    if (response.success && response.data) this.loadChatSession(response.data);
+  }
+
+  /** @param {any} session */
+  loadChatSession(session) {
+    this.clearChat();
+    this.sessionId = session.id;
+    for (const message of session.messages) {
+      this.conversationHistory.push({ role: message.role, content: message.content });
+      this.addChatMessage(message.role, message.content);
+    }
+  }
+
+  /** Empty the chat so the next question starts a new session. */
+  clearChat() {
+    document.querySelectorAll('#chat-history .chat-message').forEach(message => message.remove());
+    this.conversationHistory = [];
+    this.sessionId = null;
+  }
+
+  async toggleChatSessions() {
+    const panel = document.getElementById('chat-sessions');
+    if (!panel) return;
+    if (panel.style.display !== 'none') {
+      hide('chat-sessions');
+      return;
+    }
+    await this.renderChatSessions();
+    show('chat-sessions');
+  }
+
+  async renderChatSessions() {
+    const response = await this.send('LIST_CHAT_SESSIONS', {});
+    setHtml(
+      'chat-sessions',
+      response.success
+        ? renderChatSessions(response.data, this.pageContent?.url)
+        : `<div class="placeholder">${escapeHtml(response.error)}</div>`
+    );
+  }
+
+  /** @param {Event} event */
+  async handleChatSessionClick(event) {
+    const button = /** @type {HTMLElement | null} */ (
+      /** @type {HTMLElement} */ (event.target).closest('button[data-session-id]')
+    );
+    const id = button?.dataset.sessionId;
+    if (!button || !id) return;
+
+    if (button.dataset.action === 'delete') {
+      const response = await this.send('DELETE_CHAT_SESSION', { id });
+      if (!response.success) {
+        this.showToast(response.error, 'error');
+        return;
+      }
+      if (id === this.sessionId) this.clearChat();
+      await this.renderChatSessions();
+      return;
+    }
+
+    if (await this.resumeChatSession(id)) hide('chat-sessions');
+  }
+
+  /**
+   * Load a saved chat here when it is about this page; otherwise open its
+   * page. Resuming marks the session most recent, so it is the one restored
+   * when the popup next opens there.
+   *
+   * @param {string} id
+   * @returns {Promise<boolean>}  Whether the chat was loaded into this popup.
+   */
+  async resumeChatSession(id) {
+    const response = await this.send('RESUME_CHAT_SESSION', { id });
+    if (!response.success || !response.data) {
+      this.showToast(response.error || 'That chat no longer exists', 'error');
+      return false;
+    }
+    // Chats saved before pages were recorded have nowhere else to open.
+    if (!response.data.url || isSamePage(response.data.url, this.pageContent?.url)) {
+      this.loadChatSession(response.data);
+      return true;
+    }
+    await chrome.tabs.create({ url: response.data.url });
+    return false;
+  }
+
   async translateContent() {
     if (!this.requireContent()) return;
 
     await this.withLoading('Translating…', async () => {
       const translateWholePage = isChecked('translate-page');
-      const response = await this.send('TRANSLATE_CONTENT', {
+      let streamed = '';
+      const response = await this.stream('TRANSLATE_CONTENT', {
         text: translateWholePage
           ? this.pageContent.mainText
           : this.pageContent.mainText.slice(0, 2000),
+        contentFormat: this.structuredContent().contentFormat,
         targetLanguage: value('target-language') || 'en'
+      }, chunk => {
+        streamed += chunk;
+        this.hideLoading();
+        setText('detected-language', '');
+        setText('translation-confidence', '');
+        setHtml('translation-content', renderMarkdown(streamed));
+        show('translation-results');
       });
 
-      if (!response.success) throw new Error(response.error);
+      if (!response.success) throw requestError(response);
 
       this.lastTranslation = response.data;
       setHtml('translation-content', renderMarkdown(response.data.text));
-      setText('detected-language', `${response.data.provider} · ${response.data.model}`);
+      setText('detected-language', describeProvider(response.data));
       setText('translation-confidence', response.data.truncated ? 'Truncated' : '');
       show('translation-results');
     });
@@ -215,7 +442,11 @@ class PopupInterface {
       if (type === 'sentiment') {
         target.textContent = `${response.data.sentiment} — ${response.data.reason}`;
       } else if (type === 'tags') {
-        target.textContent = response.data.tags.join(', ');
+        this.tags = response.data.tags;
+        target.innerHTML = renderTags(this.tags);
+      } else if (type === 'entities') {
+        this.entities = response.data.entities;
+        target.innerHTML = renderEntities(this.entities);
       } else {
         target.innerHTML = renderMarkdown(response.data.text);
       }
@@ -226,6 +457,249 @@ class PopupInterface {
     }
   }
 
+  /**
+   * Clicks inside the entities card: a type filter, an entity chip (scrolls the
+   * page to its first mention), or the CSV export.
+   *
+   * @param {Event} event
+   */
+  handleEntityClick(event) {
+    const button = /** @type {HTMLElement | null} */ (
+      /** @type {HTMLElement} */ (event.target).closest('button')
+    );
+    if (!button) return;
+
+    if (button.id === 'export-entities-btn') {
+      downloadFile(entitiesToCsv(this.entities), `entities-${Date.now()}.csv`, 'text/csv');
+      return;
+    }
+
+    const { filter, index } = button.dataset;
+    if (filter) {
+      filterEntityChips(filter);
+    } else if (index !== undefined) {
+      const entity = this.entities[Number(index)];
+      if (entity) this.scrollToMention(entity);
+    }
+  }
+
+  /** @param {Entity} entity */
+  async scrollToMention(entity) {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab?.id) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(activeTab.id, {
+        action: 'scrollToMention',
+        name: entity.name,
+        offset: entity.offset
+      });
+      if (!response?.success) throw new Error(response?.error || 'Could not reach the page');
+      if (!response.data.found) this.showToast(`"${entity.name}" is no longer on the page`, 'info');
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      this.showToast(err.message, 'error');
+    }
+  }
+
+  // ------------------------------------------------------------------ history
+
+  /**
+   * Show the page of history starting at `offset` under the current filters:
+   * search results, best first, when there is a query; otherwise everything,
+   * newest first.
+   *
+   * @param {number} [offset]
+   */
+  async loadHistory(offset = 0) {
+    const query = value('history-search').trim();
+    const response = await this.send(query ? 'SEARCH_HISTORY' : 'GET_HISTORY', {
+      ...(query && { query }),
+      kind: value('history-kind') || undefined,
+      domain: value('history-domain') || undefined,
+      provider: value('history-provider') || undefined,
+      ...historyDateRange(value('history-from'), value('history-to')),
+      offset,
+      limit: HISTORY_PAGE_SIZE
+    });
+    this.closeHistoryEntry();
+    if (!response.success) {
+      setHtml('history-list', `<div class="placeholder">${escapeHtml(response.error)}</div>`);
+      return;
+    }
+
+    const { entries, total, domains, providers } = response.data;
+    this.historyOffset = offset;
+    setOptions('history-domain', domains, 'All sites');
+    setOptions('history-provider', providers, 'All providers');
+    setHtml('history-list', renderHistoryEntries(entries, this.pageContent?.url));
+    setText('history-page', total ? `${offset + 1}–${offset + entries.length} of ${total}` : '');
+    setDisabled('history-prev-btn', offset === 0);
+    setDisabled('history-next-btn', offset + entries.length >= total);
+  }
+
+  /** @param {Event} event */
+  async handleHistoryClick(event) {
+    const button = /** @type {HTMLElement | null} */ (
+      /** @type {HTMLElement} */ (event.target).closest('button[data-action]')
+    );
+    if (!button) return;
+    const { action, kind, historyId: id = '' } = button.dataset;
+
+    switch (action) {
+      case 'open':
+        if (kind === 'chat') {
+          if (await this.resumeChatSession(id)) this.switchToTab('chat');
+        } else {
+          await this.openHistorySummary(id);
+        }
+        return;
+      case 'rerun':
+        this.rerunSummary();
+        return;
+      case 'visit':
+        if (this.historySummary?.url) await chrome.tabs.create({ url: this.historySummary.url });
+        return;
+      case 'back':
+        this.closeHistoryEntry();
+        return;
+      case 'delete': {
+        const response = await this.send('DELETE_HISTORY_ENTRY', { kind, id });
+        if (!response.success) {
+          this.showToast(response.error, 'error');
+          return;
+        }
+        if (kind === 'chat' && id === this.sessionId) this.clearChat();
+        // Deleting the last entry on a page steps back to the one before.
+        const onlyEntry = document.querySelectorAll('#history-list .history-item').length <= 1;
+        await this.loadHistory(onlyEntry ? Math.max(0, this.historyOffset - HISTORY_PAGE_SIZE) : this.historyOffset);
+        return;
+      }
+    }
+  }
+
+  /** @param {string} id */
+  async openHistorySummary(id) {
+    const response = await this.send('GET_SUMMARY', { id });
+    if (!response.success || !response.data) {
+      this.showToast(response.error || 'That summary no longer exists', 'error');
+      return;
+    }
+
+    const summary = response.data;
+    this.historySummary = summary;
+    const here = Boolean(summary.url) && isSamePage(summary.url, this.pageContent?.url);
+    const safeId = escapeHtml(summary.id);
+
+    setText('history-detail-title', summary.title || 'Untitled page');
+    setText('history-detail-meta', [
+      summary.model ? describeProvider(summary) : summary.provider,
+      new Date(summary.timestamp).toLocaleString()
+    ].filter(Boolean).join(' · '));
+    setHtml('history-detail-content', renderMarkdown(summary.summary || ''));
+    setHtml('history-detail-actions', [
+      '<button class="action-button" data-action="back">‹ Back</button>',
+      here ? '<button class="action-button" data-action="rerun">🔁 Re-run on this page</button>' : '',
+      !here && summary.url ? '<button class="action-button" data-action="visit">↗ Open page</button>' : '',
+      `<button class="action-button" data-action="delete" data-kind="summary" data-history-id="${safeId}">🗑 Delete</button>`
+    ].join(''));
+
+    hide('history-list');
+    hide('history-pager');
+    show('history-detail');
+  }
+
+  closeHistoryEntry() {
+    this.historySummary = null;
+    hide('history-detail');
+    show('history-list');
+    show('history-pager', 'flex');
+  }
+
+  /** Summarize the live page again with the opened summary's style and length. */
+  rerunSummary() {
+    const options = this.historySummary?.options || {};
+    if (options.type) setValue('summary-type', options.type);
+    document.querySelectorAll('input[name="summary-length"]').forEach(input => {
+      const radio = /** @type {HTMLInputElement} */ (input);
+      if (options.length) radio.checked = radio.value === options.length;
+    });
+    this.switchToTab('summary');
+    this.generateSummary();
+  }
+
+  // ---------------------------------------------------------------- bookmarks
+
+  /** Show saved bookmarks with a tag matching the filter, newest first. */
+  async loadBookmarks() {
+    const response = await this.send('LIST_BOOKMARKS', { tag: value('bookmark-search') });
+    if (!response.success) {
+      setHtml('bookmark-list', `<div class="placeholder">${escapeHtml(response.error)}</div>`);
+      return;
+    }
+
+    const { bookmarks, tags } = response.data;
+    setHtml('bookmark-tags', tags
+      .map((/** @type {{ tag: string }} */ { tag }) => `<option value="${escapeHtml(tag)}"></option>`)
+      .join(''));
+    setHtml('bookmark-list', renderBookmarks(bookmarks));
+  }
+
+  /** @param {Event} event */
+  async handleBookmarkClick(event) {
+    const button = /** @type {HTMLElement | null} */ (
+      /** @type {HTMLElement} */ (event.target).closest('button[data-action]')
+    );
+    if (!button) return;
+    const { action, bookmarkId: id = '', tag = '' } = button.dataset;
+
+    switch (action) {
+      case 'tag':
+        setValue('bookmark-search', tag);
+        await this.loadBookmarks();
+        return;
+      case 'open': {
+        // Opening goes through the background so the visit is counted.
+        const response = await this.send('OPEN_BOOKMARK', { id });
+        if (!response.success || !response.data) {
+          this.showToast(response.error || 'That bookmark no longer exists', 'error');
+          await this.loadBookmarks();
+          return;
+        }
+        await chrome.tabs.create({ url: response.data.url });
+        return;
+      }
+      case 'delete': {
+        const response = await this.send('DELETE_BOOKMARK', { id });
+        if (!response.success) {
+          this.showToast(response.error, 'error');
+          return;
+        }
+        await this.loadBookmarks();
+        return;
+      }
+    }
+  }
+
+  /** Bookmark the current page with a summary and tags. */
+  async createSmartBookmark() {
+    if (!this.requireContent()) return;
+
+    await this.withLoading('Creating smart bookmark…', async () => {
+      const response = await this.stream('SAVE_SMART_BOOKMARK', {
+        url: this.pageContent.url,
+        title: this.pageContent.title,
+        ...this.structuredContent(),
+        headings: this.pageContent.headings
+      }, () => {}, progress => setText('loading-text', describeProgress(progress)));
+      if (!response.success) throw requestError(response);
+
+      const { tags } = response.data;
+      this.showToast(tags.length ? `Bookmarked — ${tags.join(', ')}` : 'Bookmarked');
+    });
+  }
+
   // -------------------------------------------------------------------- tools
 
   showPageStatistics() {
@@ -262,13 +736,69 @@ class PopupInterface {
     }
   }
 
+  async extractPageTables() {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab?.id) return;
+
+    try {
+      const response = await chrome.tabs.sendMessage(activeTab.id, { action: 'extractTables' });
+      if (!response?.success) throw new Error(response?.error || 'Could not read tables');
+
+      this.tables = response.data;
+      this.showToolsResult(renderTables(this.tables));
+    } catch (error) {
+      /** @type {any} */
+      const err = error;
+      this.showToolsResult(`<p>${escapeHtml(err.message)}</p>`);
+    }
+  }
+
+  /**
+   * Clicks in the table list: download a table as CSV, or explain it — or
+   * answer the question typed above the list — with the streamed reply shown
+   * above the list.
+   *
+   * @param {Event} event
+   */
+  async handleTableClick(event) {
+    const button = /** @type {HTMLElement | null} */ (
+      /** @type {HTMLElement} */ (event.target).closest('button[data-table-action]')
+    );
+    const index = Number(button?.dataset.index);
+    const table = this.tables[index];
+    if (!button || !table) return;
+
+    if (button.dataset.tableAction === 'csv') {
+      downloadFile(tableToCsv(table), `table-${index + 1}-${Date.now()}.csv`, 'text/csv');
+      return;
+    }
+
+    await this.withLoading('Reading table…', async () => {
+      let streamed = '';
+      const response = await this.stream('EXPLAIN_TABLE', {
+        table,
+        question: value('table-question').trim(),
+        url: this.pageContent?.url,
+        title: this.pageContent?.title
+      }, chunk => {
+        streamed += chunk;
+        this.hideLoading();
+        setHtml('table-answer', renderMarkdown(streamed));
+      });
+      if (!response.success) throw requestError(response);
+
+      setHtml('table-answer', renderMarkdown(response.data.text));
+    });
+  }
+
   async exportUserData() {
-    const response = await this.send('EXPORT_USER_DATA', {});
+    const format = selectedFormat('export-format');
+    const response = await this.send('EXPORT_USER_DATA', { format });
     if (!response.success) {
       this.showToast(response.error, 'error');
       return;
     }
-    downloadJson(response.data, `genai-export-${Date.now()}.json`);
+    downloadExport(response.data, 'genai-export', format);
     this.showToast('Export downloaded');
   }
 
@@ -277,10 +807,19 @@ class PopupInterface {
       this.showToast('Generate a summary first', 'error');
       return;
     }
-    downloadJson(
-      { ...this.lastSummary, url: this.pageContent?.url, title: this.pageContent?.title },
-      `summary-${Date.now()}.json`
-    );
+    const format = selectedFormat('summary-export-format');
+    if (format === 'vault') return;
+    const summary = {
+      ...this.lastSummary,
+      url: this.pageContent?.url,
+      title: this.pageContent?.title,
+      timestamp: this.lastSummary.timestamp || Date.now()
+    };
+    downloadExport(formatSummary(summary, format), 'summary', format);
+  }
+
+  exportTags() {
+    downloadFile(tagsToCsv(this.tags, this.pageContent || {}), `tags-${Date.now()}.csv`, 'text/csv');
   }
 
   // ------------------------------------------------------------------ helpers
@@ -292,11 +831,7 @@ class PopupInterface {
    */
   async send(actionType, payload) {
     try {
-      return await chrome.runtime.sendMessage({
-        actionType,
-        requestId: `req_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
-        payload
-      });
+      return await chrome.runtime.sendMessage({ actionType, requestId: newRequestId(), payload });
     } catch (error) {
       /** @type {any} */
       const err = error;
@@ -304,6 +839,73 @@ class PopupInterface {
     }
   }
 
+  /**
+   * Like `send()`, but over a port so the reply's text reaches `onChunk` while
+   * the provider is still generating it. Resolves with the same envelope.
+   *
+   * @param {string} actionType
+   * @param {any} payload
+   * @param {(text: string) => void} onChunk
+   * @param {(progress: { completed: number, total: number }) => void} [onProgress]
+   * @returns {Promise<any>}
+   */
+  stream(actionType, payload, onChunk, onProgress) {
+    return new Promise(resolve => {
+      /** @type {chrome.runtime.Port} */
+      let port;
+      try {
+        port = chrome.runtime.connect({ name: STREAM_PORT });
+      } catch (error) {
+        /** @type {any} */
+        const err = error;
+        resolve({ success: false, error: `Extension service unavailable: ${err.message}` });
+        return;
+      }
+
+      const requestId = newRequestId();
+      this.activeRequestId = requestId;
+      setDisabled('stream-cancel-btn', false);
+      /** @param {any} envelope */
+      const finish = envelope => {
+        if (this.activeRequestId === requestId) {
+          this.activeRequestId = null;
+          hide('stream-cancel-btn');
+        }
+        resolve(envelope);
+      };
+
+      port.onMessage.addListener(message => {
+        if (message.type === 'chunk') {
+          onChunk(message.text);
+          return;
+        }
+        if (message.type === 'progress') {
+          onProgress?.(message);
+          return;
+        }
+        port.disconnect();
+        finish(message);
+      });
+      // Only fires when the background side goes away first, e.g. the worker restarted.
+      port.onDisconnect.addListener(() => {
+        finish({ success: false, error: 'Extension service disconnected' });
+      });
+      port.postMessage({ actionType, requestId, payload });
+    });
+  }
+
+  /**
+   * Stop the streamed request, whether still behind the loading overlay or
+   * already streaming in. Its port then delivers a `CANCELLED` envelope,
+   * which `withLoading` reports quietly.
+   */
+  async cancelActiveRequest() {
+    if (!this.activeRequestId) return;
+    setText('loading-text', 'Cancelling…');
+    setDisabled('stream-cancel-btn', true);
+    await this.send('CANCEL_REQUEST', { requestId: this.activeRequestId });
+  }
+
   async updateProviderStatus() {
     const response = await this.send('GET_PROVIDER_STATUS', {});
     const badge = document.getElementById('provider-indicator');
@@ -313,13 +915,33 @@ class PopupInterface {
     }
 
     const { provider, configured } = response.data;
-    setText('provider-name', configured ? provider : `${provider} — no API key`);
+    // The local provider is configured by server URL, every other one by key.
+    const selfHosted = provider === 'local';
+    setText(
+      'provider-name',
+      configured ? provider : `${provider} — no ${selfHosted ? 'server URL' : 'API key'}`
+    );
     badge?.classList.toggle('active', configured);
     if (!configured) {
-      this.showToast('Add an API key in Settings to enable AI features', 'error');
+      this.showToast(
+        `Add ${selfHosted ? 'a server URL' : 'an API key'} in Settings to enable AI features`,
+        'error'
+      );
     }
   }
 
+  /**
+   * The page as summaries and chat send it: Markdown when the content script
+   * produced it, so the model sees headings, tables and code, else plain
+   * text — or a PDF's pages, each after its `[Page N]` line.
+   *
+   * @returns {{ content: string, contentFormat: 'markdown' | 'text' | 'pdf' }}
+   */
+  structuredContent() {
+    if (this.pageContent.markdown) return { content: this.pageContent.markdown, contentFormat: 'markdown' };
+    return { content: this.pageContent.mainText, contentFormat: this.pageContent.contentFormat === 'pdf' ? 'pdf' : 'text' };
+  }
+
   /** @returns {boolean} */
   requireContent() {
     if (this.pageContent?.mainText) return true;
@@ -340,17 +962,25 @@ class PopupInterface {
     } catch (error) {
       /** @type {any} */
       const err = error;
-      this.showToast(err.message, 'error');
+      if (err.code === 'CANCELLED') {
+        this.showToast('Cancelled');
+      } else {
+        this.showToast(err.message, 'error');
+      }
     } finally {
       this.isProcessing = false;
       this.hideLoading();
     }
   }
 
-  /** @param {string} role @param {string} content */
+  /**
+   * @param {string} role
+   * @param {string} content
+   * @returns {HTMLElement | null}  The message body, for updating while a reply streams.
+   */
   addChatMessage(role, content) {
     const history = document.getElementById('chat-history');
-    if (!history) return;
+    if (!history) return null;
 
     const message = document.createElement('div');
     message.className = `chat-message ${role}`;
@@ -366,6 +996,14 @@ class PopupInterface {
     message.append(avatar, body);
     history.appendChild(message);
     history.scrollTop = history.scrollHeight;
+    return body;
+  }
+
+  /** @param {HTMLElement} body @param {string} content */
+  updateChatMessage(body, content) {
+    body.innerHTML = renderMarkdown(content);
+    const history = document.getElementById('chat-history');
+    if (history) history.scrollTop = history.scrollHeight;
   }
 
   swapLanguages() {
@@ -414,13 +1052,58 @@ class PopupInterface {
     show('loading-overlay', 'flex');
   }
 
+  /** Hide the overlay; a reply streaming in keeps a Cancel button of its own. */
   hideLoading() {
     hide('loading-overlay');
+    if (this.activeRequestId) show('stream-cancel-btn');
   }
 }
 
 // ------------------------------------------------------------------ utilities
 
+/**
+ * The error a failed response envelope stands for, keeping its `errorCode`.
+ *
+ * @param {{ error: string, errorCode?: string }} response
+ * @returns {Error & { code?: string }}
+ */
+function requestError(response) {
+  /** @type {Error & { code?: string }} */
+  const error = new Error(response.error);
+  if (response.errorCode) error.code = response.errorCode;
+  return error;
+}
+
+/**
+ * Loading text for a long page summarized in parts.
+ *
+ * @param {{ completed: number, total: number, pass?: number }} progress
+ * @returns {string}
+ */
+function describeProgress({ completed, total, pass }) {
+  if (pass && completed < total) return `Condensing part summaries (pass ${pass}), ${completed + 1} of ${total}…`;
+  return completed < total
+    ? `Long page — summarizing part ${completed + 1} of ${total}…`
+    : `Combining ${total} part summaries…`;
+}
+
+/**
+ * How a summary covered its page, when not in one request or not in full.
+ *
+ * @param {{ parts: number, truncated?: boolean }} summary
+ * @returns {string}
+ */
+function describeParts({ parts, truncated }) {
+  const note = parts > 1 ? `Long page — summarized in ${parts} parts` : '';
+  if (!truncated) return note;
+  return note ? `${note}; the end was left out` : 'Truncated';
+}
+
+/** @returns {string} */
+function newRequestId() {
+  return `req_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
 /** @param {string} id @param {string} event @param {(e: Event) => void} handler */
 function on(id, event, handler) {
   document.getElementById(id)?.addEventListener(event, handler);
@@ -476,6 +1159,40 @@ function hide(id) {
   if (el) el.style.display = 'none';
 }
 
+/** @param {string} id @param {boolean} disabled */
+function setDisabled(id, disabled) {
+  const el = /** @type {HTMLButtonElement | null} */ (document.getElementById(id));
+  if (el) el.disabled = disabled;
+}
+
+/**
+ * Replace a filter menu's options, keeping the selection when it is still offered.
+ *
+ * @param {string} id
+ * @param {string[]} values
+ * @param {string} allLabel  Label of the leading "no filter" option.
+ */
+function setOptions(id, values, allLabel) {
+  const selected = value(id);
+  setHtml(id, [
+    `<option value="">${escapeHtml(allLabel)}</option>`,
+    ...values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`)
+  ].join(''));
+  setValue(id, values.includes(selected) ? selected : '');
+}
+
+/**
+ * "provider · model", plus which providers were skipped when a fallback
+ * answered — a substituted answer is never presented as the preferred one's.
+ *
+ * @param {{ provider: string, model: string, fallbackFrom?: string[] }} result
+ * @returns {string}
+ */
+export function describeProvider({ provider, model, fallbackFrom = [] }) {
+  const label = `${provider} · ${model}`;
+  return fallbackFrom.length ? `${label} (${fallbackFrom.join(', ')} unavailable)` : label;
+}
+
 /** @param {string} text @returns {string} */
 export function escapeHtml(text) {
   return String(text)
@@ -502,6 +1219,267 @@ export function renderMarkdown(text) {
     .replace(/\n/g, '<br>');
 }
 
+/**
+ * Saved chats, most recent first. The current page's are resumed in place;
+ * any other page's are opened in a new tab, where the popup restores them.
+ *
+ * @param {{ id: string, url: string, title: string, domain: string, updatedAt: number,
+ *   messageCount: number, preview: string }[]} sessions
+ * @param {string} [currentUrl]
+ * @returns {string}
+ */
+export function renderChatSessions(sessions, currentUrl) {
+  if (!sessions.length) return '<div class="placeholder">No saved chats yet</div>';
+
+  const items = sessions.map(session => {
+    const here = isSamePage(session.url, currentUrl);
+    const id = escapeHtml(session.id);
+    const meta = [
+      here ? 'This page' : escapeHtml(session.domain),
+      `${session.messageCount} message${session.messageCount === 1 ? '' : 's'}`,
+      new Date(session.updatedAt).toLocaleDateString()
+    ].join(' · ');
+    return `<li class="chat-session">
+        <div class="chat-session-title">${escapeHtml(session.title)}</div>
+        <div class="chat-session-meta">${meta}</div>
+        <div class="chat-session-preview">${escapeHtml(session.preview)}</div>
+        <div class="chat-session-actions">
+          <button data-action="resume" data-session-id="${id}">${here ? 'Resume' : 'Open page'}</button>
+          <button data-action="delete" data-session-id="${id}">Delete</button>
+        </div>
+      </li>`;
+  });
+  return `<ul class="chat-session-list">${items.join('')}</ul>`;
+}
+
+/**
+ * One page of the History tab. Summaries open in the tab itself; chats resume
+ * like Past chats do. Search results show the text around the match instead
+ * of the opening lines.
+ *
+ * @param {{ kind: 'summary' | 'chat', id: string, title: string, url: string, domain: string,
+ *   provider: string, timestamp: number, preview: string, snippet?: string,
+ *   highlights?: [number, number][] }[]} entries
+ * @param {string} [currentUrl]
+ * @returns {string}
+ */
+export function renderHistoryEntries(entries, currentUrl) {
+  if (!entries.length) return '<div class="placeholder">No saved summaries or chats match</div>';
+
+  const items = entries.map(entry => {
+    const attributes = `data-kind="${entry.kind}" data-history-id="${escapeHtml(entry.id)}"`;
+    const meta = [
+      entry.kind === 'chat' ? 'Chat' : 'Summary',
+      entry.url && isSamePage(entry.url, currentUrl) ? 'This page' : escapeHtml(entry.domain),
+      escapeHtml(entry.provider),
+      new Date(entry.timestamp).toLocaleDateString()
+    ].filter(Boolean).join(' · ');
+    return `<li class="history-item">
+        <div class="history-item-title">${escapeHtml(entry.title)}</div>
+        <div class="history-item-meta">${meta}</div>
+        ${entry.snippet === undefined
+          ? `<div class="history-item-preview">${escapeHtml(entry.preview)}</div>`
+          : `<div class="history-item-snippet">${markHighlights(entry.snippet, entry.highlights || [])}</div>`}
+        <div class="history-item-actions">
+          <button data-action="open" ${attributes}>Open</button>
+          <button data-action="delete" ${attributes}>Delete</button>
+        </div>
+      </li>`;
+  });
+  return `<ul class="history-list">${items.join('')}</ul>`;
+}
+
+/**
+ * Saved bookmarks with their summary's first line and tags. A tag filters the
+ * list by itself; Open counts the visit.
+ *
+ * @param {{ id: string, url: string, title?: string, domain?: string, summary?: string,
+ *   tags?: string[], createdAt: number, accessCount?: number }[]} bookmarks
+ * @returns {string}
+ */
+export function renderBookmarks(bookmarks) {
+  if (!bookmarks.length) return '<div class="placeholder">No bookmarks match</div>';
+
+  const items = bookmarks.map(bookmark => {
+    const id = escapeHtml(bookmark.id);
+    const opened = bookmark.accessCount || 0;
+    const meta = [
+      escapeHtml(bookmark.domain || ''),
+      new Date(bookmark.createdAt).toLocaleDateString(),
+      opened ? `opened ${opened} time${opened === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(' · ');
+    const tags = (bookmark.tags || [])
+      .map(tag => `<button class="bookmark-tag" data-action="tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+      .join('');
+    return `<li class="history-item">
+        <div class="history-item-title">${escapeHtml(bookmark.title || bookmark.url)}</div>
+        <div class="history-item-meta">${meta}</div>
+        <div class="history-item-preview">${escapeHtml((bookmark.summary || '').split('\n')[0] || '')}</div>
+        ${tags ? `<div class="bookmark-tags">${tags}</div>` : ''}
+        <div class="history-item-actions">
+          <button data-action="open" data-bookmark-id="${id}">Open</button>
+          <button data-action="delete" data-bookmark-id="${id}">Delete</button>
+        </div>
+      </li>`;
+  });
+  return `<ul class="history-list">${items.join('')}</ul>`;
+}
+
+/**
+ * Tables found on the page, each with its size, its column names and buttons
+ * to explain it or download it as CSV; a question box and the answer go above.
+ *
+ * @param {PageTable[]} tables
+ * @returns {string}
+ */
+export function renderTables(tables) {
+  if (!tables.length) return '<div class="placeholder">No data tables on this page</div>';
+
+  const items = tables.map((table, index) => {
+    const columns = Math.max(table.headers.length, ...table.rows.map(row => row.length));
+    const rows = table.rows.length;
+    const meta = `${rows} row${rows === 1 ? '' : 's'} × ${columns} column${columns === 1 ? '' : 's'}`;
+    const headers = table.headers.filter(Boolean).join(' · ');
+    return `<li class="history-item">
+        <div class="history-item-title">${escapeHtml(table.caption || `Table ${index + 1}`)}</div>
+        <div class="history-item-meta">${meta}</div>
+        ${headers ? `<div class="history-item-preview">${escapeHtml(headers)}</div>` : ''}
+        <div class="history-item-actions">
+          <button data-table-action="explain" data-index="${index}">Explain</button>
+          <button data-table-action="csv" data-index="${index}">CSV</button>
+        </div>
+      </li>`;
+  });
+  return `<div class="history-filters">
+      <input type="text" id="table-question" class="modern-select history-wide"
+             placeholder="Ask about a table (optional)" aria-label="Question about a table">
+    </div>
+    <div id="table-answer"></div>
+    <ul class="history-list">${items.join('')}</ul>`;
+}
+
+/**
+ * Escape `text` and wrap each highlighted range in `<mark>`.
+ *
+ * @param {string} text
+ * @param {[number, number][]} highlights  Ascending and non-overlapping.
+ * @returns {string}
+ */
+function markHighlights(text, highlights) {
+  let html = '';
+  let position = 0;
+  for (const [start, end] of highlights) {
+    html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * The History tab's date inputs as a timestamp range covering both days in
+ * full, in local time. An empty input leaves that end open.
+ *
+ * @param {string} from  `YYYY-MM-DD` or empty.
+ * @param {string} to    `YYYY-MM-DD` or empty.
+ * @returns {{ from?: number, to?: number }}
+ */
+export function historyDateRange(from, to) {
+  return {
+    ...(from && { from: new Date(`${from}T00:00:00`).getTime() }),
+    ...(to && { to: new Date(`${to}T23:59:59.999`).getTime() })
+  };
+}
+
+/**
+ * Whether two URLs are the same page for chat sessions, which ignore the fragment.
+ *
+ * @param {string} a
+ * @param {string} [b]
+ * @returns {boolean}
+ */
+function isSamePage(a, b) {
+  return Boolean(b) && a.split('#')[0] === String(b).split('#')[0];
+}
+
+/**
+ * Type filters, one chip per entity, and the CSV export button. Chips for
+ * names that never occur verbatim on the page are disabled: there is nothing
+ * to scroll to.
+ *
+ * @param {Entity[]} entities
+ * @returns {string}
+ */
+export function renderEntities(entities) {
+  if (!entities.length) return '<div class="placeholder">No entities found</div>';
+
+  /** @type {[string, string, number][]} */
+  const filters = [['all', 'All', entities.length]];
+  for (const [type, label] of Object.entries(ENTITY_LABELS)) {
+    const count = entities.filter(entity => entity.type === type).length;
+    if (count) filters.push([type, label, count]);
+  }
+
+  const filterButtons = filters
+    .map(([type, label, count]) =>
+      `<button class="entity-filter${type === 'all' ? ' active' : ''}" data-filter="${type}">${label} (${count})</button>`)
+    .join('');
+  const chips = entities
+    .map((entity, index) => {
+      const found = entity.offset >= 0;
+      const title = found
+        ? `${entity.mentions} mention${entity.mentions === 1 ? '' : 's'} — click to show on the page`
+        : 'Not found verbatim on the page';
+      return `<button class="entity-chip entity-${escapeHtml(entity.type)}" data-index="${index}"` +
+        ` data-type="${escapeHtml(entity.type)}" title="${title}"${found ? '' : ' disabled'}>` +
+        `${escapeHtml(entity.name)}<span class="entity-count">${entity.mentions}</span></button>`;
+    })
+    .join('');
+
+  return `<div class="entity-list">
+      <div class="entity-filters">${filterButtons}</div>
+      <div class="entity-chips">${chips}</div>
+      <button class="entity-export" id="export-entities-btn">Export CSV</button>
+    </div>`;
+}
+
+/**
+ * Show only the chips of one entity type, or all of them.
+ *
+ * @param {string} type
+ */
+function filterEntityChips(type) {
+  document.querySelectorAll('#entities-result .entity-filter').forEach(button => {
+    button.classList.toggle('active', /** @type {HTMLElement} */ (button).dataset.filter === type);
+  });
+  document.querySelectorAll('#entities-result .entity-chip').forEach(chip => {
+    const element = /** @type {HTMLElement} */ (chip);
+    element.hidden = type !== 'all' && element.dataset.type !== type;
+  });
+}
+
+/**
+ * @param {Entity[]} entities
+ * @returns {string}
+ */
+export function entitiesToCsv(entities) {
+  const rows = entities.map(entity => [entity.type, entity.name, entity.mentions, entity.offset]);
+  return toCsv([['type', 'name', 'mentions', 'offset'], ...rows]);
+}
+
+/**
+ * Smart tags as text, with their CSV export.
+ *
+ * @param {string[]} tags
+ * @returns {string}
+ */
+export function renderTags(tags) {
+  if (!tags.length) return '<div class="placeholder">No tags generated</div>';
+  return `<div class="entity-list">
+      <div>${escapeHtml(tags.join(', '))}</div>
+      <button class="entity-export" id="export-tags-btn">Export CSV</button>
+    </div>`;
+}
+
 /** @param {string} text @returns {number} */
 export function countWords(text) {
   const words = String(text || '').trim().match(/\S+/g);
@@ -532,11 +1510,32 @@ export function readabilityScore(text) {
   return { score, level };
 }
 
-/** @param {any} data @param {string} filename */
-function downloadJson(data, filename) {
-  const url = URL.createObjectURL(
-    new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
-  );
+/**
+ * @param {string} content  Already in `format`; base64 for a binary one.
+ * @param {string} name  File name before the timestamp and extension.
+ * @param {import('../core/exporters.js').ExportFormat} format
+ */
+function downloadExport(content, name, format) {
+  downloadBlob(exportBlob(content, format), `${name}-${Date.now()}.${EXPORT_FORMATS[format].extension}`);
+}
+
+/**
+ * @param {string} id  A format `<select>`.
+ * @returns {import('../core/exporters.js').ExportFormat}
+ */
+function selectedFormat(id) {
+  const value = /** @type {HTMLSelectElement | null} */ (document.getElementById(id))?.value;
+  return isExportFormat(value) ? value : 'json';
+}
+
+/** @param {string} content @param {string} filename @param {string} type */
+function downloadFile(content, filename, type) {
+  downloadBlob(new Blob([content], { type }), filename);
+}
+
+/** @param {Blob} blob @param {string} filename */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
   link.download = filename;
@@ -0,0 +1,371 @@
+/**
+ * @file services/history-db.js
+ * @description IndexedDB store for saved summaries, chat sessions and bookmarks.
+ *
+ * One object store per kind, keyed by `id` and indexed on `timestamp`, `url`
+ * and `domain`. Records are written one at a time, so two tasks finishing
+ * together each add their own record; with whole arrays in
+ * chrome.storage.local, the second write replaced the first's copy. Paging
+ * walks the `timestamp` index with a cursor instead of loading a whole store.
+ */
+
+export const HISTORY_DB_NAME = 'genai-history';
+export const HISTORY_DB_VERSION = 1;
+
+/** @typedef {'summaries' | 'conversations' | 'bookmarks'} HistoryStoreName */
+
+/**
+ * Index name → record field, per store. Chat sessions are ordered by when they
+ * were last continued, bookmarks by when they were made.
+ * @type {Record<HistoryStoreName, Record<string, string>>}
+ */
+const STORES = {
+  summaries: { timestamp: 'timestamp', url: 'url', domain: 'domain', provider: 'provider' },
+  conversations: { timestamp: 'updatedAt', url: 'url', domain: 'domain', provider: 'provider' },
+  bookmarks: { timestamp: 'createdAt', url: 'url', domain: 'domain' }
+};
+
+/**
+ * @typedef {Object} PageOptions
+ * @property {number | undefined} [from]  Earliest timestamp, inclusive.
+ * @property {number | undefined} [to]    Latest timestamp, inclusive.
+ * @property {number} [offset]
+ * @property {number} [limit]
+ * @property {(record: any) => boolean} [where]  Records failing it are skipped, not counted.
+ */
+
+export class HistoryDatabase {
+  /** @param {string} [name] */
+  constructor(name = HISTORY_DB_NAME) {
+    this.name = name;
+    /** @type {Promise<IDBDatabase> | null} */
+    this.connection = null;
+  }
+
+  /** @returns {Promise<IDBDatabase>} */
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => createStores(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let the next call try again rather than failing forever.
+      this.connection.catch(() => { this.connection = null; });
+    }
+    return this.connection;
+  }
+
+  /**
+   * Run `work` in one transaction; resolves with its result once the
+   * transaction commits, so a caller never sees a write that is later undone.
+   *
+   * @template T
+   * @param {HistoryStoreName[]} stores
+   * @param {IDBTransactionMode} mode
+   * @param {(transaction: IDBTransaction) => T | Promise<T>} work
+   * @returns {Promise<T>}
+   */
+  async transaction(stores, mode, work) {
+    const db = await this.open();
+    const transaction = db.transaction(stores, mode);
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+
+    try {
+      const result = await work(transaction);
+      await committed;
+      return result;
+    } catch (error) {
+      try {
+        transaction.abort();
+      } catch {
+        // Already finished.
+      }
+      committed.catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   * @param {IDBValidKey} id
+   * @returns {Promise<any | null>}
+   */
+  async get(store, id) {
+    const record = await this.transaction([store], 'readonly',
+      transaction => request(transaction.objectStore(store).get(id)));
+    return record ?? null;
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   * @returns {Promise<any[]>}  Newest first.
+   */
+  async getAll(store) {
+    const records = await this.transaction([store], 'readonly',
+      transaction => request(transaction.objectStore(store).getAll()));
+    const field = STORES[store].timestamp || 'timestamp';
+    return records.sort((a, b) => (b[field] || 0) - (a[field] || 0));
+  }
+
+  /**
+   * Every record whose `index` field equals `value`, newest first.
+   *
+   * @param {HistoryStoreName} store
+   * @param {string} index
+   * @param {IDBValidKey} value
+   * @returns {Promise<any[]>}
+   */
+  async getAllBy(store, index, value) {
+    const records = await this.transaction([store], 'readonly',
+      transaction => request(transaction.objectStore(store).index(index).getAll(IDBKeyRange.only(value))));
+    const field = STORES[store].timestamp || 'timestamp';
+    return records.sort((a, b) => (b[field] || 0) - (a[field] || 0));
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   * @param {any[]} records
+   */
+  async putAll(store, records) {
+    await this.transaction([store], 'readwrite', transaction => {
+      const objectStore = transaction.objectStore(store);
+      records.forEach(record => objectStore.put(record));
+    });
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   * @param {any} record
+   */
+  async put(store, record) {
+    await this.putAll(store, [record]);
+  }
+
+  /**
+   * Read, change and write back one record in a single transaction, so a
+   * concurrent change to it cannot be lost in between.
+   *
+   * @param {HistoryStoreName} store
+   * @param {IDBValidKey} id
+   * @param {(record: any | null) => any} change  Returns the record to write, or null to write nothing.
+   * @returns {Promise<any | null>}  What was written.
+   */
+  async update(store, id, change) {
+    return this.transaction([store], 'readwrite', async transaction => {
+      const objectStore = transaction.objectStore(store);
+      const next = change((await request(objectStore.get(id))) ?? null);
+      if (next) objectStore.put(next);
+      return next ?? null;
+    });
+  }
+
+  /**
+   * Pass every record of a store through `change` in one transaction, writing
+   * back those it returns.
+   *
+   * @param {HistoryStoreName} store
+   * @param {(record: any) => any} change  Returns the record to write, or null to leave it.
+   * @returns {Promise<number>}  How many records were written.
+   */
+  async updateEach(store, change) {
+    return this.transaction([store], 'readwrite', async transaction => {
+      let written = 0;
+      await eachRecord(transaction.objectStore(store).openCursor(), cursor => {
+        const next = change(cursor.value);
+        if (!next) return;
+        cursor.update(next);
+        written += 1;
+      });
+      return written;
+    });
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   * @param {IDBValidKey} id
+   * @returns {Promise<boolean>}  Whether there was such a record.
+   */
+  async delete(store, id) {
+    return this.transaction([store], 'readwrite', async transaction => {
+      const objectStore = transaction.objectStore(store);
+      if (!(await request(objectStore.count(id)))) return false;
+      objectStore.delete(id);
+      return true;
+    });
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   */
+  async clear(store) {
+    await this.transaction([store], 'readwrite', transaction => {
+      transaction.objectStore(store).clear();
+    });
+  }
+
+  /**
+   * @param {HistoryStoreName} store
+   * @returns {Promise<number>}
+   */
+  async count(store) {
+    return this.transaction([store], 'readonly',
+      transaction => request(transaction.objectStore(store).count()));
+  }
+
+  /**
+   * One page of a store, newest first, walking the timestamp index from the
+   * newest record. Records before the page are counted but not kept, and the
+   * walk continues past the page only to count the total.
+   *
+   * @param {HistoryStoreName} store
+   * @param {PageOptions} [options]
+   * @returns {Promise<{ records: any[], total: number }>}
+   */
+  async page(store, { from, to, offset = 0, limit = Infinity, where = () => true } = {}) {
+    return this.transaction([store], 'readonly', async transaction => {
+      const index = transaction.objectStore(store).index('timestamp');
+      /** @type {any[]} */
+      const records = [];
+      let total = 0;
+      await eachRecord(index.openCursor(timestampRange(from, to), 'prev'), cursor => {
+        if (!where(cursor.value)) return;
+        if (total >= offset && records.length < limit) records.push(cursor.value);
+        total += 1;
+      });
+      return { records, total };
+    });
+  }
+
+  /**
+   * Every distinct value of an index, in key order, without reading records.
+   *
+   * @param {HistoryStoreName} store
+   * @param {string} index
+   * @returns {Promise<IDBValidKey[]>}
+   */
+  async distinct(store, index) {
+    return this.transaction([store], 'readonly', async transaction => {
+      /** @type {IDBValidKey[]} */
+      const keys = [];
+      await eachRecord(transaction.objectStore(store).index(index).openKeyCursor(null, 'nextunique'), cursor => {
+        keys.push(cursor.key);
+      });
+      return keys;
+    });
+  }
+
+  /**
+   * Delete every record in the timestamp range that `where` accepts.
+   *
+   * @param {HistoryStoreName} store
+   * @param {Omit<PageOptions, 'offset' | 'limit'>} options
+   * @returns {Promise<any[]>}  The deleted records.
+   */
+  async deleteWhere(store, { from, to, where = () => true }) {
+    return this.transaction([store], 'readwrite', async transaction => {
+      const index = transaction.objectStore(store).index('timestamp');
+      /** @type {any[]} */
+      const deleted = [];
+      await eachRecord(index.openCursor(timestampRange(from, to)), cursor => {
+        if (!where(cursor.value)) return;
+        deleted.push(cursor.value);
+        cursor.delete();
+      });
+      return deleted;
+    });
+  }
+
+  /**
+   * Delete all but the newest `keep` records.
+   *
+   * @param {HistoryStoreName} store
+   * @param {number} keep
+   * @returns {Promise<any[]>}  The deleted records.
+   */
+  async trim(store, keep) {
+    return this.transaction([store], 'readwrite', async transaction => {
+      const index = transaction.objectStore(store).index('timestamp');
+      /** @type {any[]} */
+      const deleted = [];
+      let seen = 0;
+      await eachRecord(index.openCursor(null, 'prev'), cursor => {
+        seen += 1;
+        if (seen <= keep) return;
+        deleted.push(cursor.value);
+        cursor.delete();
+      });
+      return deleted;
+    });
+  }
+
+  /** Close the connection, e.g. before the database is deleted. */
+  async close() {
+    const connection = this.connection;
+    this.connection = null;
+    if (connection) (await connection).close();
+  }
+}
+
+/** @param {IDBDatabase} db */
+function createStores(db) {
+  for (const [name, indexes] of Object.entries(STORES)) {
+    if (db.objectStoreNames.contains(name)) continue;
+    const store = db.createObjectStore(name, { keyPath: 'id' });
+    for (const [index, field] of Object.entries(indexes)) {
+      store.createIndex(index, field);
+    }
+  }
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} req
+ * @returns {Promise<T>}
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Call `visit` for each position of a cursor, advancing it after each call.
+ *
+ * @template {IDBCursor} C
+ * @param {IDBRequest<C | null>} req
+ * @param {(cursor: C) => void} visit
+ * @returns {Promise<void>}
+ */
+function eachRecord(req, visit) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      visit(cursor);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * @param {number} [from]
+ * @param {number} [to]
+ * @returns {IDBKeyRange | null}
+ */
+function timestampRange(from, to) {
+  if (from !== undefined && to !== undefined) return IDBKeyRange.bound(from, to);
+  if (from !== undefined) return IDBKeyRange.lowerBound(from);
+  if (to !== undefined) return IDBKeyRange.upperBound(to);
+  return null;
+}
@@ -19,6 +19,11 @@ export class NotificationManager {
     this.create(title, message);
   }
 
+  /** @param {string} title @param {string} message */
+  showWarning(title, message) {
+    this.create(`⚠ ${title}`, message);
+  }
+
   /** @param {string} title @param {string} message */
   create(title, message) {
     if (typeof chrome === 'undefined' || !chrome.notifications) return;
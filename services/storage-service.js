@@ -3,86 +3,668 @@
  * @description Advanced storage management with data organization and cleanup
  */
 
+import { dayKey, monthKey } from '../core/usage.js';
+import { HistoryDatabase } from './history-db.js';
+import { HISTORY_MIGRATIONS, HISTORY_SCHEMA_VERSION, migrateRecord } from '../core/migrations.js';
+import { readExport } from '../core/user-data.js';
+import { formatUserData, isExportFormat } from '../core/exporters.js';
+import { userDataToVault } from '../core/vault.js';
+import { toBase64 } from '../core/zip.js';
+import { Logger } from '../utils/logger.js';
+import {
+  SEARCH_INDEX_VERSION,
+  addDocument,
+  emptyIndex,
+  highlightSnippet,
+  removeDocuments,
+  searchIndex
+} from '../core/search-index.js';
+
+/** @typedef {import('../core/search-index.js').SearchIndex} SearchIndex */
+/** @typedef {import('../core/search-index.js').IndexedField} IndexedField */
+/** @typedef {import('./history-db.js').HistoryStoreName} HistoryStoreName */
+
+/** How much more a word in a title counts than one in the text. */
+const TITLE_WEIGHT = 3;
+
+/** @type {Record<'summary' | 'chat', HistoryStoreName>} */
+const STORE_OF = { summary: 'summaries', chat: 'conversations' };
+
+/**
+ * How a record in each searchable store is indexed.
+ * @type {Partial<Record<HistoryStoreName, (record: any) => SearchDocument>>}
+ */
+const DOCUMENT_OF = { summaries: summaryDocument, conversations: sessionDocument };
+
+/**
+ * @typedef {Object} ChatMessageRecord
+ * @property {'user' | 'assistant'} role
+ * @property {string} content
+ * @property {number} timestamp
+ * @property {string} [provider]  On answers: the provider that gave it.
+ * @property {string} [model]
+ */
+
+/**
+ * A conversation about one page.
+ * @typedef {Object} ChatSession
+ * @property {string} id
+ * @property {string} url  The page, without its fragment; see `sessionUrl()`.
+ * @property {string} title
+ * @property {string} domain
+ * @property {ChatMessageRecord[]} messages  Oldest first.
+ * @property {number} createdAt
+ * @property {number} updatedAt  Last question asked or resumed.
+ * @property {string} [provider]  Of the latest answer; kept here so it can be indexed.
+ * @property {string} schemaVersion
+ */
+
+/**
+ * @typedef {Object} ChatSessionSummary
+ * @property {string} id
+ * @property {string} url
+ * @property {string} title
+ * @property {string} domain
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {number} messageCount
+ * @property {string} preview  The session's first question, shortened.
+ */
+
+/**
+ * A saved summary or chat session as the History tab lists it.
+ * @typedef {Object} HistoryEntry
+ * @property {'summary' | 'chat'} kind
+ * @property {string} id
+ * @property {string} title
+ * @property {string} url  Empty for summaries saved before pages were recorded.
+ * @property {string} domain
+ * @property {string} provider  For a chat, the provider of its latest answer.
+ * @property {string} model
+ * @property {number} timestamp  When saved; for a chat, when last continued.
+ * @property {string} preview
+ * @property {string} [snippet]  Search results only: text around the match.
+ * @property {[number, number][]} [highlights]  Search results only: matched words in `snippet`.
+ */
+
+/**
+ * @typedef {Object} HistoryPage
+ * @property {HistoryEntry[]} entries
+ * @property {number} total  Entries matching, across all pages.
+ * @property {number} offset
+ * @property {number} limit
+ * @property {string[]} domains  Every domain in history, for the filter menu.
+ * @property {string[]} providers
+ */
+
+/**
+ * What importing did, or with a dry run would do, to one history store.
+ * @typedef {Object} ImportCounts
+ * @property {number} added  Records from the file saved.
+ * @property {number} duplicates  Records from the file skipped as already saved.
+ * @property {number} removed  Saved records a replace deletes.
+ * @property {number} trimmed  Oldest records dropped to stay within the store's quota.
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {'replace' | 'merge'} mode
+ * @property {boolean} dryRun  True when nothing was written.
+ * @property {ImportCounts} summaries
+ * @property {ImportCounts} conversations
+ * @property {ImportCounts} bookmarks
+ * @property {number} invalid  Records left out because they failed validation.
+ * @property {string[]} problems  Why, for the first few.
+ * @property {boolean} preferencesIgnored  Whether the file carried settings, which are never imported.
+ */
+
+/**
+ * @typedef {Object} BookmarkList
+ * @property {any[]} bookmarks  Newest first.
+ * @property {{ tag: string, count: number }[]} tags  Every tag on a saved
+ *   bookmark, most used first, so the filter never empties itself.
+ */
+
+/**
+ * A summary or chat as the search index sees it.
+ * @typedef {Object} SearchDocument
+ * @property {string} key  `summary:<id>` or `chat:<id>`.
+ * @property {IndexedField[]} fields
+ * @property {number} stamp  When it last changed; a different stamp means reindex.
+ * @property {string} body  The text snippets are cut from.
+ */
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {'summary' | 'chat'} [kind]
+ * @property {string} [domain]
+ * @property {string} [provider]
+ * @property {number} [from]  Earliest timestamp, inclusive.
+ * @property {number} [to]    Latest timestamp, inclusive.
+ * @property {number} [offset]
+ * @property {number} [limit]
+ */
+
 export class StorageService {
   constructor() {
+    this.logger = new Logger('StorageService');
+
     this.storageQuota = {
       summaryHistory: 1000,
       conversationHistory: 500,
+      chatSessions: 200,
       bookmarks: 2000,
       userPreferences: 1
     };
 
+    // History lives in IndexedDB; the first four keys name where earlier
+    // versions kept it, read once by migrateLegacyHistory().
     this.keys = {
       SUMMARY_HISTORY: 'genai_summary_history',
       CONVERSATION_HISTORY: 'genai_conversation_history',
+      CHAT_SESSIONS: 'genai_chat_sessions',
       BOOKMARKS: 'genai_smart_bookmarks',
-      USER_PREFERENCES: 'genai_user_preferences'
+      USER_PREFERENCES: 'genai_user_preferences',
+      USAGE_LEDGER: 'genai_usage_ledger',
+      BUDGET_WARNINGS: 'genai_budget_warnings',
+      SEARCH_INDEX: 'genai_search_index'
     };
+
+    // Turns kept per chat session; the oldest go first. The popup only sends
+    // the last few as context anyway.
+    this.maxSessionMessages = 200;
+
+    // Days of token usage kept; enough to compare a month with last year's.
+    this.usageRetentionDays = 400;
     
-    this.dataSchemaVersion = '4.0.0';
+    this.dataSchemaVersion = HISTORY_SCHEMA_VERSION;
+
+    this.history = new HistoryDatabase();
+    /** @type {Promise<HistoryDatabase> | null} */
+    this.historyReady = null;
+    // The tail of the queue editSearchIndex() runs edits in.
+    /** @type {Promise<unknown>} */
+    this.searchIndexEdits = Promise.resolve();
   }
 
   /**
-   * @param {any} summaryData
+   * The history database, once anything an earlier version left in
+   * chrome.storage.local has been moved into it.
+   *
+   * @returns {Promise<HistoryDatabase>}
    */
-  async saveSummaryHistory(summaryData) {
-    let existingData = await this.getStorageData(this.keys.SUMMARY_HISTORY, []);
-    
-    if (!Array.isArray(existingData)) {
-      existingData = [];
+  database() {
+    if (!this.historyReady) {
+      this.historyReady = this.migrateLegacyHistory().then(() => this.history);
+      // Let the next call try again rather than failing forever.
+      this.historyReady.catch(() => { this.historyReady = null; });
+    }
+    return this.historyReady;
+  }
+
+  /**
+   * Move summaries, chat sessions, bookmarks and pre-session questions out of
+   * the chrome.storage.local arrays earlier versions kept them in. Records keep
+   * their ids, so a migration interrupted before the old keys are removed
+   * simply runs again.
+   *
+   * @returns {Promise<{ summaries: number, conversations: number, bookmarks: number }>}
+   */
+  async migrateLegacyHistory() {
+    const legacyKeys = [
+      this.keys.SUMMARY_HISTORY,
+      this.keys.CHAT_SESSIONS,
+      this.keys.CONVERSATION_HISTORY,
+      this.keys.BOOKMARKS
+    ];
+    /** @type {Record<string, any>} */
+    let stored;
+    try {
+      stored = await chrome.storage.local.get(legacyKeys);
+    } catch (error) {
+      // History still works; what was left behind is moved when the worker next starts.
+      this.logger.error('Failed to read history to move to IndexedDB', error);
+      return { summaries: 0, conversations: 0, bookmarks: 0 };
+    }
+    /** @param {string} key @returns {any[]} */
+    const list = key => (Array.isArray(stored[key]) ? stored[key] : []).filter(Boolean);
+
+    /** @param {HistoryStoreName} store @param {any} record */
+    const upgrade = (store, record) => migrateRecord(record, HISTORY_MIGRATIONS[store]).record;
+
+    const summaries = list(this.keys.SUMMARY_HISTORY).map(summary => upgrade('summaries', {
+      ...summary,
+      id: summary.id ?? this.generateUniqueId(),
+      timestamp: summary.timestamp ?? 0
+    }));
+    const conversations = [
+      ...list(this.keys.CHAT_SESSIONS).map(session => upgrade('conversations', session)),
+      ...list(this.keys.CONVERSATION_HISTORY).map(row => this.legacyConversationSession(row))
+    ];
+    const bookmarks = list(this.keys.BOOKMARKS).map(bookmark => upgrade('bookmarks', {
+      ...bookmark,
+      id: bookmark.id ?? this.generateUniqueId(),
+      createdAt: bookmark.createdAt ?? 0
+    }));
+
+    const moved = { summaries: summaries.length, conversations: conversations.length, bookmarks: bookmarks.length };
+    if (!summaries.length && !conversations.length && !bookmarks.length) return moved;
+
+    await this.history.transaction(['summaries', 'conversations', 'bookmarks'], 'readwrite', transaction => {
+      summaries.forEach(summary => transaction.objectStore('summaries').put(summary));
+      conversations.forEach(session => transaction.objectStore('conversations').put(session));
+      bookmarks.forEach(bookmark => transaction.objectStore('bookmarks').put(bookmark));
+    });
+    await chrome.storage.local.remove(legacyKeys);
+
+    this.logger.info('History moved to IndexedDB', moved);
+    return moved;
+  }
+
+  /**
+   * A question and answer saved before chats were kept per page, as a
+   * one-turn session. Its page was never recorded, so its url is empty.
+   *
+   * @param {any} row  `{ id, question, answer, context, timestamp }`
+   * @returns {ChatSession}
+   */
+  legacyConversationSession(row) {
+    const timestamp = row.timestamp ?? 0;
+    const question = String(row.question ?? '');
+    return {
+      id: row.id ?? this.generateUniqueId(),
+      url: '',
+      title: question.slice(0, 80) || 'Earlier chat',
+      domain: '',
+      messages: [
+        { role: 'user', content: question, timestamp },
+        { role: 'assistant', content: String(row.answer ?? ''), timestamp, ...(row.provider && { provider: row.provider }) }
+      ],
+      ...(row.provider && { provider: row.provider }),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      schemaVersion: this.dataSchemaVersion
+    };
+  }
+
+  /**
+   * Upgrade history records an earlier version wrote at an older schema
+   * version. Run when the extension is updated; records already current are
+   * not rewritten.
+   *
+   * @returns {Promise<Record<HistoryStoreName, { migrated: number, applied: string[] }>>}
+   */
+  async migrateHistory() {
+    const db = await this.database();
+    /** @type {HistoryStoreName[]} */
+    const stores = ['summaries', 'conversations', 'bookmarks'];
+    /** @type {Record<string, { migrated: number, applied: string[] }>} */
+    const report = {};
+    for (const store of stores) {
+      /** @type {Set<string>} */
+      const applied = new Set();
+      const migrated = await db.updateEach(store, record => {
+        const result = migrateRecord(record, HISTORY_MIGRATIONS[store]);
+        result.applied.forEach(description => applied.add(description));
+        return result.applied.length ? result.record : null;
+      });
+      report[store] = { migrated, applied: [...applied] };
     }
+    return /** @type {Record<HistoryStoreName, { migrated: number, applied: string[] }>} */ (report);
+  }
 
+  /**
+   * @param {any} summaryData
+   */
+  async saveSummaryHistory(summaryData) {
+    const db = await this.database();
     const enhancedSummaryData = {
       id: this.generateUniqueId(),
+      timestamp: Date.now(),
       ...summaryData,
+      ...(typeof summaryData.url === 'string' && { domain: domainOf(summaryData.url) }),
       schemaVersion: this.dataSchemaVersion
     };
-    
-    existingData.unshift(enhancedSummaryData);
-    
+    await db.put('summaries', enhancedSummaryData);
+
     // Maintain quota
-    if (existingData.length > this.storageQuota.summaryHistory) {
-      existingData.splice(this.storageQuota.summaryHistory);
-    }
-    
-    await this.setStorageData(this.keys.SUMMARY_HISTORY, existingData);
+    const evicted = await db.count('summaries') > this.storageQuota.summaryHistory
+      ? await db.trim('summaries', this.storageQuota.summaryHistory)
+      : [];
+
+    await this.updateSearchIndex(
+      [summaryDocument(enhancedSummaryData)],
+      evicted.map(summary => documentKey('summary', summary.id))
+    );
     return enhancedSummaryData.id;
   }
 
   /**
-   * @param {any} conversationData
+   * One page of saved summaries and chat sessions, newest first, narrowed by
+   * the History tab's filters. Each store is walked newest first by cursor
+   * and only as far as the page reaches; the two are then merged.
+   * `domains` and `providers` span every entry, not just the matching ones,
+   * so the filter menus never empty themselves.
+   *
+   * @param {HistoryQuery} [query]
+   * @returns {Promise<HistoryPage>}
    */
-  async updateConversationHistory(conversationData) {
-    const storageKey = 'genai_conversation_history';
-    const existingData = await this.getStorageData(storageKey, []);
-    
-    const enhancedConversationData = {
-      id: this.generateUniqueId(),
-      ...conversationData,
-      schemaVersion: this.dataSchemaVersion
+  async queryHistory({ kind, domain, provider, from, to, offset = 0, limit = 20 } = {}) {
+    const db = await this.database();
+    /** @type {HistoryStoreName[]} */
+    const stores = kind ? [STORE_OF[kind]] : ['summaries', 'conversations'];
+    /** @param {any} record */
+    const where = record =>
+      (!domain || record.domain === domain) && (!provider || record.provider === provider);
+
+    // The page's entries are among the first offset + limit of each store.
+    const pages = await Promise.all(stores.map(store => db.page(store, { from, to, where, limit: offset + limit })));
+    const entries = pages
+      .flatMap((page, index) => page.records.map(stores[index] === 'summaries' ? summaryEntry : sessionEntry))
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return {
+      entries: entries.slice(offset, offset + limit),
+      total: pages.reduce((sum, page) => sum + page.total, 0),
+      offset,
+      limit,
+      domains: distinct([
+        ...await db.distinct('summaries', 'domain'),
+        ...await db.distinct('conversations', 'domain')
+      ].map(String)),
+      providers: distinct([
+        ...await db.distinct('summaries', 'provider'),
+        ...await db.distinct('conversations', 'provider')
+      ].map(String))
     };
-    
-    existingData.unshift(enhancedConversationData);
-    
-    // Maintain quota
-    if (existingData.length > this.storageQuota.conversationHistory) {
-      existingData.splice(this.storageQuota.conversationHistory);
+  }
+
+  /**
+   * Full-text search over saved summaries and chats, best match first, under
+   * the same filters and paging as `queryHistory()`. Each entry on the page
+   * carries a snippet of its text around the match and where the matched
+   * words fall in it.
+   *
+   * @param {HistoryQuery & { query?: string }} [search]
+   * @returns {Promise<HistoryPage>}
+   */
+  async searchHistory({ query = '', ...filters } = {}) {
+    const db = await this.database();
+    const summaries = await db.getAll('summaries');
+    const sessions = await db.getAll('conversations');
+    const index = await this.syncSearchIndex();
+
+    /** @type {Map<string, { entry: HistoryEntry, body: string }>} */
+    const records = new Map([
+      ...summaries.map(summary => /** @type {const} */ ([
+        documentKey('summary', summary.id),
+        { entry: summaryEntry(summary), body: String(summary.summary || '') }
+      ])),
+      ...sessions.map((/** @type {ChatSession} */ session) => /** @type {const} */ ([
+        documentKey('chat', session.id),
+        { entry: sessionEntry(session), body: sessionDocument(session).body }
+      ]))
+    ]);
+
+    const hits = new Map(searchIndex(index, query).map(hit => [hit.key, hit]));
+    /** @type {HistoryEntry[]} */
+    const ranked = [];
+    for (const key of hits.keys()) {
+      const record = records.get(key);
+      if (record) ranked.push(record.entry);
     }
-    
-    await this.setStorageData(storageKey, existingData);
-    return enhancedConversationData.id;
+
+    const page = pageOf([...records.values()].map(record => record.entry), ranked, filters);
+    return {
+      ...page,
+      entries: page.entries.map(entry => {
+        const key = documentKey(entry.kind, entry.id);
+        return {
+          ...entry,
+          ...highlightSnippet(records.get(key)?.body || '', hits.get(key)?.terms || [])
+        };
+      })
+    };
+  }
+
+  /**
+   * Bring the search index in line with stored history: index what is new or
+   * changed since it was last indexed and drop what is gone. Only the
+   * difference is reindexed, and nothing is written when there is none. An
+   * index from an older version is rebuilt from scratch.
+   *
+   * History is read in the edit queue, so a record saved while this waits
+   * is not taken for one that was deleted.
+   *
+   * @returns {Promise<SearchIndex>}
+   */
+  async syncSearchIndex() {
+    const db = await this.database();
+    return this.editSearchIndex(async index => {
+      const documents = [
+        ...(await db.getAll('summaries')).map(summaryDocument),
+        ...(await db.getAll('conversations')).map(sessionDocument)
+      ];
+      const current = new Set(documents.map(document => document.key));
+      const stale = Object.keys(index.docs).filter(key => !current.has(key));
+      const changed = documents.filter(document => index.docs[document.key]?.stamp !== document.stamp);
+
+      if (!stale.length && !changed.length) return false;
+      removeDocuments(index, stale);
+      changed.forEach(document => addDocument(index, document.key, document.fields, document.stamp));
+      return true;
+    });
+  }
+
+  /**
+   * Read the search index, change it and write it back, one edit at a time.
+   * It is a single chrome.storage.local value, so two saves that each read
+   * it before the other wrote would otherwise lose one's entries.
+   *
+   * @param {(index: SearchIndex) => boolean | Promise<boolean>} edit  Changes
+   *   the index in place; resolves false when there was nothing to change.
+   * @returns {Promise<SearchIndex>}
+   */
+  editSearchIndex(edit) {
+    const edited = this.searchIndexEdits.then(async () => {
+      const index = await this.getSearchIndex();
+      if (await edit(index)) await this.setStorageData(this.keys.SEARCH_INDEX, index);
+      return index;
+    });
+    // A failed edit must not hold up the ones queued behind it.
+    this.searchIndexEdits = edited.catch(() => {});
+    return edited;
+  }
+
+  /** @returns {Promise<SearchIndex>} */
+  async getSearchIndex() {
+    const index = await this.getStorageData(this.keys.SEARCH_INDEX, null);
+    return index?.version === SEARCH_INDEX_VERSION ? index : emptyIndex();
+  }
+
+  /**
+   * Index documents as they are saved, and drop ones that were removed.
+   * Failing to is not fatal: the next search reindexes whatever is missing.
+   *
+   * @param {SearchDocument[]} documents
+   * @param {string[]} [removedKeys]
+   */
+  async updateSearchIndex(documents, removedKeys = []) {
+    try {
+      await this.editSearchIndex(index => {
+        removeDocuments(index, removedKeys);
+        documents.forEach(document => addDocument(index, document.key, document.fields, document.stamp));
+        return true;
+      });
+    } catch {
+      // setStorageData has logged it.
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<any | null>}
+   */
+  async getSummary(id) {
+    const db = await this.database();
+    return db.get('summaries', id);
+  }
+
+  /**
+   * Summaries that have never been tagged. An empty list is a tagging that
+   * found no topics, not a missing one.
+   *
+   * @returns {Promise<any[]>}
+   */
+  async listUntaggedSummaries() {
+    const db = await this.database();
+    const summaries = await db.getAll('summaries');
+    return summaries.filter(summary => summary.tags === undefined);
+  }
+
+  /**
+   * @param {string} id
+   * @param {string[]} tags
+   * @returns {Promise<any | null>}  The summary, or null when there is none.
+   */
+  async setSummaryTags(id, tags) {
+    const db = await this.database();
+    return db.update('summaries', id, summary => summary && { ...summary, tags });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}  Whether a summary was deleted.
+   */
+  async deleteSummary(id) {
+    const db = await this.database();
+    if (!(await db.delete('summaries', id))) return false;
+    await this.updateSearchIndex([], [documentKey('summary', id)]);
+    return true;
+  }
+
+  /**
+   * Add one question and its answer to a chat session. Continues `sessionId`
+   * when it names a session for the same page, and otherwise starts a new
+   * one, so a stale id from another tab can never splice two pages' chats.
+   * The session is read and written in one transaction, so two answers
+   * arriving together both land.
+   *
+   * @param {{ sessionId?: string | null, url: string, title?: string, question: string, answer: string,
+   *   provider?: string, model?: string, timestamp?: number }} turn
+   * @returns {Promise<ChatSession>}
+   */
+  async appendChatTurn({ sessionId, url, title, question, answer, provider, model, timestamp = Date.now() }) {
+    const db = await this.database();
+    const key = sessionUrl(url);
+
+    const session = await db.update('conversations', sessionId || '', (/** @type {ChatSession | null} */ existing) => {
+      /** @type {ChatSession} */
+      const session = existing && existing.url === key
+        ? existing
+        : {
+          id: this.generateUniqueId(),
+          url: key,
+          title: title || key,
+          domain: domainOf(key),
+          messages: [],
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          schemaVersion: this.dataSchemaVersion
+        };
+
+      session.messages.push(
+        { role: 'user', content: question, timestamp },
+        { role: 'assistant', content: answer, timestamp, ...(provider ? { provider } : {}), ...(model ? { model } : {}) }
+      );
+      if (session.messages.length > this.maxSessionMessages) {
+        session.messages.splice(0, session.messages.length - this.maxSessionMessages);
+      }
+      if (title) session.title = title;
+      if (provider) session.provider = provider;
+      session.updatedAt = timestamp;
+      return session;
+    });
+
+    // The quota trims the least recently active first.
+    const evicted = await db.count('conversations') > this.storageQuota.chatSessions
+      ? await db.trim('conversations', this.storageQuota.chatSessions)
+      : [];
+
+    await this.updateSearchIndex(
+      [sessionDocument(session)],
+      evicted.map((/** @type {ChatSession} */ stale) => documentKey('chat', stale.id))
+    );
+    return session;
+  }
+
+  /**
+   * The most recently active session for a page, for the popup to restore.
+   *
+   * @param {string} url
+   * @returns {Promise<ChatSession | null>}
+   */
+  async findChatSession(url) {
+    const db = await this.database();
+    const [session] = await db.getAllBy('conversations', 'url', sessionUrl(url));
+    return session || null;
+  }
+
+  /**
+   * Every session, most recently active first, without their messages.
+   *
+   * @returns {Promise<ChatSessionSummary[]>}
+   */
+  async listChatSessions() {
+    const db = await this.database();
+    const sessions = await db.getAll('conversations');
+    return sessions.map((/** @type {ChatSession} */ session) => ({
+      id: session.id,
+      url: session.url,
+      title: session.title,
+      domain: session.domain,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messageCount: session.messages.length,
+      preview: session.messages.find(message => message.role === 'user')?.content.slice(0, 120) || ''
+    }));
+  }
+
+  /**
+   * Mark a session as the most recently active, so it is the one restored the
+   * next time the popup opens on its page.
+   *
+   * @param {string} id
+   * @returns {Promise<ChatSession | null>}
+   */
+  async resumeChatSession(id) {
+    const db = await this.database();
+    return db.update('conversations', id, (/** @type {ChatSession | null} */ session) =>
+      session && { ...session, updatedAt: Date.now() }
+    );
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}  Whether a session was deleted.
+   */
+  async deleteChatSession(id) {
+    const db = await this.database();
+    if (!(await db.delete('conversations', id))) return false;
+    await this.updateSearchIndex([], [documentKey('chat', id)]);
+    return true;
   }
 
   /**
    * @param {any} bookmarkData
    */
   async saveIntelligentBookmark(bookmarkData) {
-    const storageKey = 'genai_smart_bookmarks';
-    const existingBookmarks = await this.getStorageData(storageKey, []);
+    const db = await this.database();
     
     const enhancedBookmark = {
       id: this.generateUniqueId(),
       ...bookmarkData,
+      ...(typeof bookmarkData.url === 'string' && { domain: domainOf(bookmarkData.url) }),
       createdAt: Date.now(),
       lastAccessed: Date.now(),
       accessCount: 0,
@@ -90,29 +672,27 @@ export class StorageService {
     };
     
     // Check for duplicates
-    const existingIndex = existingBookmarks.findIndex(
-      (/** @type {any} */ bookmark) => bookmark.url === bookmarkData.url
-    );
+    const [existing] = typeof bookmarkData.url === 'string'
+      ? await db.getAllBy('bookmarks', 'url', bookmarkData.url)
+      : [];
     
-    if (existingIndex >= 0) {
-      existingBookmarks[existingIndex] = {
-        ...existingBookmarks[existingIndex],
+    const saved = existing
+      ? {
+        ...existing,
         ...enhancedBookmark,
-        id: existingBookmarks[existingIndex].id,
-        createdAt: existingBookmarks[existingIndex].createdAt,
-        accessCount: existingBookmarks[existingIndex].accessCount + 1
-      };
-    } else {
-      existingBookmarks.unshift(enhancedBookmark);
-    }
+        id: existing.id,
+        createdAt: existing.createdAt,
+        accessCount: existing.accessCount + 1
+      }
+      : enhancedBookmark;
+    await db.put('bookmarks', saved);
     
     // Maintain quota
-    if (existingBookmarks.length > this.storageQuota.bookmarks) {
-      existingBookmarks.splice(this.storageQuota.bookmarks);
+    if (await db.count('bookmarks') > this.storageQuota.bookmarks) {
+      await db.trim('bookmarks', this.storageQuota.bookmarks);
     }
     
-    await this.setStorageData(storageKey, existingBookmarks);
-    return enhancedBookmark.id;
+    return saved.id;
   }
 
   async getUserPreferences() {
@@ -153,59 +733,205 @@ export class StorageService {
   }
 
   async getAllBookmarks() {
-    return await this.getStorageData('genai_smart_bookmarks', []);
+    const db = await this.database();
+    return db.getAll('bookmarks');
+  }
+
+  /**
+   * Saved bookmarks, narrowed to those with a tag containing `tag`.
+   *
+   * @param {{ tag?: string }} [query]
+   * @returns {Promise<BookmarkList>}
+   */
+  async listBookmarks({ tag = '' } = {}) {
+    const bookmarks = await this.getAllBookmarks();
+    const wanted = tag.trim().toLowerCase();
+
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    bookmarks.flatMap(bookmark => bookmark.tags || [])
+      .forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+
+    return {
+      bookmarks: wanted
+        ? bookmarks.filter(bookmark => (bookmark.tags || []).some((/** @type {string} */ name) => name.includes(wanted)))
+        : bookmarks,
+      tags: [...counts]
+        .map(([name, count]) => ({ tag: name, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    };
+  }
+
+  /**
+   * Record that a bookmark was opened. Cleanup keeps bookmarks opened
+   * recently or often, so this is what saves a useful one from expiring.
+   *
+   * @param {string} id
+   * @returns {Promise<any | null>}  The bookmark, or null when there is none.
+   */
+  async openBookmark(id) {
+    const db = await this.database();
+    return db.update('bookmarks', id, bookmark => bookmark && {
+      ...bookmark,
+      lastAccessed: Date.now(),
+      accessCount: (bookmark.accessCount || 0) + 1
+    });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}  Whether a bookmark was deleted.
+   */
+  async deleteBookmark(id) {
+    const db = await this.database();
+    return db.delete('bookmarks', id);
   }
 
   async getAnalysisHistory() {
-    const summaryHistory = await this.getStorageData('genai_summary_history', []);
-    const conversationHistory = await this.getStorageData('genai_conversation_history', []);
+    const db = await this.database();
+    const summaryHistory = await db.getAll('summaries');
+    const chatSessions = await this.listChatSessions();
     
     return {
       summaries: summaryHistory,
-      conversations: conversationHistory,
-      totalItems: summaryHistory.length + conversationHistory.length
+      conversations: chatSessions,
+      totalItems: summaryHistory.length + chatSessions.length
     };
   }
 
+  /**
+   * Add one request's tokens to the ledger. The ledger is keyed
+   * day -> provider -> model, so a month's spend is a sum over its days and old
+   * days can be dropped whole.
+   *
+   * @param {{ provider: string, model: string, inputTokens: number, outputTokens: number, timestamp?: number }} entry
+   */
+  async recordUsage({ provider, model, inputTokens, outputTokens, timestamp = Date.now() }) {
+    const ledger = await this.getStorageData(this.keys.USAGE_LEDGER, {});
+    const day = (ledger[dayKey(timestamp)] ??= {});
+    const models = (day[provider] ??= {});
+    const totals = (models[model] ??= { requests: 0, inputTokens: 0, outputTokens: 0 });
+
+    totals.requests += 1;
+    totals.inputTokens += inputTokens;
+    totals.outputTokens += outputTokens;
+
+    await this.setStorageData(this.keys.USAGE_LEDGER, ledger);
+  }
+
+  /**
+   * Totals per provider and model over one calendar month.
+   *
+   * @param {string} [month]  "YYYY-MM"; defaults to the current month.
+   * @returns {Promise<import('../core/usage.js').UsageRow[]>}
+   */
+  async getMonthlyUsage(month = monthKey(Date.now())) {
+    const ledger = await this.getStorageData(this.keys.USAGE_LEDGER, {});
+    /** @type {Map<string, import('../core/usage.js').UsageRow>} */
+    const rows = new Map();
+
+    for (const [day, providers] of Object.entries(ledger)) {
+      if (!day.startsWith(`${month}-`)) continue;
+      for (const [provider, models] of Object.entries(/** @type {Record<string, any>} */ (providers))) {
+        for (const [model, totals] of Object.entries(/** @type {Record<string, any>} */ (models))) {
+          const key = `${provider}/${model}`;
+          const row = rows.get(key) || { provider, model, requests: 0, inputTokens: 0, outputTokens: 0 };
+          row.requests += totals.requests;
+          row.inputTokens += totals.inputTokens;
+          row.outputTokens += totals.outputTokens;
+          rows.set(key, row);
+        }
+      }
+    }
+
+    return [...rows.values()].sort((a, b) =>
+      a.provider.localeCompare(b.provider) || a.model.localeCompare(b.model)
+    );
+  }
+
+  /**
+   * Providers already warned about nearing their budget this month. Stamped
+   * with the month so a missed reset alarm can never carry them over.
+   *
+   * @param {string} month  "YYYY-MM".
+   * @returns {Promise<string[]>}
+   */
+  async getBudgetWarnings(month) {
+    const warnings = await this.getStorageData(this.keys.BUDGET_WARNINGS, null);
+    return warnings?.month === month ? warnings.providers : [];
+  }
+
+  /**
+   * @param {string} provider
+   * @param {string} month  "YYYY-MM".
+   */
+  async markBudgetWarned(provider, month) {
+    const providers = await this.getBudgetWarnings(month);
+    await this.setStorageData(this.keys.BUDGET_WARNINGS, {
+      month,
+      providers: [...new Set([...providers, provider])]
+    });
+  }
+
+  async clearBudgetWarnings() {
+    await chrome.storage.local.remove(this.keys.BUDGET_WARNINGS);
+  }
+
   async cleanupOldData() {
     const cutoffDate = Date.now() - (90 * 24 * 60 * 60 * 1000); // 90 days ago
+    const db = await this.database();
     
     // Cleanup old summaries
-    const summaryHistory = await this.getStorageData('genai_summary_history', []);
-    const filteredSummaries = summaryHistory.filter((/** @type {any} */ item) => item.timestamp > cutoffDate);
-    await this.setStorageData('genai_summary_history', filteredSummaries);
-    
-    // Cleanup old conversations
-    const conversationHistory = await this.getStorageData('genai_conversation_history', []);
-    const filteredConversations = conversationHistory.filter((/** @type {any} */ item) => item.timestamp > cutoffDate);
-    await this.setStorageData('genai_conversation_history', filteredConversations);
+    const removedSummaries = await db.deleteWhere('summaries', { to: cutoffDate });
+
+    // Cleanup chat sessions nobody has continued
+    const removedSessions = await db.deleteWhere('conversations', { to: cutoffDate });
     
     // Cleanup unused bookmarks (not accessed in 180 days)
     const longCutoffDate = Date.now() - (180 * 24 * 60 * 60 * 1000);
-    const bookmarks = await this.getStorageData('genai_smart_bookmarks', []);
-    const activeBookmarks = bookmarks.filter((/** @type {any} */ bookmark) => 
-      bookmark.lastAccessed > longCutoffDate || bookmark.accessCount > 5
-    );
-    await this.setStorageData('genai_smart_bookmarks', activeBookmarks);
+    const removedBookmarks = await db.deleteWhere('bookmarks', {
+      where: bookmark => !(bookmark.lastAccessed > longCutoffDate || bookmark.accessCount > 5)
+    });
+
+    // Drop usage days past retention
+    const usageCutoff = dayKey(Date.now() - (this.usageRetentionDays * 24 * 60 * 60 * 1000));
+    const ledger = await this.getStorageData(this.keys.USAGE_LEDGER, {});
+    const expiredDays = Object.keys(ledger).filter(day => day < usageCutoff);
+    expiredDays.forEach(day => delete ledger[day]);
+    if (expiredDays.length) {
+      await this.setStorageData(this.keys.USAGE_LEDGER, ledger);
+    }
+
+    // Unindex what was removed above
+    await this.updateSearchIndex([], [
+      ...removedSummaries.map(summary => documentKey('summary', summary.id)),
+      ...removedSessions.map(session => documentKey('chat', session.id))
+    ]);
     
     // eslint-disable-next-line no-console
     console.log('Data cleanup completed', {
-      summariesRemoved: summaryHistory.length - filteredSummaries.length,
-      conversationsRemoved: conversationHistory.length - filteredConversations.length,
-      bookmarksRemoved: bookmarks.length - activeBookmarks.length
+      summariesRemoved: removedSummaries.length,
+      chatSessionsRemoved: removedSessions.length,
+      bookmarksRemoved: removedBookmarks.length,
+      usageDaysRemoved: expiredDays.length
     });
   }
 
   /**
-   * @param {{includeApiKeys?: boolean, format?: string}} options
+   * Everything saved, as a JSON, Markdown, HTML or CSV document, or as a
+   * base64 zip of notes named by `filenameTemplate` for `vault` — or, for
+   * any other `format`, the object itself.
+   *
+   * @param {{includeApiKeys?: boolean, format?: string, filenameTemplate?: string}} options
    */
   async exportUserData(options = {}) {
-    const { includeApiKeys = false, format = 'json' } = options;
+    const { includeApiKeys = false, format = 'json', filenameTemplate } = options;
+    const db = await this.database();
     
     const userData = {
-      summaryHistory: await this.getStorageData('genai_summary_history', []),
-      conversationHistory: await this.getStorageData('genai_conversation_history', []),
-      bookmarks: await this.getStorageData('genai_smart_bookmarks', []),
+      summaryHistory: await db.getAll('summaries'),
+      chatSessions: await db.getAll('conversations'),
+      bookmarks: await db.getAll('bookmarks'),
       preferences: await this.getUserPreferences(),
       exportedAt: Date.now(),
       version: this.dataSchemaVersion
@@ -217,57 +943,138 @@ export class StorageService {
       delete userData.preferences.apiKeys;
     }
     
-    return format === 'json' ? JSON.stringify(userData, null, 2) : userData;
+    if (!isExportFormat(format)) return userData;
+    return format === 'vault'
+      ? toBase64(userDataToVault(userData, filenameTemplate))
+      : formatUserData(userData, format);
   }
 
   /**
-   * @param {any} importData
+   * Import an export, or with `dryRun` only count what importing it would do.
+   *
+   * `replace` empties each store the file has a section for and fills it from
+   * the file. `merge` adds the file's records to what is saved, skipping any
+   * already there: the same id, or the same page — a bookmark's URL, or a
+   * summary's or chat's URL and time, which is how a record migrated with a
+   * fresh id is still recognised. Records repeated within the file are
+   * skipped the same way. Settings in the file are never imported; API keys
+   * and providers are set on the options page, not carried between browsers.
+   *
+   * @param {any} importData  An export, as its JSON text or parsed.
+   * @param {{ mode?: 'replace' | 'merge', dryRun?: boolean }} [options]
+   * @returns {Promise<ImportReport>}
    */
-  async importUserData(importData) {
+  async importUserData(importData, { mode = 'replace', dryRun = false } = {}) {
+    let contents;
     try {
-      const data = typeof importData === 'string' ? JSON.parse(importData) : importData;
-      
-      // Validate data structure
-      if (!data.version || !data.exportedAt) {
-        throw new Error('Invalid import data format');
-      }
-      
-      // Import with user confirmation for each data type
-      const importResults = {
-        summaries: 0,
-        conversations: 0,
-        bookmarks: 0,
-        preferences: false
-      };
-      
-      if (data.summaryHistory) {
-        await this.setStorageData('genai_summary_history', data.summaryHistory);
-        importResults.summaries = data.summaryHistory.length;
-      }
-      
-      if (data.conversationHistory) {
-        await this.setStorageData('genai_conversation_history', data.conversationHistory);
-        importResults.conversations = data.conversationHistory.length;
-      }
-      
-      if (data.bookmarks) {
-        await this.setStorageData('genai_smart_bookmarks', data.bookmarks);
-        importResults.bookmarks = data.bookmarks.length;
-      }
-      
-      if (data.preferences) {
-        await this.setStorageData('genai_user_preferences', {
-          ...data.preferences,
-          schemaVersion: this.dataSchemaVersion,
-          importedAt: Date.now()
-        });
-        importResults.preferences = true;
-      }
-      
-      return importResults;
+      contents = readExport(importData);
     } catch (/** @type {any} */ error) {
       throw new Error(`Import failed: ${error.message}`);
     }
+    const { sections } = contents;
+
+    // Exports from before chat sessions carry flat question/answer rows.
+    /** @type {Partial<Record<HistoryStoreName, any[]>>} */
+    const incoming = {};
+    if (sections.summaryHistory) incoming.summaries = sections.summaryHistory;
+    if (sections.chatSessions || sections.conversationHistory) {
+      incoming.conversations = [
+        ...(sections.chatSessions || []),
+        ...(sections.conversationHistory || []).map(row => this.legacyConversationSession(row))
+      ];
+    }
+    if (sections.bookmarks) incoming.bookmarks = sections.bookmarks;
+
+    const db = await this.database();
+    /** @type {ImportReport} */
+    const report = {
+      mode,
+      dryRun,
+      summaries: emptyImportCounts(),
+      conversations: emptyImportCounts(),
+      bookmarks: emptyImportCounts(),
+      invalid: contents.invalid,
+      problems: contents.problems.slice(0, 20),
+      preferencesIgnored: contents.hasPreferences
+    };
+    /** @type {Partial<Record<HistoryStoreName, any[]>>} */
+    const additions = {};
+    /** @type {Partial<Record<HistoryStoreName, any[]>>} */
+    const replaced = {};
+
+    for (const [name, records] of Object.entries(incoming)) {
+      const store = /** @type {HistoryStoreName} */ (name);
+      const counts = report[store];
+      const saved = await db.getAll(store);
+      /** @type {Set<string>} */
+      const seen = new Set(mode === 'merge' ? saved.flatMap(record => identities(store, record)) : []);
+
+      const added = [];
+      for (const record of records) {
+        const keys = identities(store, record);
+        if (keys.some(key => seen.has(key))) {
+          counts.duplicates += 1;
+          continue;
+        }
+        keys.forEach(key => seen.add(key));
+        added.push(migrateRecord(record, HISTORY_MIGRATIONS[store]).record);
+      }
+
+      const kept = mode === 'merge' ? saved.length : 0;
+      counts.added = added.length;
+      counts.removed = saved.length - kept;
+      counts.trimmed = Math.max(0, kept + added.length - this.quotaOf(store));
+      additions[store] = added;
+      if (mode === 'replace') replaced[store] = saved;
+    }
+
+    if (dryRun) return report;
+
+    /** @type {HistoryStoreName[]} */
+    const stores = ['summaries', 'conversations', 'bookmarks'];
+    await db.transaction(stores, 'readwrite', transaction => {
+      for (const store of stores) {
+        const records = additions[store];
+        if (!records) continue;
+        const objectStore = transaction.objectStore(store);
+        if (mode === 'replace') objectStore.clear();
+        records.forEach(record => objectStore.put(record));
+      }
+    });
+
+    // Index what came in; unindex what it replaced or the quota pushed out.
+    /** @type {SearchDocument[]} */
+    const documents = [];
+    /** @type {string[]} */
+    const removedKeys = [];
+    for (const store of stores) {
+      const added = additions[store];
+      if (!added) continue;
+      const trimmed = await db.trim(store, this.quotaOf(store));
+      const toDocument = DOCUMENT_OF[store];
+      if (!toDocument) continue;
+      const trimmedKeys = new Set(trimmed.map(record => toDocument(record).key));
+      removedKeys.push(...(replaced[store] || []).map(record => toDocument(record).key), ...trimmedKeys);
+      documents.push(...added.map(toDocument).filter(document => !trimmedKeys.has(document.key)));
+    }
+    if (documents.length || removedKeys.length) await this.updateSearchIndex(documents, removedKeys);
+
+    this.logger.info('Data imported', report);
+    return report;
+  }
+
+  /**
+   * Most records a history store keeps; the oldest beyond it are dropped.
+   *
+   * @param {HistoryStoreName} store
+   * @returns {number}
+   */
+  quotaOf(store) {
+    return {
+      summaries: this.storageQuota.summaryHistory,
+      conversations: this.storageQuota.chatSessions,
+      bookmarks: this.storageQuota.bookmarks
+    }[store];
   }
 
   /**
@@ -313,3 +1120,161 @@ export class StorageService {
     };
   }
 }
+
+/**
+ * The key a page's chat sessions are filed under: its URL without the
+ * fragment, so jumping between a page's sections keeps one conversation.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export function sessionUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function domainOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/** @returns {ImportCounts} */
+function emptyImportCounts() {
+  return { added: 0, duplicates: 0, removed: 0, trimmed: 0 };
+}
+
+/**
+ * Keys under which a record counts as already saved when an import is
+ * merged: its id, and its page — with the time for summaries and chats, of
+ * which a page can have many.
+ *
+ * @param {HistoryStoreName} store
+ * @param {any} record
+ * @returns {string[]}
+ */
+function identities(store, record) {
+  const when = { summaries: record.timestamp, conversations: record.createdAt, bookmarks: '' }[store];
+  return [`id:${record.id}`, `page:${record.url ?? ''}@${when ?? ''}`];
+}
+
+/**
+ * @param {any} summary
+ * @returns {HistoryEntry}
+ */
+function summaryEntry(summary) {
+  return {
+    kind: 'summary',
+    id: summary.id,
+    title: summary.title || 'Untitled page',
+    url: summary.url || '',
+    domain: summary.domain || '',
+    provider: summary.provider || '',
+    model: summary.model || '',
+    timestamp: summary.timestamp,
+    preview: String(summary.summary || '').slice(0, 160)
+  };
+}
+
+/**
+ * @param {ChatSession} session
+ * @returns {HistoryEntry}
+ */
+function sessionEntry(session) {
+  const answer = [...session.messages].reverse().find(message => message.role === 'assistant');
+  return {
+    kind: 'chat',
+    id: session.id,
+    title: session.title,
+    url: session.url,
+    domain: session.domain,
+    provider: session.provider || answer?.provider || '',
+    model: answer?.model || '',
+    timestamp: session.updatedAt,
+    preview: session.messages.find(message => message.role === 'user')?.content.slice(0, 160) || ''
+  };
+}
+
+/**
+ * Filter `candidates` and cut one page from them. The filter menus are drawn
+ * from `all`.
+ *
+ * @param {HistoryEntry[]} all
+ * @param {HistoryEntry[]} candidates  In the order to page them.
+ * @param {HistoryQuery} query
+ * @returns {HistoryPage}
+ */
+function pageOf(all, candidates, { kind, domain, provider, from, to, offset = 0, limit = 20 }) {
+  const matching = candidates.filter(entry =>
+    (!kind || entry.kind === kind) &&
+    (!domain || entry.domain === domain) &&
+    (!provider || entry.provider === provider) &&
+    (from === undefined || entry.timestamp >= from) &&
+    (to === undefined || entry.timestamp <= to)
+  );
+
+  return {
+    entries: matching.slice(offset, offset + limit),
+    total: matching.length,
+    offset,
+    limit,
+    domains: distinct(all.map(entry => entry.domain)),
+    providers: distinct(all.map(entry => entry.provider))
+  };
+}
+
+/**
+ * @param {'summary' | 'chat'} kind
+ * @param {string} id
+ * @returns {string}
+ */
+function documentKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+/**
+ * @param {any} summary
+ * @returns {SearchDocument}
+ */
+function summaryDocument(summary) {
+  const body = String(summary.summary || '');
+  return {
+    key: documentKey('summary', summary.id),
+    fields: [{ text: summary.title || '', weight: TITLE_WEIGHT }, { text: body }],
+    stamp: summary.timestamp,
+    body
+  };
+}
+
+/**
+ * @param {ChatSession} session
+ * @returns {SearchDocument}
+ */
+function sessionDocument(session) {
+  const body = session.messages.map(message => message.content).join('\n');
+  return {
+    key: documentKey('chat', session.id),
+    fields: [{ text: session.title, weight: TITLE_WEIGHT }, { text: body }],
+    stamp: session.updatedAt,
+    body
+  };
+}
+
+/**
+ * @param {string[]} values
+ * @returns {string[]}  The non-empty values, once each, sorted.
+ */
+function distinct(values) {
+  return [...new Set(values.filter(Boolean))].sort();
+}
@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+/** @type {(request: any, sender: any, sendResponse: (response: any) => void) => boolean} */
+let listener;
+
+/**
+ * Load a saved page into the document and ask the content script for it, the
+ * way the background does.
+ *
+ * @param {string | null} page  File name under fixtures/, or null to keep the current document.
+ * @param {any} [request]
+ * @returns {Promise<any>}
+ */
+async function extract(page, request = { action: 'extractContent' }) {
+  if (page) {
+    const html = readFileSync(resolve('tests/content/fixtures', page), 'utf8');
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    document.replaceChild(document.importNode(parsed.documentElement, true), document.documentElement);
+  }
+
+  const sendResponse = vi.fn();
+  listener(request, {}, sendResponse);
+  const response = await vi.waitFor(() => {
+    expect(sendResponse).toHaveBeenCalled();
+    return sendResponse.mock.calls[0][0];
+  });
+  expect(response.success).toBe(true);
+  return response.data;
+}
+
+describe('content extraction', () => {
+  beforeAll(async () => {
+    await import('../../content.js');
+    listener = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+  });
+
+  it('takes the story from a news page, not the promo article before it', async () => {
+    const { mainText } = await extract('news.html');
+
+    expect(mainText).toMatch(/^City council approves riverside flood barrier\n\nThe city council voted/);
+    expect(mainText).toContain('the riverside footpath would stay open');
+    expect(mainText).not.toContain('election night');
+    expect(mainText).not.toContain('cookies');
+    expect(mainText).not.toContain('Share on');
+    expect(mainText).not.toContain('Insurers warn');
+    expect(mainText).not.toContain('214 comments');
+    expect(mainText).not.toContain('Ten walks');
+    expect(mainText).not.toContain('All rights reserved');
+  });
+
+  it('keeps code, headings and lists on a docs page and drops its navigation', async () => {
+    const { mainText } = await extract('docs.html');
+
+    expect(mainText).toContain('Sizing the cache\n\nPass a maximum entry count');
+    expect(mainText).toContain('  cache: {\n    maxEntries: 500,');
+    expect(mainText).toContain(
+      'ttl sets how long an entry stays fresh after it is written\nstaleWhileRevalidate serves'
+    );
+    expect(mainText).toContain('reach a mock server. The testing guide');
+    expect(mainText).not.toContain('Getting started');
+    expect(mainText).not.toContain('Expiry\n\nDisabling');
+    expect(mainText).not.toContain('Edit this page');
+  });
+
+  it('keeps the structure of a docs page as Markdown when asked', async () => {
+    const { mainText, markdown } = await extract('docs.html', { action: 'extractContent', format: 'markdown' });
+
+    expect(mainText).toContain('Sizing the cache');
+    expect(markdown).toMatch(/^# Configuring the cache\n\nThe cache keeps recent responses/);
+    expect(markdown).toContain('## Sizing the cache\n\nPass a maximum entry count');
+    expect(markdown).toContain('```js\nconst client = createClient({\n  cache: {\n    maxEntries: 500,');
+    expect(markdown).toContain('});\n```\n\n## Expiry');
+    expect(markdown).toContain(
+      '- ttl sets how long an entry stays fresh after it is written\n- staleWhileRevalidate serves'
+    );
+    expect(markdown).toContain(
+      '| Option | Default |\n| --- | --- |\n| `ttl` | 60 seconds |\n| `staleWhileRevalidate` | off |'
+    );
+    expect(markdown).toContain(
+      'Set cache to `false` to turn caching off entirely' +
+      ', for example in tests where every request must reach a mock server.' +
+      ' The [testing guide](http://localhost:3000/guides/testing) shows how'
+    );
+    expect(markdown).not.toContain('Getting started');
+    expect(markdown).not.toContain('[Expiry]');
+  });
+
+  it('escapes parentheses in link targets so an unbalanced one cannot end the link', async () => {
+    document.body.innerHTML = '<main><p>See <a href="https://en.example.org/wiki/Mercury_(planet">the planet</a>' +
+      ' and <a href="https://example.org/a b)">this</a>.</p></main>';
+
+    const { markdown } = await extract(null, { action: 'extractContent', format: 'markdown' });
+
+    expect(markdown).toBe(
+      'See [the planet](https://en.example.org/wiki/Mercury_%28planet)' +
+      ' and [this](https://example.org/a%20b%29).'
+    );
+  });
+
+  it('leaves markdown out unless asked for it', async () => {
+    const content = await extract('docs.html');
+
+    expect(content).not.toHaveProperty('markdown');
+  });
+
+  it('leaves comments, hidden offers and sign-up forms out of a blog post', async () => {
+    const { mainText } = await extract('blog.html');
+
+    expect(mainText).toContain('A year ago I was given a jar of starter');
+    expect(mainText).toContain('hoping for one.');
+    expect(mainText).not.toContain('Limited offer');
+    expect(mainText).not.toContain('Get new posts by email');
+    expect(mainText).not.toContain('Lovely post');
+    expect(mainText).not.toContain('spreadsheet');
+    expect(mainText).not.toContain('Notes from a home kitchen');
+  });
+
+  it('finds the text of a page with no semantic markup at all', async () => {
+    const { mainText } = await extract('div-soup.html');
+
+    expect(mainText).toContain('A tide table lists the times');
+    expect(mainText).toContain('fourth.');
+    expect(mainText.split('\n\n')).toHaveLength(4);
+    expect(mainText).not.toContain('Products');
+    expect(mainText).not.toContain('All rights reserved');
+  });
+
+  it('falls back to the main landmark when nothing is long enough to score', async () => {
+    document.body.innerHTML = '<nav><a href="/">Home</a></nav><main><h1>Status</h1><p>All systems normal.</p></main>';
+    const sendResponse = vi.fn();
+    listener({ action: 'extractContent' }, {}, sendResponse);
+
+    await vi.waitFor(() => expect(sendResponse).toHaveBeenCalled());
+    expect(sendResponse.mock.calls[0][0].data.mainText).toBe('Status\n\nAll systems normal.');
+  });
+
+  it('reads text rendered from open shadow roots, slotted content included', async () => {
+    document.body.innerHTML = '<nav><a href="/">Home</a></nav><article-view><p>Slotted lead paragraph, written by the page itself.</p></article-view>';
+    const host = /** @type {Element} */ (document.querySelector('article-view'));
+    host.attachShadow({ mode: 'open' }).innerHTML = `
+      <article>
+        <h1>Inside the component</h1>
+        <slot></slot>
+        <p>The shadow tree holds the story, which plain DOM queries never see, so it has to be walked.</p>
+        <p>A second paragraph, also in the shadow tree, long enough to count, with a comma or two.</p>
+      </article>`;
+
+    const { mainText, markdown } = await extract(null, { action: 'extractContent', format: 'markdown' });
+
+    expect(mainText).toBe(
+      'Inside the component\n\nSlotted lead paragraph, written by the page itself.\n\n' +
+      'The shadow tree holds the story, which plain DOM queries never see, so it has to be walked.\n\n' +
+      'A second paragraph, also in the shadow tree, long enough to count, with a comma or two.'
+    );
+    expect(markdown).toMatch(/^# Inside the component\n\nSlotted lead paragraph/);
+  });
+
+  it('reads same-origin frames in place and marks cross-origin ones for the background', async () => {
+    document.body.innerHTML = `
+      <article>
+        <p>Before the frame: the page introduces the embedded report, with some context.</p>
+        <iframe id="report"></iframe>
+        <iframe id="video"></iframe>
+        <p>After the frames: the page closes, with a paragraph of its own and a comma.</p>
+      </article>`;
+    const report = /** @type {HTMLIFrameElement} */ (document.getElementById('report'));
+    /** @type {Document} */ (report.contentDocument).body.innerHTML =
+      '<nav>Report menu</nav><p>The embedded report, which lives in its own document, says revenue grew.</p>';
+    Object.defineProperties(document.getElementById('video'), {
+      contentDocument: { value: null },
+      src: { value: 'https://video.example/embed/1' }
+    });
+    chrome.runtime.getFrameId.mockReturnValueOnce(7);
+
+    const { mainText } = await extract(null);
+
+    expect(chrome.runtime.getFrameId).toHaveBeenCalledWith(document.getElementById('video'));
+    expect(mainText).toBe(
+      'Before the frame: the page introduces the embedded report, with some context.\n\n' +
+      'The embedded report, which lives in its own document, says revenue grew.\n\n' +
+      '\uE0007\uE001\n\n' +
+      'After the frames: the page closes, with a paragraph of its own and a comma.'
+    );
+  });
+
+  it('leaves frame requests to the frame they are sent to', () => {
+    const sendResponse = vi.fn();
+
+    expect(listener({ action: 'extractFrame', format: 'text' }, {}, sendResponse)).toBe(false);
+    expect(sendResponse).not.toHaveBeenCalled();
+  });
+
+  it('lists data tables with their headers, skipping layout tables', async () => {
+    const tables = await extract('docs.html', { action: 'extractTables' });
+
+    expect(tables).toEqual([{
+      caption: '',
+      headers: ['Option', 'Default'],
+      rows: [['ttl', '60 seconds'], ['staleWhileRevalidate', 'off']]
+    }]);
+  });
+
+  it('repeats spanned cells so every row lines up with the headers', async () => {
+    document.body.innerHTML = `
+      <table role="presentation"><tr><td>Layout</td><td>only</td></tr><tr><td>a</td><td>b</td></tr></table>
+      <table>
+        <caption>Opening hours</caption>
+        <tr><th>Day</th><th>Opens</th><th>Closes</th></tr>
+        <tr><td rowspan="2">Weekend</td><td colspan="2">Closed</td></tr>
+        <tr><td>9:00</td><td>12:00</td></tr>
+      </table>`;
+    const sendResponse = vi.fn();
+    listener({ action: 'extractTables' }, {}, sendResponse);
+
+    await vi.waitFor(() => expect(sendResponse).toHaveBeenCalled());
+    expect(sendResponse.mock.calls[0][0].data).toEqual([{
+      caption: 'Opening hours',
+      headers: ['Day', 'Opens', 'Closes'],
+      rows: [['Weekend', 'Closed', 'Closed'], ['Weekend', '9:00', '12:00']]
+    }]);
+  });
+
+  it('scrolls to a mention inside the extracted text', async () => {
+    const scrollIntoView = vi.fn();
+    window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+
+    const result = await extract('news.html', { action: 'scrollToMention', name: 'footpath', offset: 0 });
+
+    expect(result.found).toBe(true);
+    expect(scrollIntoView).toHaveBeenCalled();
+  });
+});
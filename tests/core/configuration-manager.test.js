@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { ConfigurationManager } from '../../core/configuration-manager.js';
 import { AIError } from '../../providers/ai-client.js';
+import { PREFERENCES_SCHEMA_VERSION } from '../../core/migrations.js';
 
 describe('ConfigurationManager', () => {
   /** @type {ConfigurationManager} */
@@ -24,7 +25,7 @@ describe('ConfigurationManager', () => {
     it('writes defaults on first initialize', async () => {
       await configManager.initialize();
       expect(chrome.storage.sync.set).toHaveBeenCalledWith({
-        user_preferences: configManager.defaultSettings
+        user_preferences: { ...configManager.defaultSettings, schemaVersion: PREFERENCES_SCHEMA_VERSION }
       });
     });
 
@@ -38,6 +39,34 @@ describe('ConfigurationManager', () => {
     });
   });
 
+  describe('migratePreferences', () => {
+    it('upgrades preferences saved by an earlier version', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { preferredProvider: 'cohere', apiKeys: { google: 'AIza-key', cohere: 'co-key' } }
+      });
+
+      const applied = await configManager.migratePreferences();
+
+      expect(applied).toHaveLength(1);
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+        user_preferences: {
+          apiKeys: { gemini: 'AIza-key' },
+          fallbackProviders: [],
+          schemaVersion: PREFERENCES_SCHEMA_VERSION
+        }
+      });
+    });
+
+    it('leaves current preferences unwritten', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { preferredProvider: 'openai', schemaVersion: PREFERENCES_SCHEMA_VERSION }
+      });
+
+      expect(await configManager.migratePreferences()).toEqual([]);
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+  });
+
   describe('reading stored settings', () => {
     it('fills in fields missing from an older stored object', async () => {
       // A v4 preferences object has no `features` key. Options page code read
@@ -84,6 +113,54 @@ describe('ConfigurationManager', () => {
     });
   });
 
+  describe('createAIClients', () => {
+    it('returns the preferred provider followed by configured fallbacks in the chosen order', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: {
+          initialized: true,
+          preferredProvider: 'anthropic',
+          apiKeys: { anthropic: 'sk-ant', gemini: 'gm', openai: 'sk-openai' },
+          localBaseUrl: 'http://localhost:11434/v1',
+          fallbackProviders: ['local', 'gemini']
+        }
+      });
+
+      const clients = await configManager.createAIClients();
+
+      expect(clients.map(client => client.provider)).toEqual(['anthropic', 'local', 'gemini']);
+    });
+
+    it('leaves out fallbacks that are unconfigured, unknown or repeat the preferred provider', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: {
+          initialized: true,
+          preferredProvider: 'anthropic',
+          apiKeys: { anthropic: 'sk-ant' },
+          fallbackProviders: ['anthropic', 'openai', 'made-up', 'local']
+        }
+      });
+
+      const clients = await configManager.createAIClients();
+
+      expect(clients.map(client => client.provider)).toEqual(['anthropic']);
+    });
+
+    it('still refuses when the preferred provider has no key, whatever the fallbacks', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: {
+          initialized: true,
+          preferredProvider: 'anthropic',
+          apiKeys: { gemini: 'gm' },
+          fallbackProviders: ['gemini']
+        }
+      });
+
+      await expect(configManager.createAIClients()).rejects.toMatchObject({
+        code: 'MISSING_API_KEY'
+      });
+    });
+  });
+
   describe('createAIClient', () => {
     it('builds a client for the selected provider using the stored key', async () => {
       chrome.storage.sync.get.mockResolvedValue({
@@ -113,6 +190,21 @@ describe('ConfigurationManager', () => {
       });
     });
 
+    it('builds a keyless client for a local server from the stored base URL', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: {
+          initialized: true,
+          preferredProvider: 'local',
+          localBaseUrl: 'http://localhost:11434/v1'
+        }
+      });
+
+      const client = await configManager.createAIClient();
+
+      expect(client.provider).toBe('local');
+      expect(client.baseUrl).toBe('http://localhost:11434/v1');
+    });
+
     it('does not silently substitute a different provider that does have a key', async () => {
       chrome.storage.sync.get.mockResolvedValue({
         user_preferences: {
@@ -141,7 +233,26 @@ describe('ConfigurationManager', () => {
       const status = await configManager.getProviderStatus();
 
       expect(status).toMatchObject({ provider: 'anthropic', configured: true });
-      expect(status.providers).toEqual({ anthropic: true, openai: false, gemini: false });
+      expect(status.providers).toEqual({
+        anthropic: true,
+        openai: false,
+        gemini: false,
+        local: false
+      });
+    });
+
+    it('counts the local provider as configured by its server URL, not a key', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: {
+          initialized: true,
+          preferredProvider: 'local',
+          localBaseUrl: 'http://localhost:11434/v1'
+        }
+      });
+
+      const status = await configManager.getProviderStatus();
+
+      expect(status).toMatchObject({ provider: 'local', configured: true });
     });
   });
 });
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  csvField,
+  formatSummary,
+  formatUserData,
+  isExportFormat,
+  summaryToMarkdown,
+  tableToCsv,
+  tagsToCsv,
+  userDataToCsv,
+  userDataToHtml
+} from '../../core/exporters.js';
+
+const SUMMARY = {
+  id: 'sum1',
+  title: 'Launch\nday',
+  url: 'https://news.example/story',
+  summary: '- **First** point\n- Second',
+  provider: 'openai',
+  model: 'gpt-4o',
+  timestamp: Date.UTC(2026, 9, 19, 14, 5)
+};
+
+const DATA = {
+  summaryHistory: [SUMMARY],
+  chatSessions: [{
+    id: 's1',
+    title: 'Docs',
+    url: 'https://docs.example/',
+    messages: [{ role: 'user', content: 'Why?' }, { role: 'assistant', content: 'Because' }],
+    updatedAt: Date.UTC(2026, 9, 19)
+  }],
+  bookmarks: [{ id: 'b1', url: 'javascript:alert(1)', title: '<img onerror=x>', tags: ['to read'], createdAt: 1 }],
+  exportedAt: Date.UTC(2026, 9, 20)
+};
+
+describe('exporters', () => {
+  it('writes a summary as Markdown with its title, link, date and provider', () => {
+    expect(summaryToMarkdown(SUMMARY)).toBe([
+      '# Launch day',
+      '',
+      '- URL: <https://news.example/story>',
+      '- Date: 2026-10-19 14:05 UTC',
+      '- Provider: openai · gpt-4o',
+      '',
+      '- **First** point',
+      '- Second',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes page text in the HTML report and links only web URLs', () => {
+    const html = userDataToHtml(DATA);
+
+    expect(html).toContain('<li><strong>First</strong> point</li>');
+    expect(html).toContain('&lt;img onerror=x&gt;');
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('href="javascript:');
+    expect(html).toContain('<a href="https://news.example/story">');
+    expect(html).not.toContain('<script');
+  });
+
+  it('puts each record on one CSV row', () => {
+    const csv = userDataToCsv(DATA);
+
+    expect(csv.split('\r\n')[0]).toBe('kind,date,title,url,domain,provider,model,tags,text');
+    expect(csv).toContain('chat,2026-10-19 00:00 UTC,Docs,https://docs.example/,,,,,"You: Why?\nAssistant: Because"');
+    expect(csv).toContain('bookmark,1970-01-01 00:00 UTC,<img onerror=x>,javascript:alert(1),,,,to read,');
+  });
+
+  it('writes tags a row each', () => {
+    expect(tagsToCsv(['ai', '=cmd'], { url: 'https://a.example/', title: 'A' }).split('\r\n')).toEqual([
+      'tag,url,title',
+      'ai,https://a.example/,A',
+      "'=cmd,https://a.example/,A"
+    ]);
+  });
+
+  it('writes a page table as CSV, with its header row when it has one', () => {
+    expect(tableToCsv({ caption: '', headers: ['Plan', 'Price'], rows: [['Pro, yearly', '$20']] }))
+      .toBe('Plan,Price\r\n"Pro, yearly",$20');
+    expect(tableToCsv({ caption: '', headers: [], rows: [['a', 'b']] })).toBe('a,b');
+  });
+
+  it('quotes CSV fields and defuses spreadsheet formulas', () => {
+    expect(csvField('Smith, "Bob"')).toBe('"Smith, ""Bob"""');
+    expect(csvField('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvField(-1)).toBe('-1');
+  });
+
+  it('picks the writer by format', () => {
+    expect(JSON.parse(formatUserData(DATA, 'json'))).toEqual(DATA);
+    expect(formatUserData(DATA, 'markdown')).toMatch(/^# GenAI Browser Tool export/);
+    expect(formatSummary(SUMMARY, 'html')).toContain('<title>Launch day</title>');
+    expect(formatSummary(SUMMARY, 'csv').split('\r\n')).toHaveLength(2);
+    expect(isExportFormat('markdown')).toBe(true);
+    expect(isExportFormat('toString')).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { validateJson } from '../../core/json-schema.js';
+
+/** @type {import('../../core/json-schema.js').JsonSchema} */
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    label: { type: 'string', enum: ['a', 'b'] },
+    count: { type: 'integer' },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['label', 'tags'],
+  additionalProperties: false
+};
+
+describe('validateJson', () => {
+  it('accepts a value that matches', () => {
+    expect(validateJson({ label: 'a', count: 2, tags: ['x'] }, SCHEMA)).toEqual([]);
+  });
+
+  it('reports a wrong top-level type without looking further', () => {
+    expect(validateJson('a', SCHEMA)).toEqual(['$ should be object, got string']);
+    expect(validateJson(null, SCHEMA)).toEqual(['$ should be object, got null']);
+    expect(validateJson([], SCHEMA)).toEqual(['$ should be object, got array']);
+  });
+
+  it('reports missing, unexpected, and out-of-enum properties by path', () => {
+    expect(validateJson({ label: 'c', extra: 1 }, SCHEMA)).toEqual([
+      '$.tags is missing',
+      '$.label should be one of a, b, got "c"',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  it('checks array items and tells integers from other numbers', () => {
+    expect(validateJson({ label: 'a', count: 1.5, tags: ['x', 2] }, SCHEMA)).toEqual([
+      '$.count should be integer, got number',
+      '$.tags[1] should be string, got number'
+    ]);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HISTORY_MIGRATIONS,
+  HISTORY_SCHEMA_VERSION,
+  PREFERENCES_MIGRATIONS,
+  PREFERENCES_SCHEMA_VERSION,
+  compareVersions,
+  latestVersion,
+  migrateRecord
+} from '../../core/migrations.js';
+
+/** Preferences as 4.x saved them: no version, Gemini keyed as "google". */
+const PREFERENCES_4X = {
+  preferredProvider: 'google',
+  apiKeys: { google: 'AIza-key', openai: 'sk-key', huggingface: 'hf-key' },
+  fallbackProviders: ['cohere', 'openai'],
+  features: { contextMenus: true }
+};
+
+/** History records as 4.0.0 saved them, before site and provider were kept. */
+const SUMMARY_400 = {
+  id: 'sum1',
+  url: 'https://news.example/story',
+  summary: 'S',
+  timestamp: 1,
+  schemaVersion: '4.0.0'
+};
+
+const SESSION_400 = {
+  id: 's1',
+  url: 'https://docs.example/page',
+  messages: [
+    { role: 'user', content: 'Q', timestamp: 1 },
+    { role: 'assistant', content: 'A', provider: 'openai', timestamp: 1 },
+    { role: 'user', content: 'Q2', timestamp: 2 },
+    { role: 'assistant', content: 'A2', provider: 'anthropic', timestamp: 2 }
+  ],
+  createdAt: 1,
+  updatedAt: 2,
+  schemaVersion: '4.0.0'
+};
+
+const BOOKMARK_400 = { id: 'b1', url: 'not a url', createdAt: 1, schemaVersion: '4.0.0' };
+
+describe('compareVersions', () => {
+  it('compares each part numerically', () => {
+    expect(compareVersions('4.10.0', '4.9.0')).toBeGreaterThan(0);
+    expect(compareVersions('4.0', '4.0.0')).toBe(0);
+    expect(compareVersions('1.0.0', '4.0.0')).toBeLessThan(0);
+  });
+});
+
+describe('migrateRecord', () => {
+  const steps = [
+    { version: '2.0.0', description: 'second', up: (/** @type {any} */ r) => ({ ...r, log: [...r.log, 2] }) },
+    { version: '1.0.0', description: 'first', up: (/** @type {any} */ r) => ({ ...r, log: [...r.log, 1] }) }
+  ];
+
+  it('applies every newer migration in version order and stamps the last', () => {
+    const { record, applied } = migrateRecord({ log: [] }, steps);
+
+    expect(record).toEqual({ log: [1, 2], schemaVersion: '2.0.0' });
+    expect(applied).toEqual(['first', 'second']);
+  });
+
+  it('starts from the stored version', () => {
+    const { record, applied } = migrateRecord({ log: [], schemaVersion: '1.0.0' }, steps);
+
+    expect(record.log).toEqual([2]);
+    expect(applied).toEqual(['second']);
+  });
+
+  it('leaves a current or newer record as it is', () => {
+    const newer = { log: [], schemaVersion: '3.0.0' };
+
+    const { record, applied } = migrateRecord(newer, steps);
+
+    expect(record).toBe(newer);
+    expect(applied).toEqual([]);
+  });
+
+  it('does not change the record it was given', () => {
+    const original = { log: [] };
+
+    migrateRecord(original, steps);
+
+    expect(original).toEqual({ log: [] });
+  });
+});
+
+describe('registered migrations', () => {
+  it('end at the versions the current code writes', () => {
+    expect(latestVersion(PREFERENCES_MIGRATIONS)).toBe(PREFERENCES_SCHEMA_VERSION);
+    for (const migrations of Object.values(HISTORY_MIGRATIONS)) {
+      expect(latestVersion(migrations)).toBe(HISTORY_SCHEMA_VERSION);
+    }
+  });
+
+  it('upgrades 4.x preferences', () => {
+    const { record } = migrateRecord(PREFERENCES_4X, PREFERENCES_MIGRATIONS);
+
+    expect(record).toEqual({
+      preferredProvider: 'gemini',
+      apiKeys: { gemini: 'AIza-key', openai: 'sk-key' },
+      fallbackProviders: ['openai'],
+      features: { contextMenus: true },
+      schemaVersion: PREFERENCES_SCHEMA_VERSION
+    });
+  });
+
+  it('keeps a Gemini key already saved under its own name', () => {
+    const { record } = migrateRecord({ apiKeys: { google: 'old', gemini: 'new' } }, PREFERENCES_MIGRATIONS);
+
+    expect(record.apiKeys).toEqual({ gemini: 'new' });
+  });
+
+  it('records the site of a 4.0.0 summary', () => {
+    const { record } = migrateRecord(SUMMARY_400, HISTORY_MIGRATIONS.summaries);
+
+    expect(record).toEqual({ ...SUMMARY_400, domain: 'news.example', schemaVersion: HISTORY_SCHEMA_VERSION });
+  });
+
+  it('records the site and latest provider of a 4.0.0 chat', () => {
+    const { record } = migrateRecord(SESSION_400, HISTORY_MIGRATIONS.conversations);
+
+    expect(record).toMatchObject({ domain: 'docs.example', provider: 'anthropic' });
+  });
+
+  it('gives a bookmark with an unparseable url an empty site', () => {
+    const { record } = migrateRecord(BOOKMARK_400, HISTORY_MIGRATIONS.bookmarks);
+
+    expect(record.domain).toBe('');
+    expect(record.schemaVersion).toBe(HISTORY_SCHEMA_VERSION);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { extractPdfPages, isPdf, isPdfUrl, pdfPagesToText } from '../../core/pdf.js';
+
+/** @param {string} text  One byte per character. */
+const bytesOf = text => Uint8Array.from(text, char => char.charCodeAt(0));
+
+/**
+ * A one-page PDF drawing `content`, with a plain Helvetica font as F1.
+ *
+ * @param {string} content
+ * @param {string} [trailer]
+ */
+function onePagePdf(content, trailer = '<< /Root 1 0 R >>') {
+  return bytesOf([
+    '%PDF-1.4',
+    '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+    '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+    '3 0 obj << /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >> endobj',
+    '4 0 obj << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> endobj',
+    `5 0 obj << /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj`,
+    `trailer ${trailer}`,
+    '%%EOF'
+  ].join('\n'));
+}
+
+describe('pdf', () => {
+  it('reads each page in order, through deflated streams, object streams and ToUnicode maps', async () => {
+    const pages = await extractPdfPages(new Uint8Array(readFileSync(resolve('tests/core/fixtures/report.pdf'))));
+
+    expect(pages).toEqual([
+      'Quarterly report\nRevenue grew by a fifth this quarter. 1\nCosts fell in every region’s offices.',
+      'Outlook: hiring resumes in spring.'
+    ]);
+  });
+
+  it('decodes string escapes and skips inline images', async () => {
+    const pages = await extractPdfPages(onePagePdf([
+      'BT /F1 12 Tf 72 700 Td (Tab\\tand \\(parens\\) and \\101\\102C) Tj ET',
+      'BI /W 2 /H 1 /BPC 8 /CS /G ID \x00Tj) EI',
+      'BT /F1 12 Tf 72 680 Td <48656C6C6F> Tj ET'
+    ].join('\n')));
+
+    expect(pages).toEqual(['Tab and (parens) and ABC\nHello']);
+  });
+
+  it('refuses an encrypted PDF rather than returning its ciphertext', async () => {
+    const pdf = onePagePdf('BT (x) Tj ET', '<< /Root 1 0 R /Encrypt 6 0 R >>');
+
+    await expect(extractPdfPages(pdf)).rejects.toThrow('encrypted');
+  });
+
+  it('heads each page with its number and leaves out pages without text', () => {
+    expect(pdfPagesToText(['Intro', '', 'Results'])).toBe('[Page 1]\nIntro\n\n[Page 3]\nResults');
+  });
+
+  it('recognises PDFs by their address and by their first bytes', () => {
+    expect(isPdfUrl('https://example.com/files/Report.PDF?download=1')).toBe(true);
+    expect(isPdfUrl('https://example.com/pdf-viewer')).toBe(false);
+    expect(isPdfUrl('file:///home/me/report.pdf')).toBe(false);
+    expect(isPdf(bytesOf('%PDF-1.7\n'))).toBe(true);
+    expect(isPdf(bytesOf('<!doctype html>'))).toBe(false);
+  });
+});
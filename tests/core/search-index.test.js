@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  addDocument,
+  emptyIndex,
+  highlightSnippet,
+  removeDocuments,
+  searchIndex,
+  tokenize
+} from '../../core/search-index.js';
+
+/** @param {Record<string, string>} documents */
+function indexOf(documents) {
+  const index = emptyIndex();
+  Object.entries(documents).forEach(([key, text], stamp) => addDocument(index, key, [{ text }], stamp));
+  return index;
+}
+
+describe('search index', () => {
+  describe('tokenize', () => {
+    it('lowercases words and drops stopwords and single characters', () => {
+      expect(tokenize('The Pricing change, in Q3 — a 2026 plan')).toEqual(['pricing', 'change', 'q3', '2026', 'plan']);
+    });
+
+    it('keeps letters outside ASCII', () => {
+      expect(tokenize('Café Zürich')).toEqual(['café', 'zürich']);
+    });
+  });
+
+  describe('searchIndex', () => {
+    const index = indexOf({
+      a: 'Pricing change announced for the pro plan. Pricing takes effect in May.',
+      b: 'A change of leadership at the company.',
+      c: 'Weather report.'
+    });
+
+    it('ranks a mention in a short document above one in a long document', () => {
+      expect(searchIndex(index, 'change').map(hit => hit.key)).toEqual(['b', 'a']);
+    });
+
+    it('requires every word', () => {
+      expect(searchIndex(index, 'pricing change').map(hit => hit.key)).toEqual(['a']);
+    });
+
+    it('matches the last word as a prefix and reports the terms it matched', () => {
+      const [hit] = searchIndex(index, 'pric');
+
+      expect(hit.key).toBe('a');
+      expect(hit.terms).toEqual(['pricing']);
+    });
+
+    it('only matches earlier words whole', () => {
+      expect(searchIndex(index, 'pric change')).toEqual([]);
+    });
+
+    it('counts title words by their weight', () => {
+      const weighted = emptyIndex();
+      addDocument(weighted, 'body', [{ text: 'Notes' }, { text: 'roadmap roadmap' }], 1);
+      addDocument(weighted, 'title', [{ text: 'Roadmap', weight: 3 }, { text: 'Notes' }], 1);
+
+      expect(searchIndex(weighted, 'roadmap').map(hit => hit.key)).toEqual(['title', 'body']);
+    });
+
+    it('finds nothing for a query of stopwords', () => {
+      expect(searchIndex(index, 'the of')).toEqual([]);
+    });
+  });
+
+  describe('removeDocuments', () => {
+    it('forgets the documents and terms only they held', () => {
+      const index = indexOf({ a: 'alpha shared', b: 'beta shared' });
+
+      removeDocuments(index, ['a']);
+
+      expect(Object.keys(index.docs)).toEqual(['b']);
+      expect(index.postings).toEqual({ beta: { b: 1 }, shared: { b: 1 } });
+    });
+
+    it('replaces a document reindexed under the same key', () => {
+      const index = indexOf({ a: 'old words' });
+
+      addDocument(index, 'a', [{ text: 'new words' }], 5);
+
+      expect(searchIndex(index, 'old')).toEqual([]);
+      expect(index.docs.a).toEqual({ length: 2, stamp: 5 });
+    });
+
+    it('handles words that name Object.prototype members', () => {
+      const index = indexOf({ a: 'constructor toString' });
+
+      expect(searchIndex(index, 'constructor').map(hit => hit.key)).toEqual(['a']);
+      removeDocuments(index, ['a']);
+      expect(index.postings).toEqual({});
+    });
+  });
+
+  describe('highlightSnippet', () => {
+    it('marks whole-word matches only', () => {
+      const { snippet, highlights } = highlightSnippet('Pricing and repricing.', ['pricing']);
+
+      expect(snippet).toBe('Pricing and repricing.');
+      expect(highlights).toEqual([[0, 7]]);
+    });
+
+    it('starts shortly before a late match, on a word boundary, with ellipses', () => {
+      const text = `${'filler '.repeat(40)}the pricing change ${'tail '.repeat(40)}`;
+
+      const { snippet, highlights } = highlightSnippet(text, ['pricing'], 80);
+
+      expect(snippet.startsWith('…filler')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(highlights).toHaveLength(1);
+      const [[start, end]] = highlights;
+      expect(snippet.slice(start, end)).toBe('pricing');
+    });
+
+    it('falls back to the opening text when the match was in the title', () => {
+      expect(highlightSnippet('Body text.', ['heading'])).toEqual({ snippet: 'Body text.', highlights: [] });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+  budgetSpent,
+  costOf,
+  dayKey,
+  monthKey,
+  priceKey,
+  startOfNextMonth,
+  totalCost
+} from '../../core/usage.js';
+
+describe('usage', () => {
+  describe('ledger keys', () => {
+    it('keys days and months by the local calendar', () => {
+      const timestamp = new Date(2026, 0, 5, 23, 30).getTime();
+
+      expect(dayKey(timestamp)).toBe('2026-01-05');
+      expect(monthKey(timestamp)).toBe('2026-01');
+    });
+  });
+
+  describe('costOf', () => {
+    it('prices input and output tokens per million', () => {
+      const cost = costOf({ inputTokens: 2_000_000, outputTokens: 100_000 }, { input: 3, output: 15 });
+      expect(cost).toBeCloseTo(7.5);
+    });
+
+    it('reports an unknown cost, not zero, for a model without a price', () => {
+      expect(costOf({ inputTokens: 10, outputTokens: 10 }, undefined)).toBeNull();
+    });
+  });
+
+  describe('totalCost', () => {
+    it('adds priced rows and counts the rows it could not price', () => {
+      const rows = [
+        { provider: 'openai', model: 'gpt-4o-mini', requests: 1, inputTokens: 1_000_000, outputTokens: 0 },
+        { provider: 'local', model: 'llama3.2', requests: 4, inputTokens: 500, outputTokens: 500 }
+      ];
+
+      expect(totalCost(rows, { [priceKey('openai', 'gpt-4o-mini')]: { input: 0.15, output: 0.6 } }))
+        .toEqual({ cost: 0.15, unpriced: 1 });
+    });
+  });
+
+  describe('budgets', () => {
+    const rows = [
+      { provider: 'openai', model: 'gpt-4o-mini', requests: 2, inputTokens: 1_000_000, outputTokens: 500_000 },
+      { provider: 'openai', model: 'gpt-x', requests: 1, inputTokens: 10, outputTokens: 10 },
+      { provider: 'gemini', model: 'gemini-2.5-flash', requests: 1, inputTokens: 7, outputTokens: 7 }
+    ];
+
+    it('meters a token budget on input plus output of that provider only', () => {
+      expect(budgetSpent(rows, 'openai', 'tokens', {})).toBe(1_500_020);
+    });
+
+    it('meters a USD budget on priced models only', () => {
+      const prices = { [priceKey('openai', 'gpt-4o-mini')]: { input: 1, output: 2 } };
+      expect(budgetSpent(rows, 'openai', 'usd', prices)).toBeCloseTo(2);
+    });
+
+    it('starts the next budget month at local midnight on the 1st, across a year end', () => {
+      const next = new Date(startOfNextMonth(new Date(2026, 11, 31, 23, 59).getTime()));
+
+      expect([next.getFullYear(), next.getMonth(), next.getDate(), next.getHours()]).toEqual([2027, 0, 1, 0]);
+    });
+  });
+});
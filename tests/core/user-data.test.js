@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { readExport } from '../../core/user-data.js';
+
+const EXPORT = {
+  version: '4.1.0',
+  exportedAt: 1,
+  summaryHistory: [{ id: 'sum1', summary: 'S', timestamp: 1, url: 'https://a.example/' }],
+  chatSessions: [{ id: 's1', url: 'https://a.example/', messages: [{ role: 'user', content: 'Q' }], updatedAt: 1 }],
+  bookmarks: [{ id: 'b1', url: 'https://a.example/', createdAt: 1 }]
+};
+
+describe('readExport', () => {
+  it('accepts an export as text or parsed', () => {
+    const fromText = readExport(JSON.stringify(EXPORT));
+
+    expect(fromText).toEqual(readExport(EXPORT));
+    expect(fromText.sections).toEqual({
+      summaryHistory: EXPORT.summaryHistory,
+      chatSessions: EXPORT.chatSessions,
+      bookmarks: EXPORT.bookmarks
+    });
+    expect(fromText.invalid).toBe(0);
+  });
+
+  it('rejects a file that is not JSON', () => {
+    expect(() => readExport('{not json')).toThrow('not valid JSON');
+  });
+
+  it('rejects JSON that is not an export', () => {
+    expect(() => readExport('[]')).toThrow('not a GenAI Browser Tool export');
+    expect(() => readExport({ summaryHistory: [] })).toThrow('not a GenAI Browser Tool export');
+  });
+
+  it('leaves out records that fail validation and says why', () => {
+    const contents = readExport({
+      ...EXPORT,
+      summaryHistory: [...EXPORT.summaryHistory, { id: 'sum2', timestamp: 'yesterday' }],
+      chatSessions: [{ ...EXPORT.chatSessions[0], messages: [{ role: 'system', content: 'x' }] }]
+    });
+
+    expect(contents.sections.summaryHistory).toEqual(EXPORT.summaryHistory);
+    expect(contents.sections.chatSessions).toEqual([]);
+    expect(contents.invalid).toBe(2);
+    expect(contents.problems).toEqual([
+      '$.summaryHistory[1].summary is missing',
+      '$.summaryHistory[1].timestamp should be number, got string',
+      '$.chatSessions[0].messages[0].role should be one of user, assistant, got "system"'
+    ]);
+  });
+
+  it('reports a section that is not a list', () => {
+    const contents = readExport({ ...EXPORT, bookmarks: 'none' });
+
+    expect(contents.sections).not.toHaveProperty('bookmarks');
+    expect(contents.problems).toEqual(['$.bookmarks should be array, got string']);
+  });
+
+  it('checks flat question and answer rows from older exports', () => {
+    const contents = readExport({
+      version: '3.0.0',
+      exportedAt: 1,
+      conversationHistory: [{ question: 'Q', answer: 'A', timestamp: 1 }, { question: 'Q' }],
+      preferences: { theme: 'dark' }
+    });
+
+    expect(contents.sections.conversationHistory).toHaveLength(1);
+    expect(contents.hasPreferences).toBe(true);
+  });
+});
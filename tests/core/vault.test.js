@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { frontMatter, noteName, vaultNotes } from '../../core/vault.js';
+
+const SUMMARY = {
+  id: 'sum1',
+  title: 'Launch: day\none',
+  url: 'https://news.example/story',
+  domain: 'news.example',
+  summary: '- First point',
+  provider: 'openai',
+  model: 'gpt-4o',
+  tags: ['ai', 'product launch'],
+  timestamp: Date.UTC(2026, 9, 19, 14, 5)
+};
+
+const SESSION = {
+  id: 's1',
+  title: 'Launch: day one',
+  url: 'https://news.example/story',
+  domain: 'news.example',
+  messages: [
+    { role: 'user', content: 'Why?' },
+    { role: 'assistant', content: 'Because', provider: 'anthropic', model: 'claude' }
+  ],
+  createdAt: Date.UTC(2026, 9, 19, 15),
+  updatedAt: Date.UTC(2026, 9, 20)
+};
+
+/** @param {any} [overrides] */
+function data(overrides = {}) {
+  return { summaryHistory: [SUMMARY], chatSessions: [SESSION], bookmarks: [], exportedAt: 0, ...overrides };
+}
+
+describe('vaultNotes', () => {
+  it('writes a summary as a note with front matter', () => {
+    const [note] = vaultNotes(data({ chatSessions: [] }));
+
+    expect(note?.name).toBe('2026-10-19 Launch day one.md');
+    expect(note?.content).toBe([
+      '---',
+      'title: "Launch: day one"',
+      'url: "https://news.example/story"',
+      'tags:',
+      '  - "ai"',
+      '  - "product-launch"',
+      'created: 2026-10-19T14:05:00.000Z',
+      'type: summary',
+      'provider: "openai"',
+      'model: "gpt-4o"',
+      '---',
+      '',
+      '# Launch: day one',
+      '',
+      '- First point',
+      ''
+    ].join('\n'));
+  });
+
+  it('takes a chat\'s provider from its latest answer and numbers clashing names', () => {
+    const notes = vaultNotes(data());
+
+    expect(notes.map(note => note.name)).toEqual(['2026-10-19 Launch day one.md', '2026-10-19 Launch day one (2).md']);
+    expect(notes[1]?.content).toContain('provider: "anthropic"\nmodel: "claude"');
+    expect(notes[1]?.content).toContain('**You:** Why?\n\n**Assistant:** Because');
+  });
+
+  it('names notes by the template, with folders', () => {
+    const notes = vaultNotes(data(), '{kind}/{domain}/{id}');
+
+    expect(notes.map(note => note.name)).toEqual(['summary/news.example/sum1.md', 'chat/news.example/s1.md']);
+  });
+});
+
+describe('noteName', () => {
+  it('keeps page text from making folders or hidden files', () => {
+    expect(noteName('{title}', { title: '../a/b|c#d.' })).toBe('a b c d.md');
+    expect(noteName('{title}', { title: '' })).toBe('Untitled.md');
+    expect(noteName('{nope} x', {})).toBe('{nope} x.md');
+  });
+});
+
+describe('frontMatter', () => {
+  it('quotes strings so YAML reads them back unchanged', () => {
+    expect(frontMatter({ title: 'a: "b"\n- c', tags: [], url: undefined }))
+      .toBe('---\ntitle: "a: \\"b\\"\\n- c"\n---\n');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip, fromBase64, toBase64 } from '../../core/zip.js';
+
+/**
+ * Read a stored archive back through its central directory.
+ *
+ * @param {Uint8Array} zip
+ * @returns {{ name: string, text: string, crc: number }[]}
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  let at = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(at + 28, true);
+    const size = view.getUint32(at + 24, true);
+    const local = view.getUint32(at + 42, true);
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    entries.push({
+      name: decoder.decode(zip.subarray(at + 46, at + 46 + nameLength)),
+      text: decoder.decode(zip.subarray(dataStart, dataStart + size)),
+      crc: view.getUint32(at + 16, true)
+    });
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('zip', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('stores each entry where its central directory record says', () => {
+    const zip = createZip([
+      { name: 'a.md', content: 'first', modified: Date.UTC(2026, 9, 19) },
+      { name: 'Chats/élan.md', content: 'second — with UTF-8' }
+    ]);
+
+    expect(readZip(zip)).toEqual([
+      { name: 'a.md', text: 'first', crc: crc32(new TextEncoder().encode('first')) },
+      { name: 'Chats/élan.md', text: 'second — with UTF-8', crc: crc32(new TextEncoder().encode('second — with UTF-8')) }
+    ]);
+  });
+
+  it('writes an empty archive as just the end record', () => {
+    expect(createZip([])).toHaveLength(22);
+  });
+
+  it('round-trips bytes through base64', () => {
+    const bytes = createZip([{ name: 'x.md', content: 'x'.repeat(70000) }]);
+
+    expect(fromBase64(toBase64(bytes))).toEqual(bytes);
+  });
+});
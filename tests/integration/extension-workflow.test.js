@@ -1,4 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { MAX_CONTENT_CHARS } from '../../core/tasks.js';
+import { fromBase64 } from '../../core/zip.js';
 
 /**
  * End-to-end through the background service worker: a message arrives, the
@@ -14,6 +18,43 @@ function okResponse(body) {
   return { ok: true, status: 200, statusText: 'OK', json: vi.fn().mockResolvedValue(body) };
 }
 
+/**
+ * A download of the report fixture, served as `type`.
+ *
+ * @param {string} [type]
+ */
+function pdfResponse(type = 'application/pdf') {
+  const bytes = readFileSync(resolve('tests/core/fixtures/report.pdf'));
+  return {
+    ok: true,
+    status: 200,
+    headers: new Headers({ 'content-type': type, 'content-length': String(bytes.length) }),
+    arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length))
+  };
+}
+
+/**
+ * An Anthropic streaming response carrying the given text deltas.
+ *
+ * @param {string[]} texts
+ */
+function claudeStream(texts) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    body: new ReadableStream({
+      start(controller) {
+        for (const text of texts) {
+          const event = { type: 'content_block_delta', delta: { type: 'text_delta', text } };
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+        }
+        controller.close();
+      }
+    })
+  };
+}
+
 const CLAUDE_REPLY = okResponse({ content: [{ type: 'text', text: '- point one\n- point two' }] });
 
 /** Preferences with a working Anthropic key. */
@@ -44,6 +85,30 @@ function dispatch(actionType, payload) {
   });
 }
 
+/**
+ * Open a streaming port to the background service and send one request.
+ *
+ * @param {string} actionType
+ * @param {any} payload
+ * @returns {Promise<any[]>} Every message posted back, ending with the `done` envelope.
+ */
+async function dispatchStream(actionType, payload) {
+  const connect = chrome.runtime.onConnect.addListener.mock.calls[0][0];
+  /** @type {any[]} */
+  const posted = [];
+  const port = {
+    name: 'genai-stream',
+    sender: { id: 'mock-extension-id' },
+    postMessage: vi.fn(message => posted.push(message)),
+    onMessage: { addListener: vi.fn() },
+    onDisconnect: { addListener: vi.fn() }
+  };
+  connect(port);
+  port.onMessage.addListener.mock.calls[0][0]({ actionType, requestId: 'req-1', payload });
+  await vi.waitFor(() => expect(posted.at(-1)?.type).toBe('done'));
+  return posted;
+}
+
 describe('Extension workflow', () => {
   beforeEach(async () => {
     vi.resetModules();
@@ -81,13 +146,76 @@ describe('Extension workflow', () => {
 
       await dispatch('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
 
-      expect(chrome.storage.local.set).toHaveBeenCalledWith(
-        expect.objectContaining({
-          genai_summary_history: expect.arrayContaining([
-            expect.objectContaining({ provider: 'anthropic' })
-          ])
-        })
+      const history = await dispatch('GET_HISTORY');
+      expect(history.data.entries).toEqual([
+        expect.objectContaining({ kind: 'summary', provider: 'anthropic' })
+      ]);
+    });
+
+    it('summarizes a long page part by part, then combines the parts', async () => {
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+      const section = heading => `${heading}\n${'word '.repeat(2000)}\n`;
+
+      const response = await dispatch('GENERATE_CONTENT_SUMMARY', {
+        content: section('Intro') + section('Pricing') + section('Roadmap'),
+        headings: [{ level: 2, text: 'Pricing' }, { level: 2, text: 'Roadmap' }]
+      });
+
+      expect(response.success).toBe(true);
+      expect(response.data.parts).toBe(2);
+      expect(response.data.truncated).toBe(false);
+      // Two part summaries, then one combining call.
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      const lastBody = JSON.parse(global.fetch.mock.calls[2][1].body);
+      expect(lastBody.messages[0].content).toContain('summaries of its parts');
+    });
+
+    it('reports progress over the port while summarizing a long page', async () => {
+      // Parts are summarized in one shot; only the combining call streams.
+      global.fetch.mockImplementation(async (_url, init) =>
+        JSON.parse(init.body).stream ? claudeStream(['combined']) : CLAUDE_REPLY
       );
+
+      const posted = await dispatchStream('GENERATE_CONTENT_SUMMARY', {
+        content: 'x'.repeat(MAX_CONTENT_CHARS + 10)
+      });
+
+      expect(posted.filter(m => m.type === 'progress')).toEqual([
+        { type: 'progress', requestId: 'req-1', completed: 0, total: 2 },
+        { type: 'progress', requestId: 'req-1', completed: 1, total: 2 },
+        { type: 'progress', requestId: 'req-1', completed: 2, total: 2 }
+      ]);
+      expect(posted.at(-1)).toMatchObject({ success: true, data: { parts: 2 } });
+    });
+
+    it('reads no more than 20 parts of a huge page, and says so', async () => {
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+
+      const response = await dispatch('GENERATE_CONTENT_SUMMARY', {
+        content: 'x'.repeat(MAX_CONTENT_CHARS * 30)
+      });
+
+      expect(response.data).toMatchObject({ parts: 20, truncated: true });
+      // Twenty part summaries, then one combining call.
+      expect(global.fetch).toHaveBeenCalledTimes(21);
+    });
+
+    it('stops condensing part summaries that do not shrink, reporting each pass', async () => {
+      // A model that answers every part at nearly full length.
+      const wordy = okResponse({ content: [{ type: 'text', text: 'y'.repeat(MAX_CONTENT_CHARS * 0.9) }] });
+      global.fetch.mockImplementation(async (_url, init) =>
+        JSON.parse(init.body).stream ? claudeStream(['combined']) : wordy
+      );
+
+      const posted = await dispatchStream('GENERATE_CONTENT_SUMMARY', {
+        content: 'x'.repeat(MAX_CONTENT_CHARS * 2 + 10)
+      });
+
+      expect(posted.at(-1)).toMatchObject({ success: true, data: { parts: 3, truncated: true } });
+      // Three parts, two passes over three part summaries, then one combining call.
+      expect(global.fetch).toHaveBeenCalledTimes(10);
+      expect(posted.filter(m => m.type === 'progress' && m.pass).map(({ completed, total, pass }) =>
+        `${pass}:${completed}/${total}`)).toEqual(['1:0/3', '1:1/3', '1:2/3', '1:3/3', '2:0/3', '2:1/3', '2:2/3', '2:3/3']);
     });
 
     it('rejects empty content before spending an API call', async () => {
@@ -117,16 +245,505 @@ describe('Extension workflow', () => {
         ok: false,
         status: 429,
         statusText: 'Too Many Requests',
+        // Zero so the client's retries do not slow the test down.
+        headers: new Headers({ 'retry-after': '0' }),
         json: vi.fn().mockResolvedValue({ error: { message: 'rate limit exceeded' } })
       });
 
       const response = await dispatch('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
 
       expect(response.success).toBe(false);
+      expect(response.errorCode).toBe('RATE_LIMITED');
       expect(response.error).toContain('rate limit exceeded');
     });
   });
 
+  describe('usage accounting', () => {
+    it('returns the tokens a task used and adds them to the ledger', async () => {
+      global.fetch.mockResolvedValue(okResponse({
+        content: [{ type: 'tool_use', name: 'report_sentiment', input: { sentiment: 'positive', reason: 'upbeat' } }],
+        usage: { input_tokens: 200, output_tokens: 8 }
+      }));
+
+      const response = await dispatch('ANALYZE_SENTIMENT', { text: 'great product' });
+
+      expect(response.data.usage).toEqual({ inputTokens: 200, outputTokens: 8 });
+      const ledger = chrome.storage.local.set.mock.calls.find(call => call[0].genai_usage_ledger)[0]
+        .genai_usage_ledger;
+      expect(Object.values(ledger)[0]).toEqual({
+        anthropic: { 'claude-opus-5': { requests: 1, inputTokens: 200, outputTokens: 8 } }
+      });
+    });
+
+    it('still answers when the ledger cannot be written', async () => {
+      global.fetch.mockResolvedValue(okResponse({
+        content: [{ type: 'text', text: '- point' }],
+        usage: { input_tokens: 1, output_tokens: 1 }
+      }));
+      chrome.storage.local.set.mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+
+      const response = await dispatch('EXTRACT_KEY_INSIGHTS', { text: 'some text' });
+
+      expect(response.success).toBe(true);
+    });
+  });
+
+  describe('monthly budgets', () => {
+    /** @param {number} tokens  Anthropic tokens already used today. */
+    function usedToday(tokens) {
+      const now = new Date();
+      const today = [
+        now.getFullYear(),
+        String(now.getMonth() + 1).padStart(2, '0'),
+        String(now.getDate()).padStart(2, '0')
+      ].join('-');
+      chrome.storage.local.get.mockResolvedValue({
+        genai_usage_ledger: {
+          [today]: { anthropic: { 'claude-opus-5': { requests: 1, inputTokens: tokens, outputTokens: 0 } } }
+        }
+      });
+    }
+
+    beforeEach(() => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: {
+          ...CONFIGURED.user_preferences,
+          budgets: { anthropic: { limit: 1000, unit: 'tokens' } }
+        }
+      });
+    });
+
+    it('refuses with BUDGET_EXCEEDED before calling the provider once the cap is hit', async () => {
+      usedToday(1000);
+
+      const response = await dispatch('EXTRACT_KEY_INSIGHTS', { text: 'some text' });
+
+      expect(response.success).toBe(false);
+      expect(response.errorCode).toBe('BUDGET_EXCEEDED');
+      expect(response.error).toContain('1,000 tokens of 1,000 tokens');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('warns when a request takes the month past 80% of the budget', async () => {
+      usedToday(850);
+      global.fetch.mockResolvedValue(okResponse({
+        content: [{ type: 'text', text: '- point' }],
+        usage: { input_tokens: 40, output_tokens: 10 }
+      }));
+
+      const response = await dispatch('EXTRACT_KEY_INSIGHTS', { text: 'some text' });
+
+      expect(response.success).toBe(true);
+      expect(chrome.notifications.create).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining("90% of this month's") })
+      );
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        genai_budget_warnings: { month: expect.any(String), providers: ['anthropic'] }
+      });
+    });
+
+    it('schedules a reset for the 1st and clears warnings when it fires', async () => {
+      const alarm = chrome.alarms.create.mock.calls.find(([name]) => name === 'resetMonthlyBudgets');
+      expect(new Date(alarm[1].when).getDate()).toBe(1);
+
+      const onAlarm = chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+      await onAlarm({ name: 'resetMonthlyBudgets' });
+
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith('genai_budget_warnings');
+      expect(chrome.alarms.create).toHaveBeenLastCalledWith('resetMonthlyBudgets', {
+        when: expect.any(Number)
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    beforeEach(() => {
+      global.fetch.mockImplementation((_url, init) => new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      }));
+    });
+
+    it('stops an in-flight request by its requestId and reports CANCELLED', async () => {
+      const handler = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+      const summaryResponse = vi.fn();
+      handler(
+        { actionType: 'GENERATE_CONTENT_SUMMARY', requestId: 'req-long', payload: { content: 'article text' } },
+        { id: 'mock-extension-id' },
+        summaryResponse
+      );
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+
+      const cancel = await dispatch('CANCEL_REQUEST', { requestId: 'req-long' });
+
+      expect(cancel.data).toEqual({ cancelled: true });
+      await vi.waitFor(() => expect(summaryResponse).toHaveBeenCalled());
+      expect(summaryResponse.mock.calls[0][0]).toMatchObject({
+        success: false,
+        errorCode: 'CANCELLED',
+        requestId: 'req-long'
+      });
+    });
+
+    it('says so when there is nothing left to cancel', async () => {
+      const cancel = await dispatch('CANCEL_REQUEST', { requestId: 'req-finished' });
+
+      expect(cancel.data).toEqual({ cancelled: false });
+    });
+
+    it('cancels a streamed request when the popup closes its port', async () => {
+      const connect = chrome.runtime.onConnect.addListener.mock.calls[0][0];
+      const port = {
+        name: 'genai-stream',
+        sender: { id: 'mock-extension-id' },
+        postMessage: vi.fn(),
+        onMessage: { addListener: vi.fn() },
+        onDisconnect: { addListener: vi.fn() }
+      };
+      connect(port);
+      port.onMessage.addListener.mock.calls[0][0]({
+        actionType: 'TRANSLATE_CONTENT',
+        requestId: 'req-stream',
+        payload: { text: 'hola' }
+      });
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+      const fetchSignal = global.fetch.mock.calls[0][1].signal;
+
+      port.onDisconnect.addListener.mock.calls[0][0]();
+
+      await vi.waitFor(() => expect(fetchSignal.aborted).toBe(true));
+      // Nothing is posted to a port that has gone away.
+      expect(port.postMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('provider fallback', () => {
+    const WITH_FALLBACK = {
+      user_preferences: {
+        ...CONFIGURED.user_preferences,
+        apiKeys: { anthropic: 'sk-ant-test', gemini: 'gm-test' },
+        fallbackProviders: ['gemini']
+      }
+    };
+    const GEMINI_REPLY = okResponse({ candidates: [{ content: { parts: [{ text: 'from gemini' }] } }] });
+
+    /**
+     * Anthropic fails with the given status; Gemini answers.
+     * @param {number} status
+     */
+    function anthropicFails(status) {
+      global.fetch.mockImplementation(async url => String(url).includes('anthropic')
+        ? {
+          ok: false,
+          status,
+          statusText: 'Failed',
+          headers: new Headers({ 'retry-after': '0' }),
+          json: vi.fn().mockResolvedValue({ error: { message: 'failed' } })
+        }
+        : GEMINI_REPLY);
+    }
+
+    it('asks the next provider when the preferred one is overloaded, and says so', async () => {
+      chrome.storage.sync.get.mockResolvedValue(WITH_FALLBACK);
+      anthropicFails(503);
+
+      const response = await dispatch('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
+
+      expect(response.success).toBe(true);
+      expect(response.data).toMatchObject({
+        summary: 'from gemini',
+        provider: 'gemini',
+        fallbackFrom: ['anthropic']
+      });
+    });
+
+    it('never falls back on an auth error', async () => {
+      chrome.storage.sync.get.mockResolvedValue(WITH_FALLBACK);
+      anthropicFails(401);
+
+      const response = await dispatch('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
+
+      expect(response.success).toBe(false);
+      expect(response.errorCode).toBe('AUTH_ERROR');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports an unavailable provider when no fallback is configured', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { ...WITH_FALLBACK.user_preferences, fallbackProviders: [] }
+      });
+      anthropicFails(503);
+
+      const response = await dispatch('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
+
+      expect(response.success).toBe(false);
+      expect(response.errorCode).toBe('PROVIDER_ERROR');
+      expect(global.fetch.mock.calls.every(([url]) => String(url).includes('anthropic'))).toBe(true);
+    });
+
+    it('labels an untouched answer as coming from the preferred provider', async () => {
+      chrome.storage.sync.get.mockResolvedValue(WITH_FALLBACK);
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+
+      const response = await dispatch('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
+
+      expect(response.data).toMatchObject({ provider: 'anthropic', fallbackFrom: [] });
+    });
+  });
+
+  describe('chat sessions', () => {
+    const QUESTION = {
+      question: 'What is it?',
+      context: 'An article about testing.',
+      url: 'https://example.com/post#intro',
+      title: 'Post'
+    };
+
+    it('files each answer under the page\'s session and returns its id', async () => {
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+
+      const response = await dispatch('ANSWER_CONTEXTUAL_QUESTION', QUESTION);
+
+      expect((await dispatch('LIST_CHAT_SESSIONS')).data).toHaveLength(1);
+      const session = (await dispatch('GET_CHAT_SESSION', { url: 'https://example.com/post' })).data;
+      expect(session).toMatchObject({ url: 'https://example.com/post', title: 'Post' });
+      expect(session.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+      expect(response.data.sessionId).toBe(session.id);
+    });
+
+    it('saves nothing when the user turned history off', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { ...CONFIGURED.user_preferences, features: { saveHistory: false } }
+      });
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+
+      const response = await dispatch('ANSWER_CONTEXTUAL_QUESTION', QUESTION);
+
+      expect(response.data.sessionId).toBeNull();
+      expect((await dispatch('LIST_CHAT_SESSIONS')).data).toEqual([]);
+    });
+
+    it('still answers when the session cannot be saved', async () => {
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+      vi.spyOn(indexedDB, 'open').mockImplementation(() => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      });
+
+      const response = await dispatch('ANSWER_CONTEXTUAL_QUESTION', QUESTION);
+
+      expect(response.success).toBe(true);
+      expect(response.data.answer).toBe('- point one\n- point two');
+    });
+
+    it('restores the latest session for a page', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        genai_chat_sessions: [{ id: 's1', url: 'https://example.com/post', messages: [] }]
+      });
+
+      const response = await dispatch('GET_CHAT_SESSION', { url: 'https://example.com/post#top' });
+
+      expect(response.data.id).toBe('s1');
+    });
+  });
+
+  describe('history', () => {
+    it('records the page a summary was made from, leaving tags for a vault export', async () => {
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+
+      await dispatch('GENERATE_CONTENT_SUMMARY', {
+        content: 'article text',
+        url: 'https://example.com/post',
+        title: 'Post',
+        summaryType: 'tldr',
+        targetLength: 'short'
+      });
+
+      const [entry] = (await dispatch('GET_HISTORY')).data.entries;
+      const saved = (await dispatch('GET_SUMMARY', { id: entry.id })).data;
+      expect(saved).toMatchObject({
+        url: 'https://example.com/post',
+        title: 'Post',
+        domain: 'example.com',
+        model: 'claude-opus-5',
+        options: { type: 'tldr', length: 'short' }
+      });
+      expect(saved).not.toHaveProperty('tags');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns a filtered page of history', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [
+          { id: 'a', domain: 'example.com', summary: 'A', provider: 'anthropic', timestamp: 2 },
+          { id: 'b', domain: 'other.org', summary: 'B', provider: 'anthropic', timestamp: 1 }
+        ]
+      });
+
+      const response = await dispatch('GET_HISTORY', { domain: 'other.org', offset: 0, limit: 20 });
+
+      expect(response.data.entries.map(entry => entry.id)).toEqual(['b']);
+      expect(response.data.domains).toEqual(['example.com', 'other.org']);
+    });
+
+    it('searches saved summaries and chats by their text', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [
+          { id: 'a', title: 'Launch', summary: 'The pricing change ships in May.', timestamp: 2 },
+          { id: 'b', title: 'Hiring', summary: 'Two new roles.', timestamp: 1 }
+        ]
+      });
+
+      const response = await dispatch('SEARCH_HISTORY', { query: 'pricing', offset: 0, limit: 20 });
+
+      expect(response.data.entries.map(entry => entry.id)).toEqual(['a']);
+      expect(response.data.entries[0].highlights).toEqual([[4, 11]]);
+    });
+
+    it('previews an import unless told to write it', async () => {
+      const file = JSON.stringify({
+        version: '4.1.0',
+        exportedAt: 1,
+        summaryHistory: [{ id: 'imported', summary: 'S', timestamp: 1 }]
+      });
+
+      const preview = await dispatch('IMPORT_USER_DATA', { data: file, mode: 'merge' });
+      expect(preview.data).toMatchObject({ dryRun: true, summaries: { added: 1 } });
+      expect((await dispatch('GET_HISTORY')).data.entries).toEqual([]);
+
+      await dispatch('IMPORT_USER_DATA', { data: file, mode: 'merge', dryRun: false });
+      expect((await dispatch('GET_HISTORY')).data.entries.map(entry => entry.id)).toEqual(['imported']);
+    });
+
+    it('exports history in the format asked for', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [{ id: 'a', summary: 'A', timestamp: 1, title: 'Page', url: 'https://example.com/' }]
+      });
+
+      const json = await dispatch('EXPORT_USER_DATA', {});
+      const markdown = await dispatch('EXPORT_USER_DATA', { format: 'markdown' });
+
+      expect(JSON.parse(json.data).summaryHistory.map(summary => summary.id)).toEqual(['a']);
+      expect(markdown.data).toContain('### Page\n\n- URL: <https://example.com/>');
+    });
+
+    it('names vault notes by the saved template', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { ...CONFIGURED.user_preferences, vaultFilenameTemplate: 'Web/{id}' }
+      });
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [{ id: 'a', summary: 'A', timestamp: 1, title: 'Page' }]
+      });
+
+      const response = await dispatch('EXPORT_USER_DATA', { format: 'vault' });
+
+      const archive = new TextDecoder().decode(fromBase64(response.data));
+      expect(archive).toContain('Web/a.md');
+      expect(archive).toContain('title: "Page"');
+    });
+
+    it('tags summaries for a vault export once, from the summary', async () => {
+      global.fetch.mockResolvedValueOnce(okResponse({
+        content: [{ type: 'tool_use', name: 'report_tags', input: { tags: ['Browser Extensions', ' AI '] } }]
+      }));
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [
+          { id: 'a', summary: 'Extensions get an AI sidebar.', timestamp: 2, title: 'Page' },
+          { id: 'b', summary: 'Tagged before.', timestamp: 1, title: 'Older', tags: ['news'] }
+        ]
+      });
+
+      const first = await dispatch('EXPORT_USER_DATA', { format: 'vault' });
+      await dispatch('EXPORT_USER_DATA', { format: 'vault' });
+
+      const archive = new TextDecoder().decode(fromBase64(first.data));
+      expect(archive).toContain('tags:\n  - "browser-extensions"\n  - "ai"');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages[0].content).toContain('Extensions get an AI sidebar.');
+    });
+
+    it('exports a vault untagged when tagging fails', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: vi.fn().mockResolvedValue({ error: { message: 'invalid x-api-key' } })
+      });
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [
+          { id: 'a', summary: 'A', timestamp: 2, title: 'Page' },
+          { id: 'b', summary: 'B', timestamp: 1, title: 'Older' }
+        ]
+      });
+
+      const response = await dispatch('EXPORT_USER_DATA', { format: 'vault' });
+
+      expect(response.success).toBe(true);
+      expect(new TextDecoder().decode(fromBase64(response.data))).not.toContain('tags:');
+      // One summary fails and the other is not tried.
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('deletes a summary or a chat by kind', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        genai_summary_history: [{ id: 'a', summary: 'A', timestamp: 1 }],
+        genai_chat_sessions: [{ id: 'a', url: 'https://example.com/', messages: [] }]
+      });
+
+      const response = await dispatch('DELETE_HISTORY_ENTRY', { kind: 'chat', id: 'a' });
+
+      expect(response.data.deleted).toBe(true);
+      const history = await dispatch('GET_HISTORY');
+      expect(history.data.entries.map(entry => `${entry.kind}:${entry.id}`)).toEqual(['summary:a']);
+    });
+  });
+
+  describe('streaming', () => {
+    it('posts text chunks over the port before the final envelope', async () => {
+      global.fetch.mockResolvedValue(claudeStream(['- point', ' one']));
+
+      const posted = await dispatchStream('GENERATE_CONTENT_SUMMARY', { content: 'article text' });
+
+      expect(posted.filter(m => m.type === 'chunk').map(m => m.text)).toEqual(['- point', ' one']);
+      expect(posted.at(-1)).toMatchObject({
+        type: 'done',
+        success: true,
+        requestId: 'req-1',
+        data: { summary: '- point one', provider: 'anthropic' }
+      });
+    });
+
+    it('streams a follow-up question as native turns with the page sent once', async () => {
+      global.fetch.mockResolvedValue(claudeStream(['Throughput.']));
+
+      const posted = await dispatchStream('ANSWER_CONTEXTUAL_QUESTION', {
+        question: 'And the second?',
+        context: 'Latency and throughput matter.',
+        conversationHistory: [
+          { role: 'user', content: 'First point?' },
+          { role: 'assistant', content: 'Latency.' }
+        ]
+      });
+
+      expect(posted.at(-1)).toMatchObject({ success: true, data: { answer: 'Throughput.' } });
+      const { messages } = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+      expect(messages[0].content[0]).toMatchObject({ cache_control: { type: 'ephemeral' } });
+      expect(messages[0].content[0].text).toContain('Latency and throughput matter.');
+      expect(JSON.stringify(messages.slice(1))).not.toContain('Latency and throughput matter.');
+      expect(messages[2].content).toBe('And the second?');
+    });
+
+    it('reports failures through the same envelope as a one-shot message', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { initialized: true, preferredProvider: 'anthropic', apiKeys: {} }
+      });
+
+      const posted = await dispatchStream('TRANSLATE_CONTENT', { text: 'hola' });
+
+      expect(posted).toHaveLength(1);
+      expect(posted[0]).toMatchObject({ type: 'done', success: false, errorCode: 'MISSING_API_KEY' });
+    });
+  });
+
   describe('page content extraction', () => {
     it('uses the tab id the popup supplies, since popup messages carry no sender.tab', async () => {
       chrome.tabs.sendMessage.mockResolvedValue({ success: true, data: { mainText: 'page text' } });
@@ -134,7 +751,88 @@ describe('Extension workflow', () => {
       const response = await dispatch('EXTRACT_PAGE_CONTENT', { tabId: 42 });
 
       expect(response.success).toBe(true);
-      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'extractContent' });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'extractContent', format: 'text' }, { frameId: 0 });
+    });
+
+    it('asks the content script for Markdown when the popup does', async () => {
+      chrome.tabs.sendMessage.mockResolvedValue({ success: true, data: { mainText: 'text', markdown: '# text' } });
+
+      const response = await dispatch('EXTRACT_PAGE_CONTENT', { tabId: 42, format: 'markdown' });
+
+      expect(response.data.markdown).toBe('# text');
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'extractContent', format: 'markdown' }, { frameId: 0 });
+    });
+
+    it('fills in the text of cross-origin frames where the page left them', async () => {
+      chrome.tabs.sendMessage.mockImplementation(async (_tabId, message, { frameId }) => {
+        if (message.action === 'extractContent') {
+          return {
+            success: true,
+            data: {
+              mainText: 'Intro\n\n\uE0003\uE001\n\n\uE0005\uE001\n\nMiddle\n\n\uE0004\uE001\n\nOutro',
+              markdown: '# Intro\n\n\uE0003\uE001\n\n\uE0005\uE001\n\nMiddle\n\n\uE0004\uE001\n\nOutro'
+            }
+          };
+        }
+        // Frames 3 and 4 could share an address; each answers for itself.
+        if (frameId === 3) return { success: true, data: { mainText: 'First video', markdown: '## First video' } };
+        if (frameId === 4) return { success: true, data: { mainText: 'Second video', markdown: '## Second video' } };
+        throw new Error('Could not establish connection');
+      });
+
+      const response = await dispatch('EXTRACT_PAGE_CONTENT', { tabId: 42, format: 'markdown' });
+
+      expect(response.data.mainText).toBe('Intro\n\nFirst video\n\nMiddle\n\nSecond video\n\nOutro');
+      expect(response.data.markdown).toBe('# Intro\n\n## First video\n\nMiddle\n\n## Second video\n\nOutro');
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'extractFrame', format: 'markdown' }, { frameId: 3 });
+      // The page itself, then each marked frame once.
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(4);
+    });
+
+    it('reads a PDF itself, page by page, since no content script runs in the viewer', async () => {
+      chrome.tabs.get.mockResolvedValueOnce({ url: 'https://example.com/q3/report.pdf', title: 'Q3 report' });
+      global.fetch.mockResolvedValueOnce(pdfResponse());
+
+      const response = await dispatch('EXTRACT_PAGE_CONTENT', { tabId: 42, format: 'markdown' });
+
+      expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+      expect(global.fetch).toHaveBeenCalledWith('https://example.com/q3/report.pdf', { credentials: 'include' });
+      expect(response.data).toMatchObject({
+        title: 'Q3 report',
+        contentFormat: 'pdf',
+        pageCount: 2,
+        headings: [{ level: 1, text: '[Page 1]' }, { level: 1, text: '[Page 2]' }]
+      });
+      expect(response.data.mainText).toMatch(/^\[Page 1\]\nQuarterly report\n[^]*\n\n\[Page 2\]\nOutlook: hiring/);
+    });
+
+    it('recognises a PDF without a .pdf address by its content type', async () => {
+      chrome.tabs.get.mockResolvedValueOnce({ url: 'https://example.com/download?id=7', title: 'Report' });
+      chrome.tabs.sendMessage.mockRejectedValue(new Error('Receiving end does not exist'));
+      global.fetch.mockResolvedValueOnce(pdfResponse());
+
+      const response = await dispatch('EXTRACT_PAGE_CONTENT', { tabId: 42 });
+
+      expect(response.data.mainText).toContain('[Page 2]\nOutlook: hiring resumes in spring.');
+    });
+
+    it('still reports an unreadable page when the address is not a PDF either', async () => {
+      chrome.tabs.get.mockResolvedValueOnce({ url: 'https://example.com/app', title: 'App' });
+      chrome.tabs.sendMessage.mockRejectedValue(new Error('Receiving end does not exist'));
+      global.fetch.mockResolvedValueOnce(pdfResponse('text/html'));
+
+      const response = await dispatch('EXTRACT_PAGE_CONTENT', { tabId: 42 });
+
+      expect(response.errorCode).toBe('CONTENT_SCRIPT_UNAVAILABLE');
+    });
+
+    it('asks for page citations when summarizing a PDF', async () => {
+      global.fetch.mockResolvedValue(CLAUDE_REPLY);
+
+      await dispatch('GENERATE_CONTENT_SUMMARY', { content: '[Page 1]\nRevenue grew.', contentFormat: 'pdf' });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(JSON.stringify(body.system)).toContain('Cite the page each point comes from as (p. N).');
     });
 
     it('explains why restricted pages cannot be read', async () => {
@@ -156,6 +854,102 @@ describe('Extension workflow', () => {
   });
 
   describe('analysis actions', () => {
+    it('explains a table sent as Markdown and answers questions about it', async () => {
+      global.fetch.mockResolvedValue(okResponse({ content: [{ type: 'text', text: 'Basic is cheapest.' }] }));
+      const table = { caption: 'Prices', headers: ['Plan', 'Price'], rows: [['Basic', '$5'], ['Pro', '$20']] };
+
+      const response = await dispatch('EXPLAIN_TABLE', { table, question: 'Which plan is cheapest?' });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(response.data.text).toBe('Basic is cheapest.');
+      expect(JSON.stringify(body.messages)).toContain('| Plan | Price |\\n| --- | --- |\\n| Basic | $5 |');
+      expect(JSON.stringify(body.messages)).toContain('Which plan is cheapest?');
+    });
+
+    it('refuses to explain a table with no rows', async () => {
+      const response = await dispatch('EXPLAIN_TABLE', { table: { caption: '', headers: ['A'], rows: [] } });
+
+      expect(response.success).toBe(false);
+      expect(response.errorCode).toBe('NO_CONTENT');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('asks for sentiment as a forced tool call and returns its fields', async () => {
+      global.fetch.mockResolvedValue(okResponse({
+        content: [{ type: 'tool_use', name: 'report_sentiment', input: { sentiment: 'mixed', reason: 'praise and gripes' } }]
+      }));
+
+      const response = await dispatch('ANALYZE_SENTIMENT', { text: 'A mixed review.' });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'report_sentiment' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(response.data.sentiment).toBe('mixed');
+      expect(response.data.reason).toBe('praise and gripes');
+    });
+
+    it('falls back to the line format when structured output fails validation', async () => {
+      global.fetch
+        .mockResolvedValueOnce(okResponse({
+          content: [{ type: 'tool_use', name: 'report_sentiment', input: { sentiment: 'ecstatic' } }]
+        }))
+        .mockResolvedValueOnce(
+          okResponse({ content: [{ type: 'text', text: 'Sentiment: positive\nReason: upbeat tone' }] })
+        );
+
+      const response = await dispatch('ANALYZE_SENTIMENT', { text: 'A glowing review.' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).tools).toBeUndefined();
+      expect(response.data.sentiment).toBe('positive');
+    });
+
+    it('does not retry as plain text after an auth error', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        json: vi.fn().mockResolvedValue({ error: { message: 'invalid x-api-key' } })
+      });
+
+      const response = await dispatch('ANALYZE_SENTIMENT', { text: 'A review.' });
+
+      expect(response.errorCode).toBe('AUTH_ERROR');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns entities located in the page text', async () => {
+      global.fetch.mockResolvedValue(okResponse({
+        content: [{
+          type: 'tool_use',
+          name: 'report_entities',
+          input: { entities: [{ name: 'Ada Lovelace', type: 'person' }, { name: 'London', type: 'place' }] }
+        }]
+      }));
+
+      const response = await dispatch('EXTRACT_ENTITIES', { text: 'Ada Lovelace lived in London.' });
+
+      expect(response.data.entities).toEqual([
+        { type: 'person', name: 'Ada Lovelace', mentions: 1, offset: 0 },
+        { type: 'place', name: 'London', mentions: 1, offset: 22 }
+      ]);
+    });
+
+    it('locates entities parsed from a plain list when structured output is unavailable', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 400,
+          statusText: 'Bad Request',
+          json: vi.fn().mockResolvedValue({ error: { message: 'tools are not supported' } })
+        })
+        .mockResolvedValueOnce(okResponse({ content: [{ type: 'text', text: '**Places**\n- Paris' }] }));
+
+      const response = await dispatch('EXTRACT_ENTITIES', { text: 'Paris, then Paris again.' });
+
+      expect(response.data.entities).toEqual([{ type: 'place', name: 'Paris', mentions: 2, offset: 0 }]);
+    });
+
     it('parses a sentiment reply into structured fields', async () => {
       global.fetch.mockResolvedValue(
         okResponse({ content: [{ type: 'text', text: 'Sentiment: positive\nReason: upbeat tone' }] })
@@ -179,6 +973,57 @@ describe('Extension workflow', () => {
     });
   });
 
+  describe('smart bookmarks', () => {
+    const PAGE = { url: 'https://news.example/story', title: 'Story', content: 'An article about browsers.' };
+
+    it('saves the page with a summary and tags, then lists it by tag', async () => {
+      global.fetch
+        .mockResolvedValueOnce(okResponse({ content: [{ type: 'text', text: 'Browsers are changing.' }] }))
+        .mockResolvedValue(okResponse({ content: [{ type: 'text', text: 'Browsers, Web Platform' }] }));
+
+      const saved = await dispatch('SAVE_SMART_BOOKMARK', PAGE);
+
+      expect(saved.data).toMatchObject({
+        url: PAGE.url,
+        summary: 'Browsers are changing.',
+        tags: ['browsers', 'web platform'],
+        provider: 'anthropic'
+      });
+      const listed = await dispatch('LIST_BOOKMARKS', { tag: 'web' });
+      expect(listed.data.bookmarks.map(bookmark => bookmark.id)).toEqual([saved.data.id]);
+      expect(listed.data.tags).toEqual([{ tag: 'browsers', count: 1 }, { tag: 'web platform', count: 1 }]);
+    });
+
+    it('saves without tags when tagging fails', async () => {
+      global.fetch
+        .mockResolvedValueOnce(CLAUDE_REPLY)
+        .mockResolvedValue({
+          ok: false,
+          status: 401,
+          statusText: 'Unauthorized',
+          json: vi.fn().mockResolvedValue({ error: { message: 'invalid x-api-key' } })
+        });
+
+      const saved = await dispatch('SAVE_SMART_BOOKMARK', PAGE);
+
+      expect(saved.success).toBe(true);
+      expect(saved.data.tags).toEqual([]);
+    });
+
+    it('counts each open and deletes by id', async () => {
+      chrome.storage.local.get.mockResolvedValue({
+        genai_smart_bookmarks: [{ id: 'b1', url: PAGE.url, createdAt: 1, lastAccessed: 1, accessCount: 0 }]
+      });
+
+      const opened = await dispatch('OPEN_BOOKMARK', { id: 'b1' });
+
+      expect(opened.data).toMatchObject({ url: PAGE.url, accessCount: 1 });
+      expect(opened.data.lastAccessed).toBeGreaterThan(1);
+      expect((await dispatch('DELETE_BOOKMARK', { id: 'b1' })).data.deleted).toBe(true);
+      expect((await dispatch('LIST_BOOKMARKS', {})).data.bookmarks).toEqual([]);
+    });
+  });
+
   describe('message validation', () => {
     it('rejects a message with no actionType', async () => {
       const handler = chrome.runtime.onMessage.addListener.mock.calls[0][0];
@@ -195,6 +1040,22 @@ describe('Extension workflow', () => {
     });
   });
 
+  describe('updates', () => {
+    it('migrates stored preferences when the extension is updated', async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        user_preferences: { ...CONFIGURED.user_preferences, fallbackProviders: ['cohere'] }
+      });
+      const installHandler = chrome.runtime.onInstalled.addListener.mock.calls[0][0];
+
+      await installHandler({ reason: 'update', previousVersion: '4.2.0' });
+
+      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
+        user_preferences: expect.objectContaining({ fallbackProviders: [], schemaVersion: '1.0.0' })
+      });
+      expect(chrome.runtime.openOptionsPage).not.toHaveBeenCalled();
+    });
+  });
+
   describe('context menus', () => {
     it('registers menu items on install', async () => {
       const installHandler = chrome.runtime.onInstalled.addListener.mock.calls[0][0];
@@ -224,10 +1085,15 @@ describe('Extension workflow', () => {
       global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
       const clickHandler = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
 
-      await clickHandler(
+      // Network failures are retried with backoff; skip the waits.
+      vi.useFakeTimers();
+      const handled = clickHandler(
         { menuItemId: 'genai-summarize-selection', selectionText: 'text' },
         { id: 1 }
       );
+      await vi.runAllTimersAsync();
+      await handled;
+      vi.useRealTimers();
 
       expect(chrome.notifications.create).toHaveBeenCalledWith(
         expect.objectContaining({ message: expect.stringContaining('Failed to fetch') })
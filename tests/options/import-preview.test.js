@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { describeImport } from '../../options.js';
+
+const NONE = { added: 0, duplicates: 0, removed: 0, trimmed: 0 };
+
+/** @param {Record<string, any>} [overrides] */
+function report(overrides = {}) {
+  return /** @type {import('../../services/storage-service.js').ImportReport} */ ({
+    mode: 'merge',
+    dryRun: true,
+    summaries: NONE,
+    conversations: NONE,
+    bookmarks: NONE,
+    invalid: 0,
+    problems: [],
+    preferencesIgnored: false,
+    ...overrides
+  });
+}
+
+describe('describeImport', () => {
+  it('previews one line per kind of record touched', () => {
+    const lines = describeImport(report({
+      summaries: { added: 3, duplicates: 2, removed: 0, trimmed: 0 },
+      bookmarks: { added: 1, duplicates: 0, removed: 4, trimmed: 1 }
+    }));
+
+    expect(lines.map(line => line.text)).toEqual([
+      'Summaries: 3 to add, 2 already saved, skipped',
+      'Bookmarks: 1 to add, 4 saved now, to be deleted, 1 oldest dropped to stay within the limit'
+    ]);
+  });
+
+  it('reports in the past tense once the import ran', () => {
+    const lines = describeImport(report({
+      dryRun: false,
+      conversations: { added: 2, duplicates: 0, removed: 1, trimmed: 0 }
+    }));
+
+    expect(lines[0]?.text).toBe('Chats: 2 added, 1 deleted');
+  });
+
+  it('flags invalid records with the first few reasons', () => {
+    const problems = Array.from({ length: 8 }, (_, i) => `$.bookmarks[${i}].url is missing`);
+
+    const lines = describeImport(report({ invalid: 8, problems, preferencesIgnored: true }));
+
+    expect(lines[0]?.text).toBe('Nothing to import');
+    expect(lines.filter(line => line.problem)).toHaveLength(6);
+    expect(lines.at(-1)?.text).toBe('Settings in the file are not imported');
+  });
+});
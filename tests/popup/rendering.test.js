@@ -3,7 +3,16 @@ import {
   renderMarkdown,
   escapeHtml,
   countWords,
-  readabilityScore
+  describeProvider,
+  readabilityScore,
+  renderEntities,
+  renderChatSessions,
+  renderHistoryEntries,
+  historyDateRange,
+  entitiesToCsv,
+  renderTags,
+  renderBookmarks,
+  renderTables
 } from '../../scripts/popup-main.js';
 
 describe('popup rendering', () => {
@@ -91,4 +100,182 @@ describe('popup rendering', () => {
       expect(readabilityScore('The cat sat. The dog ran.').level).toEqual(expect.any(String));
     });
   });
+
+  describe('describeProvider', () => {
+    it('names the provider and model that answered', () => {
+      expect(describeProvider({ provider: 'anthropic', model: 'claude' })).toBe('anthropic · claude');
+    });
+
+    it('says which providers were skipped when a fallback answered', () => {
+      expect(
+        describeProvider({ provider: 'local', model: 'llama3.2', fallbackFrom: ['anthropic', 'gemini'] })
+      ).toBe('local · llama3.2 (anthropic, gemini unavailable)');
+    });
+  });
+
+  describe('entities', () => {
+    const ENTITIES = [
+      { type: 'person', name: 'Ada <b>Lovelace</b>', mentions: 3, offset: 0 },
+      { type: 'place', name: 'London', mentions: 1, offset: 40 },
+      { type: 'place', name: 'Atlantis', mentions: 0, offset: -1 }
+    ];
+
+    it('renders a filter per type present, with counts', () => {
+      const html = renderEntities(ENTITIES);
+
+      expect(html).toContain('data-filter="all">All (3)');
+      expect(html).toContain('data-filter="person">People (1)');
+      expect(html).toContain('data-filter="place">Places (2)');
+      expect(html).not.toContain('data-filter="date"');
+    });
+
+    it('escapes names and disables chips with nothing to scroll to', () => {
+      const html = renderEntities(ENTITIES);
+
+      expect(html).not.toContain('<b>');
+      expect(html).toContain('Ada &lt;b&gt;Lovelace&lt;/b&gt;');
+      expect(html).toMatch(/data-index="2"[^>]*disabled/);
+      expect(html).not.toMatch(/data-index="1"[^>]*disabled/);
+    });
+
+    it('says so when there are none', () => {
+      expect(renderEntities([])).toContain('No entities found');
+    });
+
+    it('exports one CSV row per entity', () => {
+      expect(entitiesToCsv(ENTITIES.slice(1)).split('\r\n')).toEqual([
+        'type,name,mentions,offset',
+        'place,London,1,40',
+        'place,Atlantis,0,-1'
+      ]);
+    });
+  });
+
+  describe('renderTags', () => {
+    it('lists tags escaped, with a CSV export', () => {
+      const html = renderTags(['ai', '<b>news</b>']);
+
+      expect(html).toContain('ai, &lt;b&gt;news&lt;/b&gt;');
+      expect(html).toContain('id="export-tags-btn"');
+    });
+
+    it('says so when there are none', () => {
+      expect(renderTags([])).toContain('No tags generated');
+    });
+  });
+
+  describe('renderBookmarks', () => {
+    it('shows the summary\'s first line and each tag as a filter', () => {
+      const html = renderBookmarks([{
+        id: 'b"1',
+        url: 'https://a.example/',
+        title: '<Story>',
+        domain: 'a.example',
+        summary: 'First line\nSecond line',
+        tags: ['web platform'],
+        createdAt: 0,
+        accessCount: 2
+      }]);
+
+      expect(html).toContain('&lt;Story&gt;');
+      expect(html).toContain('opened 2 times');
+      expect(html).toContain('First line');
+      expect(html).not.toContain('Second line');
+      expect(html).toContain('data-action="tag" data-tag="web platform"');
+      expect(html).toContain('data-bookmark-id="b&quot;1"');
+    });
+
+    it('says so when none match', () => {
+      expect(renderBookmarks([])).toContain('No bookmarks match');
+    });
+  });
+
+  describe('renderTables', () => {
+    it('lists each table by caption or number, with its size and columns', () => {
+      const html = renderTables([
+        { caption: '<Prices>', headers: ['Plan', 'Price'], rows: [['Basic', '$5'], ['Pro', '$20']] },
+        { caption: '', headers: [], rows: [['a']] }
+      ]);
+
+      expect(html).toContain('&lt;Prices&gt;');
+      expect(html).toContain('2 rows × 2 columns');
+      expect(html).toContain('Plan · Price');
+      expect(html).toContain('Table 2');
+      expect(html).toContain('1 row × 1 column');
+      expect(html).toContain('data-table-action="explain" data-index="1"');
+      expect(html).toContain('data-table-action="csv" data-index="0"');
+      expect(html).toContain('id="table-question"');
+    });
+
+    it('says so when the page has none', () => {
+      expect(renderTables([])).toContain('No data tables');
+    });
+  });
+
+  describe('renderChatSessions', () => {
+    const SESSIONS = [
+      { id: 'a', url: 'https://example.com/post', title: 'Post', domain: 'example.com', updatedAt: 0, messageCount: 2, preview: 'What?' },
+      { id: 'b', url: 'https://other.org/', title: '<i>Other</i>', domain: 'other.org', updatedAt: 0, messageCount: 1, preview: '' }
+    ];
+
+    it('offers to resume this page\'s chats in place and to open other pages', () => {
+      const html = renderChatSessions(SESSIONS, 'https://example.com/post#section');
+
+      expect(html).toMatch(/data-action="resume" data-session-id="a">Resume</);
+      expect(html).toMatch(/data-action="resume" data-session-id="b">Open page</);
+      expect(html).toContain('This page · 2 messages');
+      expect(html).toContain('other.org · 1 message ·');
+    });
+
+    it('escapes titles taken from pages', () => {
+      expect(renderChatSessions(SESSIONS)).toContain('&lt;i&gt;Other&lt;/i&gt;');
+    });
+
+    it('says so when nothing is saved', () => {
+      expect(renderChatSessions([])).toContain('No saved chats yet');
+    });
+  });
+
+  describe('renderHistoryEntries', () => {
+    const ENTRIES = [
+      { kind: /** @type {const} */ ('summary'), id: 'a', title: 'Post', url: 'https://example.com/post', domain: 'example.com', provider: 'openai', timestamp: 0, preview: 'Short.' },
+      { kind: /** @type {const} */ ('chat'), id: 'b', title: '<i>Other</i>', url: 'https://other.org/', domain: 'other.org', provider: '', timestamp: 0, preview: 'Why?' }
+    ];
+
+    it('labels each entry and tags its actions with kind and id', () => {
+      const html = renderHistoryEntries(ENTRIES, 'https://example.com/post#top');
+
+      expect(html).toContain('Summary · This page · openai ·');
+      expect(html).toContain('Chat · other.org ·');
+      expect(html).toContain('data-action="open" data-kind="chat" data-history-id="b"');
+      expect(html).toContain('data-action="delete" data-kind="summary" data-history-id="a"');
+      expect(html).toContain('&lt;i&gt;Other&lt;/i&gt;');
+    });
+
+    it('shows search results\' snippets with the matches marked, escaped', () => {
+      const html = renderHistoryEntries([
+        { ...ENTRIES[0], snippet: 'a <b>pricing</b> note', highlights: [[5, 12]] }
+      ]);
+
+      expect(html).toContain('<div class="history-item-snippet">a &lt;b&gt;<mark>pricing</mark>&lt;/b&gt; note</div>');
+      expect(html).not.toContain('history-item-preview');
+    });
+
+    it('says so when nothing matches', () => {
+      expect(renderHistoryEntries([])).toContain('No saved summaries or chats match');
+    });
+  });
+
+  describe('historyDateRange', () => {
+    it('covers both days in full, local time', () => {
+      const { from, to } = historyDateRange('2026-03-01', '2026-03-02');
+
+      expect(from).toBe(new Date(2026, 2, 1).getTime());
+      expect(to).toBe(new Date(2026, 2, 3).getTime() - 1);
+    });
+
+    it('leaves an empty end open', () => {
+      expect(historyDateRange('', '')).toEqual({});
+    });
+  });
 });
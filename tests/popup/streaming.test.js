@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+
+/** What the background answers each one-shot message with. @type {Record<string, any>} */
+const REPLIES = {
+  GET_PROVIDER_STATUS: { success: true, data: { provider: 'anthropic', configured: true } },
+  EXTRACT_PAGE_CONTENT: { success: true, data: { mainText: 'Page text', title: 'Page', url: 'https://example.com/' } },
+  GET_CHAT_SESSION: { success: true, data: null },
+  CANCEL_REQUEST: { success: true, data: { cancelled: true } }
+};
+
+/** @param {string} id */
+const visible = id => /** @type {HTMLElement} */ (document.getElementById(id)).style.display !== 'none';
+
+describe('popup streaming', () => {
+  beforeAll(async () => {
+    // The body only: parsed apart, so its stylesheet is never fetched.
+    const page = new DOMParser().parseFromString(readFileSync(resolve('popup.html'), 'utf8'), 'text/html');
+    document.body.innerHTML = page.body.innerHTML;
+    chrome.tabs.query.mockResolvedValue([{ id: 7, url: 'https://example.com/', title: 'Page' }]);
+    chrome.runtime.sendMessage.mockImplementation(async message => REPLIES[message.actionType]);
+
+    await import('../../scripts/popup-main.js');
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    await vi.waitFor(() => expect(document.getElementById('page-info')?.title).toBe('2 words'));
+  });
+
+  it('can still cancel a summary once its text has started arriving', async () => {
+    /** @type {(message: any) => void} */
+    let deliver = () => {};
+    const port = {
+      postMessage: vi.fn(),
+      disconnect: vi.fn(),
+      onMessage: { addListener: vi.fn(listener => { deliver = listener; }) },
+      onDisconnect: { addListener: vi.fn() }
+    };
+    chrome.runtime.connect.mockReturnValue(port);
+
+    document.getElementById('generate-summary-btn')?.click();
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+    const { requestId } = port.postMessage.mock.calls[0][0];
+    deliver({ type: 'chunk', text: '- first point' });
+
+    expect(visible('loading-overlay')).toBe(false);
+    expect(visible('stream-cancel-btn')).toBe(true);
+
+    document.getElementById('stream-cancel-btn')?.click();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ actionType: 'CANCEL_REQUEST', payload: { requestId } })
+    );
+
+    deliver({ type: 'done', requestId, success: false, error: 'Cancelled', errorCode: 'CANCELLED' });
+    await vi.waitFor(() => expect(visible('stream-cancel-btn')).toBe(false));
+    await vi.waitFor(() => expect(document.getElementById('toast-container')?.textContent).toBe('Cancelled'));
+  });
+});
@@ -1,19 +1,60 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { AIClient, AIError, PROVIDERS } from '../../providers/ai-client.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  AIClient,
+  AIError,
+  PROVIDERS,
+  isUnavailableError,
+  readServerSentEvents
+} from '../../providers/ai-client.js';
 
 /**
  * @param {any} body
- * @param {{ ok?: boolean, status?: number, statusText?: string }} [init]
+ * @param {{ ok?: boolean, status?: number, statusText?: string, headers?: Record<string, string> }} [init]
  */
 function mockResponse(body, init = {}) {
   return {
     ok: init.ok !== false,
     status: init.status ?? 200,
     statusText: init.statusText ?? 'OK',
+    headers: new Headers(init.headers || {}),
     json: vi.fn().mockResolvedValue(body)
   };
 }
 
+/**
+ * Settle a request under fake timers, fast-forwarding through retry waits.
+ *
+ * @param {Promise<any>} request
+ */
+async function withoutWaiting(request) {
+  request.catch(() => {});
+  await vi.runAllTimersAsync();
+  return request;
+}
+
+/**
+ * A 200 response whose body streams the given raw chunks.
+ *
+ * @param {string[]} chunks
+ */
+function streamResponse(chunks) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    })
+  };
+}
+
+/** @param {any} data */
+const sse = data => `data: ${JSON.stringify(data)}\n\n`;
+
 const ANTHROPIC_OK = { content: [{ type: 'text', text: '  a summary  ' }] };
 const OPENAI_OK = { choices: [{ message: { content: 'a summary' } }] };
 const GEMINI_OK = { candidates: [{ content: { parts: [{ text: 'a summary' }] } }] };
@@ -45,6 +86,13 @@ describe('AIClient', () => {
       expect(client.model).toBe(PROVIDERS.anthropic.defaultModel);
     });
 
+    it('lets a self-hosted provider run without a key but not without a URL', () => {
+      expect(() => new AIClient({ provider: 'local', baseUrl: 'http://localhost:11434/v1' }))
+        .not.toThrow();
+      expect(() => new AIClient({ provider: 'local', apiKey: 'k' }))
+        .toThrow(expect.objectContaining({ code: 'MISSING_BASE_URL' }));
+    });
+
     it('honours an explicit model override', () => {
       const client = new AIClient({ provider: 'openai', apiKey: 'k', model: 'gpt-5' });
       expect(client.model).toBe('gpt-5');
@@ -100,9 +148,116 @@ describe('AIClient', () => {
       expect(init.headers['x-goog-api-key']).toBe('AIza-test');
       expect(JSON.parse(init.body).system_instruction.parts[0].text).toBe('system prompt');
     });
+
+    it('sends a local server the chat-completions shape at its own base URL', async () => {
+      global.fetch.mockResolvedValue(mockResponse(OPENAI_OK));
+      const client = new AIClient({
+        provider: 'local',
+        baseUrl: 'http://localhost:11434/v1/',
+        model: 'llama3.2'
+      });
+
+      await client.complete('system prompt', 'user prompt', 300);
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      // No key configured means no Authorization header at all, not "Bearer ".
+      expect(init.headers).not.toHaveProperty('Authorization');
+      const body = JSON.parse(init.body);
+      expect(body.model).toBe('llama3.2');
+      expect(body.max_tokens).toBe(300);
+    });
+
+    it('sends a local server its optional key as a bearer token', async () => {
+      global.fetch.mockResolvedValue(mockResponse(OPENAI_OK));
+      const client = new AIClient({ provider: 'local', apiKey: 'lm-key', baseUrl: 'http://127.0.0.1:1234/v1' });
+
+      await client.complete('s', 'u');
+
+      expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer lm-key');
+    });
+  });
+
+  describe('chat', () => {
+    /** @type {import('../../providers/ai-client.js').ChatMessage[]} */
+    const MESSAGES = [
+      { role: 'user', content: 'PAGE', pinned: true },
+      { role: 'user', content: 'first?' },
+      { role: 'assistant', content: 'one.' },
+      { role: 'user', content: 'second?' }
+    ];
+
+    it('sends Anthropic native turns with the pinned page marked cacheable', async () => {
+      global.fetch.mockResolvedValue(mockResponse(ANTHROPIC_OK));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      expect(await client.chat('sys', MESSAGES, 300)).toBe('a summary');
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.system).toBe('sys');
+      expect(body.messages).toEqual([
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'PAGE', cache_control: { type: 'ephemeral' } },
+            { type: 'text', text: 'first?' }
+          ]
+        },
+        { role: 'assistant', content: 'one.' },
+        { role: 'user', content: 'second?' }
+      ]);
+    });
+
+    it('sends OpenAI the system prompt then one message per turn', async () => {
+      global.fetch.mockResolvedValue(mockResponse(OPENAI_OK));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await client.chat('sys', MESSAGES);
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages).toEqual([
+        { role: 'system', content: 'sys' },
+        { role: 'user', content: 'PAGE\n\nfirst?' },
+        { role: 'assistant', content: 'one.' },
+        { role: 'user', content: 'second?' }
+      ]);
+    });
+
+    it('sends Gemini user and model turns', async () => {
+      global.fetch.mockResolvedValue(mockResponse(GEMINI_OK));
+      const client = new AIClient({ provider: 'gemini', apiKey: 'k' });
+
+      await client.chat('sys', MESSAGES);
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).contents).toEqual([
+        { role: 'user', parts: [{ text: 'PAGE' }, { text: 'first?' }] },
+        { role: 'model', parts: [{ text: 'one.' }] },
+        { role: 'user', parts: [{ text: 'second?' }] }
+      ]);
+    });
+
+    it('streams when given a delta handler', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'two.' } })
+      ]));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+      const onDelta = vi.fn();
+
+      expect(await client.chat('sys', MESSAGES, 300, onDelta)).toBe('two.');
+
+      expect(onDelta).toHaveBeenCalledWith('two.');
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
   });
 
   describe('failure modes', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
     it('classifies 401 as an auth error', async () => {
       global.fetch.mockResolvedValue(
         mockResponse({ error: { message: 'invalid x-api-key' } }, { ok: false, status: 401 })
@@ -114,13 +269,13 @@ describe('AIClient', () => {
 
     it('classifies other non-2xx responses as provider errors and keeps the message', async () => {
       global.fetch.mockResolvedValue(
-        mockResponse({ error: { message: 'rate limited' } }, { ok: false, status: 429 })
+        mockResponse({ error: { message: 'max_tokens too large' } }, { ok: false, status: 400 })
       );
       const client = new AIClient({ provider: 'openai', apiKey: 'k' });
 
       await expect(client.complete('s', 'u')).rejects.toMatchObject({
         code: 'PROVIDER_ERROR',
-        message: expect.stringContaining('rate limited')
+        message: expect.stringContaining('max_tokens too large')
       });
     });
 
@@ -144,7 +299,7 @@ describe('AIClient', () => {
       });
       const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
 
-      await expect(client.complete('s', 'u')).rejects.toMatchObject({
+      await expect(withoutWaiting(client.complete('s', 'u'))).rejects.toMatchObject({
         message: expect.stringContaining('Internal Server Error')
       });
     });
@@ -153,7 +308,7 @@ describe('AIClient', () => {
       global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
       const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
 
-      await expect(client.complete('s', 'u')).rejects.toMatchObject({
+      await expect(withoutWaiting(client.complete('s', 'u'))).rejects.toMatchObject({
         code: 'NETWORK_ERROR',
         message: expect.stringContaining('Failed to fetch')
       });
@@ -168,6 +323,46 @@ describe('AIClient', () => {
       await expect(client.complete('s', 'u')).rejects.toMatchObject({ code: 'TIMEOUT' });
     });
 
+    it('times out a stream that stops arriving, however long it ran before', async () => {
+      const encoder = new TextEncoder();
+      global.fetch.mockImplementation(async (_url, init) => ({
+        ok: true,
+        status: 200,
+        body: new ReadableStream({
+          start(stream) {
+            // A chunk every 800ms outlasts the 1s timeout in total, then stops.
+            [1, 2, 3].forEach(n => setTimeout(
+              () => stream.enqueue(encoder.encode(sse({ choices: [{ delta: { content: `${n} ` } }] }))),
+              n * 800
+            ));
+            init.signal.addEventListener('abort', () =>
+              stream.error(new DOMException('aborted', 'AbortError')));
+          }
+        })
+      }));
+      const onDelta = vi.fn();
+      const client = new AIClient({ provider: 'openai', apiKey: 'k', timeoutMs: 1000 });
+
+      await expect(withoutWaiting(client.stream('s', 'u', 100, onDelta))).rejects.toMatchObject({
+        code: 'TIMEOUT',
+        message: expect.stringContaining('stopped responding for 1000ms')
+      });
+      expect(onDelta).toHaveBeenCalledTimes(3);
+    });
+
+    it('times out a JSON body that never finishes arriving', async () => {
+      global.fetch.mockImplementation(async (_url, init) => ({
+        ok: true,
+        status: 200,
+        json: () => new Promise((_resolve, reject) => {
+          init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        })
+      }));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k', timeoutMs: 1000 });
+
+      await expect(withoutWaiting(client.complete('s', 'u'))).rejects.toMatchObject({ code: 'TIMEOUT' });
+    });
+
     it('throws rather than returning empty text when a provider returns no content', async () => {
       global.fetch.mockResolvedValue(mockResponse({ content: [] }));
       const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
@@ -175,4 +370,417 @@ describe('AIClient', () => {
       await expect(client.complete('s', 'u')).rejects.toThrow(/no text block/);
     });
   });
+
+  describe('retries', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const RATE_LIMITED = () =>
+      mockResponse({ error: { message: 'rate limit exceeded' } }, { ok: false, status: 429 });
+
+    it('retries a rate-limited request and returns the eventual answer', async () => {
+      global.fetch
+        .mockResolvedValueOnce(RATE_LIMITED())
+        .mockResolvedValueOnce(mockResponse(ANTHROPIC_OK));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      await expect(withoutWaiting(client.complete('s', 'u'))).resolves.toBe('a summary');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('retries an overloaded provider and a dropped connection', async () => {
+      global.fetch
+        .mockResolvedValueOnce(mockResponse({}, { ok: false, status: 529, statusText: 'Overloaded' }))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(mockResponse(ANTHROPIC_OK));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      await expect(withoutWaiting(client.complete('s', 'u'))).resolves.toBe('a summary');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('waits exactly as long as Retry-After asks', async () => {
+      global.fetch
+        .mockResolvedValueOnce(
+          mockResponse({}, { ok: false, status: 429, headers: { 'retry-after': '5' } })
+        )
+        .mockResolvedValueOnce(mockResponse(ANTHROPIC_OK));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      const request = client.complete('s', 'u');
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      await expect(request).resolves.toBe('a summary');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('honours OpenAI retry-after-ms', async () => {
+      global.fetch
+        .mockResolvedValueOnce(
+          mockResponse({}, { ok: false, status: 429, headers: { 'retry-after-ms': '250' } })
+        )
+        .mockResolvedValueOnce(mockResponse(OPENAI_OK));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      const request = client.complete('s', 'u');
+      await vi.advanceTimersByTimeAsync(250);
+      await expect(request).resolves.toBe('a summary');
+    });
+
+    it('reports RATE_LIMITED once the attempts are used up', async () => {
+      global.fetch.mockImplementation(async () => RATE_LIMITED());
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await expect(withoutWaiting(client.complete('s', 'u'))).rejects.toMatchObject({
+        code: 'RATE_LIMITED',
+        message: expect.stringContaining('rate limit exceeded')
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('gives up at once when Retry-After points past the deadline', async () => {
+      global.fetch.mockResolvedValue(
+        mockResponse({}, { ok: false, status: 429, headers: { 'retry-after': '600' } })
+      );
+      const client = new AIClient({ provider: 'openai', apiKey: 'k', retryDeadlineMs: 30000 });
+
+      await expect(client.complete('s', 'u')).rejects.toMatchObject({
+        code: 'RATE_LIMITED',
+        message: expect.stringContaining('in about 600s')
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('never retries an auth error or a bad request', async () => {
+      global.fetch.mockResolvedValue(mockResponse({}, { ok: false, status: 401 }));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+      await expect(client.complete('s', 'u')).rejects.toMatchObject({ code: 'AUTH_ERROR' });
+
+      global.fetch.mockResolvedValue(mockResponse({}, { ok: false, status: 400 }));
+      await expect(client.complete('s', 'u')).rejects.toMatchObject({ code: 'PROVIDER_ERROR' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('isUnavailableError', () => {
+    it('treats timeouts, network failures, rate limits and 5xx as unavailability', () => {
+      expect(isUnavailableError(new AIError('TIMEOUT', 'slow'))).toBe(true);
+      expect(isUnavailableError(new AIError('NETWORK_ERROR', 'down'))).toBe(true);
+      expect(isUnavailableError(new AIError('RATE_LIMITED', 'wait', 429))).toBe(true);
+      expect(isUnavailableError(new AIError('PROVIDER_ERROR', 'overloaded', 529))).toBe(true);
+    });
+
+    it('treats auth errors, other 4xx and non-provider errors as final', () => {
+      expect(isUnavailableError(new AIError('AUTH_ERROR', 'bad key', 401))).toBe(false);
+      expect(isUnavailableError(new AIError('PROVIDER_ERROR', 'bad request', 400))).toBe(false);
+      expect(isUnavailableError(new AIError('PROVIDER_ERROR', 'empty stream'))).toBe(false);
+      expect(isUnavailableError(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('cancellation', () => {
+    /** A fetch that never settles on its own, only when its signal aborts. */
+    function hangingFetch() {
+      global.fetch.mockImplementation((_url, init) => new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      }));
+    }
+
+    it('fails with CANCELLED, not TIMEOUT, when the caller aborts', async () => {
+      hangingFetch();
+      const controller = new AbortController();
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      const request = client.complete('s', 'u', 100, controller.signal);
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+    });
+
+    it('stops listening to the caller\'s signal once each attempt and wait is over', async () => {
+      global.fetch
+        .mockResolvedValueOnce(mockResponse({}, { ok: false, status: 503 }))
+        .mockResolvedValueOnce(mockResponse(OPENAI_OK));
+      const controller = new AbortController();
+      const add = vi.spyOn(controller.signal, 'addEventListener');
+      const remove = vi.spyOn(controller.signal, 'removeEventListener');
+      const client = new AIClient({ provider: 'openai', apiKey: 'k', retryDeadlineMs: 60000 });
+
+      await client.complete('s', 'u', 100, controller.signal);
+
+      const listeners = add.mock.calls.filter(([type]) => type === 'abort').map(([, listener]) => listener);
+      for (const listener of listeners) {
+        expect(remove).toHaveBeenCalledWith('abort', listener);
+      }
+    });
+
+    it('sends nothing when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await expect(client.complete('s', 'u', 100, controller.signal)).rejects.toMatchObject({
+        code: 'CANCELLED'
+      });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('stops waiting to retry as soon as it is cancelled', async () => {
+      global.fetch.mockResolvedValue(
+        mockResponse({}, { ok: false, status: 429, headers: { 'retry-after': '30' } })
+      );
+      const controller = new AbortController();
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      const request = client.complete('s', 'u', 100, controller.signal);
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('cancels a stream whose text is still arriving', async () => {
+      const controller = new AbortController();
+      const encoder = new TextEncoder();
+      global.fetch.mockImplementation(async (_url, init) => ({
+        ok: true,
+        status: 200,
+        body: new ReadableStream({
+          start(stream) {
+            stream.enqueue(encoder.encode(sse({ choices: [{ delta: { content: 'par' } }] })));
+            init.signal.addEventListener('abort', () =>
+              stream.error(new DOMException('aborted', 'AbortError')));
+          }
+        })
+      }));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      const request = client.stream('s', 'u', 100, () => controller.abort(), controller.signal);
+
+      await expect(request).rejects.toMatchObject({ code: 'CANCELLED' });
+    });
+  });
+
+  describe('token usage', () => {
+    it('reads each provider\'s usage block from a completion', async () => {
+      const cases = [
+        ['anthropic', { ...ANTHROPIC_OK, usage: { input_tokens: 120, output_tokens: 30 } }],
+        ['openai', { ...OPENAI_OK, usage: { prompt_tokens: 120, completion_tokens: 30 } }],
+        ['gemini', {
+          ...GEMINI_OK,
+          usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 20, thoughtsTokenCount: 10 }
+        }]
+      ];
+
+      for (const [provider, body] of cases) {
+        global.fetch.mockResolvedValueOnce(mockResponse(body));
+        const client = new AIClient({ provider, apiKey: 'k' });
+
+        await client.complete('s', 'u');
+
+        expect(client.usage).toEqual({ inputTokens: 120, outputTokens: 30 });
+      }
+    });
+
+    it('reports null rather than zero when a provider sends no usage', async () => {
+      global.fetch.mockResolvedValue(mockResponse(OPENAI_OK));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await client.complete('s', 'u');
+
+      expect(client.usage).toBeNull();
+    });
+
+    it('combines the counts Anthropic spreads across stream events', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ type: 'message_start', message: { usage: { input_tokens: 80, output_tokens: 1 } } }),
+        sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'hi' } }),
+        sse({ type: 'message_delta', usage: { output_tokens: 12 } }),
+        sse({ type: 'message_stop' })
+      ]));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      await client.stream('s', 'u', 100, vi.fn());
+
+      expect(client.usage).toEqual({ inputTokens: 80, outputTokens: 12 });
+    });
+
+    it('asks OpenAI to include usage in a stream and reads its final chunk', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ choices: [{ delta: { content: 'hello' } }] }),
+        sse({ choices: [], usage: { prompt_tokens: 40, completion_tokens: 2 } }),
+        'data: [DONE]\n\n'
+      ]));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await client.stream('s', 'u', 100, vi.fn());
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream_options).toEqual({
+        include_usage: true
+      });
+      expect(client.usage).toEqual({ inputTokens: 40, outputTokens: 2 });
+    });
+  });
+
+  describe('structured output', () => {
+    /** @type {import('../../core/tasks.js').OutputSchema} */
+    const OUTPUT = {
+      name: 'report_mood',
+      description: 'Report the mood.',
+      schema: {
+        type: 'object',
+        properties: { mood: { type: 'string', enum: ['up', 'down'] } },
+        required: ['mood'],
+        additionalProperties: false
+      }
+    };
+
+    it('forces a single Anthropic tool call and returns its input', async () => {
+      global.fetch.mockResolvedValue(mockResponse({
+        content: [{ type: 'tool_use', name: 'report_mood', input: { mood: 'up' } }],
+        usage: { input_tokens: 10, output_tokens: 4 }
+      }));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      const value = await client.completeStructured('s', 'u', 100, OUTPUT);
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.tools).toEqual([{ name: 'report_mood', description: 'Report the mood.', input_schema: OUTPUT.schema }]);
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'report_mood' });
+      expect(value).toEqual({ mood: 'up' });
+      expect(client.usage).toEqual({ inputTokens: 10, outputTokens: 4 });
+    });
+
+    it('sends a strict json_schema response format to OpenAI and the local server', async () => {
+      for (const provider of ['openai', 'local']) {
+        global.fetch.mockResolvedValueOnce(mockResponse({ choices: [{ message: { content: '{"mood":"down"}' } }] }));
+        const client = new AIClient({ provider, apiKey: 'k', baseUrl: 'http://localhost:11434/v1' });
+
+        expect(await client.completeStructured('s', 'u', 100, OUTPUT)).toEqual({ mood: 'down' });
+        expect(JSON.parse(global.fetch.mock.calls.at(-1)[1].body).response_format).toEqual({
+          type: 'json_schema',
+          json_schema: { name: 'report_mood', description: 'Report the mood.', schema: OUTPUT.schema, strict: true }
+        });
+      }
+    });
+
+    it('gives Gemini a JSON mime type and a schema in its own dialect', async () => {
+      global.fetch.mockResolvedValue(mockResponse({ candidates: [{ content: { parts: [{ text: '{"mood":"up"}' }] } }] }));
+      const client = new AIClient({ provider: 'gemini', apiKey: 'k' });
+
+      await client.completeStructured('s', 'u', 100, OUTPUT);
+
+      const { generationConfig } = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(generationConfig).toEqual({
+        maxOutputTokens: 100,
+        responseMimeType: 'application/json',
+        responseSchema: {
+          type: 'OBJECT',
+          properties: { mood: { type: 'STRING', enum: ['up', 'down'] } },
+          required: ['mood']
+        }
+      });
+    });
+
+    it('fails with INVALID_OUTPUT when the reply is not JSON', async () => {
+      global.fetch.mockResolvedValue(mockResponse({ choices: [{ message: { content: 'The mood is up.' } }] }));
+      const client = new AIClient({ provider: 'local', baseUrl: 'http://localhost:8080/v1' });
+
+      await expect(client.completeStructured('s', 'u', 100, OUTPUT)).rejects.toMatchObject({ code: 'INVALID_OUTPUT' });
+    });
+
+    it('fails with INVALID_OUTPUT when the JSON does not match the schema', async () => {
+      global.fetch.mockResolvedValue(mockResponse({
+        content: [{ type: 'tool_use', name: 'report_mood', input: { mood: 'sideways' } }]
+      }));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      await expect(client.completeStructured('s', 'u', 100, OUTPUT)).rejects.toThrow(/\$\.mood should be one of up, down/);
+    });
+
+    it('treats an OpenAI refusal as invalid output', async () => {
+      global.fetch.mockResolvedValue(mockResponse({ choices: [{ message: { content: null, refusal: 'I cannot help.' } }] }));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await expect(client.completeStructured('s', 'u', 100, OUTPUT)).rejects.toThrow(/refused: I cannot help/);
+    });
+  });
+
+  describe('streaming', () => {
+    it('splits server-sent events even when one arrives across several chunks', async () => {
+      const response = streamResponse(['data: {"a":', '1}\n', '\ndata: two\n\n', 'data: tail']);
+      const events = [];
+      for await (const data of readServerSentEvents(response.body)) events.push(data);
+
+      expect(events).toEqual(['{"a":1}', 'two', 'tail']);
+    });
+
+    it('asks Anthropic to stream and forwards only text deltas', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ type: 'message_start', message: {} }),
+        sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'a sum' } }),
+        sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'mary ' } }),
+        sse({ type: 'message_stop' })
+      ]));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+      const onDelta = vi.fn();
+
+      const text = await client.stream('s', 'u', 100, onDelta);
+
+      expect(text).toBe('a summary');
+      expect(onDelta.mock.calls.map(call => call[0])).toEqual(['a sum', 'mary ']);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+
+    it('stops at the OpenAI [DONE] sentinel', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ choices: [{ delta: { content: 'hello' } }] }),
+        'data: [DONE]\n\n'
+      ]));
+      const client = new AIClient({ provider: 'openai', apiKey: 'k' });
+
+      await expect(client.stream('s', 'u', 100, vi.fn())).resolves.toBe('hello');
+    });
+
+    it('uses the Gemini SSE streaming method', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ candidates: [{ content: { parts: [{ text: 'hi' }] } }] })
+      ]));
+      const client = new AIClient({ provider: 'gemini', apiKey: 'k', model: 'gemini-x' });
+
+      await client.stream('s', 'u', 100, vi.fn());
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/models/gemini-x:streamGenerateContent?alt=sse');
+    });
+
+    it('surfaces an error event sent after the stream has started', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        sse({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'par' } }),
+        sse({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })
+      ]));
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'k' });
+
+      await expect(client.stream('s', 'u', 100, vi.fn())).rejects.toMatchObject({
+        code: 'PROVIDER_ERROR',
+        message: expect.stringContaining('Overloaded')
+      });
+    });
+
+    it('classifies a failed stream request the same way as a completion', async () => {
+      global.fetch.mockResolvedValue(
+        mockResponse({ error: { message: 'invalid x-api-key' } }, { ok: false, status: 401 })
+      );
+      const client = new AIClient({ provider: 'anthropic', apiKey: 'bad' });
+
+      await expect(client.stream('s', 'u', 100, vi.fn())).rejects.toMatchObject({ code: 'AUTH_ERROR' });
+    });
+  });
 });
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { HistoryDatabase } from '../../services/history-db.js';
+
+describe('HistoryDatabase', () => {
+  /** @type {HistoryDatabase} */
+  let db;
+
+  /** @param {number} timestamp @param {Record<string, any>} [extra] */
+  const summary = (timestamp, extra = {}) => ({ id: `s${timestamp}`, timestamp, ...extra });
+
+  beforeEach(async () => {
+    db = new HistoryDatabase();
+    await db.putAll('summaries', [
+      summary(1, { domain: 'a.example' }),
+      summary(2, { domain: 'b.example' }),
+      summary(3, { domain: 'a.example' }),
+      summary(4, { domain: 'b.example' }),
+      summary(5, { domain: 'a.example' })
+    ]);
+  });
+
+  it('pages newest first and counts everything that matches', async () => {
+    const page = await db.page('summaries', { offset: 1, limit: 2 });
+
+    expect(page.records.map(record => record.id)).toEqual(['s4', 's3']);
+    expect(page.total).toBe(5);
+  });
+
+  it('filters a page by timestamp range and predicate', async () => {
+    const page = await db.page('summaries', {
+      from: 2,
+      to: 5,
+      where: record => record.domain === 'a.example'
+    });
+
+    expect(page.records.map(record => record.id)).toEqual(['s5', 's3']);
+    expect(page.total).toBe(2);
+  });
+
+  it('lists the distinct values of an index', async () => {
+    expect(await db.distinct('summaries', 'domain')).toEqual(['a.example', 'b.example']);
+  });
+
+  it('trims all but the newest records and returns the rest', async () => {
+    const removed = await db.trim('summaries', 2);
+
+    expect(removed.map(record => record.id)).toEqual(['s3', 's2', 's1']);
+    expect((await db.getAll('summaries')).map(record => record.id)).toEqual(['s5', 's4']);
+  });
+
+  it('deletes records up to a timestamp', async () => {
+    const removed = await db.deleteWhere('summaries', { to: 2 });
+
+    expect(removed.map(record => record.id)).toEqual(['s1', 's2']);
+    expect(await db.count('summaries')).toBe(3);
+  });
+
+  it('keeps both changes when one record is updated twice at once', async () => {
+    /** @param {string} tag */
+    const tag = value => db.update('summaries', 's1', record => ({ ...record, tags: [...(record.tags || []), value] }));
+
+    await Promise.all([tag('x'), tag('y')]);
+
+    expect((await db.get('summaries', 's1')).tags).toEqual(['x', 'y']);
+  });
+
+  it('writes nothing when an update returns null', async () => {
+    expect(await db.update('summaries', 'missing', record => record && { ...record, seen: true })).toBeNull();
+    expect(await db.get('summaries', 'missing')).toBeNull();
+  });
+
+  it('reports whether a delete found the record', async () => {
+    expect(await db.delete('summaries', 's1')).toBe(true);
+    expect(await db.delete('summaries', 's1')).toBe(false);
+  });
+
+  it('rolls back a transaction whose work throws', async () => {
+    await expect(db.transaction(['summaries'], 'readwrite', transaction => {
+      transaction.objectStore('summaries').put(summary(9));
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(await db.get('summaries', 's9')).toBeNull();
+  });
+});
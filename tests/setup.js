@@ -5,6 +5,8 @@
 
 import { vi, afterEach } from 'vitest';
 import { JSDOM } from 'jsdom';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
 
 // Mock Chrome extension APIs
 /** @type {any} */
@@ -18,8 +20,13 @@ const mockChrome = {
     onInstalled: {
       addListener: vi.fn()
     },
+    onConnect: {
+      addListener: vi.fn()
+    },
     sendMessage: vi.fn(),
+    connect: vi.fn(),
     getURL: vi.fn((path) => `chrome-extension://mock-id/${path}`),
+    getFrameId: vi.fn().mockReturnValue(-1),
     openOptionsPage: vi.fn(),
     id: 'mock-extension-id'
   },
@@ -117,6 +124,8 @@ global.performance = {
 // Cleanup function for tests
 export const cleanup = () => {
   vi.clearAllMocks();
+  // A fresh, empty IndexedDB for the next test
+  global.indexedDB = new IDBFactory();
   // Reset chrome API mocks
   Object.values(mockChrome).forEach(api => {
     if (typeof api === 'object' && api !== null) {